@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const { logErrorToFile, logInfoToFile, logUpdatesToFile } = require("./logger");
+const { wooApi, limiter } = require("./woo-helpers");
+const { getHistoryDb } = require("./run-history");
+const { isCatalogCacheEnabled, cacheProduct } = require("./catalog-cache");
+
+// Field-level audit log, append-only, in the run history database:
+//   field_audit  one row per changed field of a product update: previous and new value (JSON), keyed by run ID
+// Entries are written once the "products/batch" response is in, for the items it reports as updated only: a rejected
+// item, or one out of retries, changed nothing a rollback should restore. A rollback writes its own entries under a
+// "rollback-<uuid>" run ID, so a rollback can itself be rolled back.
+const ROLLBACK_BATCH_SIZE = 100; // WooCommerce accepts at most 100 items per batch request
+
+let auditTableReady = false;
+const getAuditDb = () => {
+    const db = getHistoryDb();
+    if (!auditTableReady) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS field_audit (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id TEXT,
+                file_key TEXT,
+                row INTEGER,
+                part_number TEXT,
+                product_id INTEGER NOT NULL,
+                field TEXT NOT NULL,
+                old_value TEXT,
+                new_value TEXT,
+                recorded_at TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS field_audit_run ON field_audit (run_id, file_key);
+            CREATE INDEX IF NOT EXISTS field_audit_part ON field_audit (part_number);
+        `);
+        auditTableReady = true;
+    }
+    return db;
+};
+
+// Record the changes of one "products/batch" update.
+// changes: [{ row, partNumber, productId, fields: [{ field, oldValue, newValue }] }], field being "sku", "meta_data.<key>", ...
+const recordFieldChanges = (runId, fileKey, changes) => {
+    try {
+        const insert = getAuditDb().prepare(`
+            INSERT INTO field_audit (run_id, file_key, row, part_number, product_id, field, old_value, new_value, recorded_at)
+            VALUES (@runId, @fileKey, @row, @partNumber, @productId, @field, @oldValue, @newValue, @recordedAt)
+        `);
+        const recordedAt = new Date().toISOString();
+
+        getAuditDb().transaction(() => {
+            changes.forEach(({ row, partNumber, productId, fields }) => {
+                fields.forEach(({ field, oldValue, newValue }) => insert.run({
+                    runId: runId || null,
+                    fileKey,
+                    row: row ?? null,
+                    partNumber,
+                    productId,
+                    field,
+                    oldValue: JSON.stringify(oldValue ?? null),
+                    newValue: JSON.stringify(newValue ?? null),
+                    recordedAt,
+                }));
+            });
+        })();
+    } catch (error) {
+        logErrorToFile(`Failed to write the field audit for file "${fileKey}" (run ${runId}): ${error.message}`, error);
+    }
+};
+
+// Audit entries matching a scope { runId, fileKey, partNumber } (at least one required), oldest first
+const getAuditEntries = ({ runId, fileKey, partNumber } = {}) => {
+    const conditions = [];
+    const params = {};
+    if (runId) {
+        conditions.push("run_id = @runId");
+        params.runId = runId;
+    }
+    if (fileKey) {
+        conditions.push("file_key = @fileKey");
+        params.fileKey = fileKey;
+    }
+    if (partNumber) {
+        conditions.push("part_number = @partNumber");
+        params.partNumber = partNumber;
+    }
+    if (conditions.length === 0) throw new Error("A runId, fileKey or partNumber is required");
+
+    return getAuditDb()
+        .prepare(`SELECT * FROM field_audit WHERE ${conditions.join(" AND ")} ORDER BY id`)
+        .all(params)
+        .map((entry) => ({ ...entry, old_value: JSON.parse(entry.old_value), new_value: JSON.parse(entry.new_value) }));
+};
+
+// One update per product restoring every field to its value before the first change in scope
+const buildRollbackUpdates = (entries) => {
+    const products = new Map();
+
+    entries.forEach((entry) => {
+        if (!products.has(entry.product_id)) {
+            products.set(entry.product_id, { partNumber: entry.part_number, fields: new Map() });
+        }
+        const { fields } = products.get(entry.product_id);
+        const restore = fields.get(entry.field) || { oldValue: entry.old_value };
+        fields.set(entry.field, { ...restore, currentValue: entry.new_value }); // Oldest previous value, latest written value
+    });
+
+    return [...products.entries()].map(([productId, { partNumber, fields }]) => {
+        const update = { id: productId };
+        const auditedFields = [];
+
+        fields.forEach(({ oldValue, currentValue }, field) => {
+            auditedFields.push({ field, oldValue: currentValue, newValue: oldValue ?? (field === "meta_data" ? [] : "") });
+            if (field === "meta_data") {
+                update.meta_data = [...(update.meta_data || []), ...(oldValue || [])];
+            } else if (field.startsWith("meta_data.")) {
+                update.meta_data = [...(update.meta_data || []), { key: field.slice("meta_data.".length), value: oldValue ?? "" }];
+            } else {
+                update[field] = oldValue ?? "";
+            }
+        });
+
+        return { partNumber, update, auditedFields };
+    });
+};
+
+// Restore the previous values of every field changed in scope { runId, fileKey, partNumber }, through the bulk API
+// and the shared rate limiter. With dryRun the updates are returned without being sent.
+const rollbackChanges = async (scope = {}, { dryRun = false } = {}) => {
+    const entries = getAuditEntries(scope);
+    const rollbacks = buildRollbackUpdates(entries);
+    const rollbackId = `rollback-${crypto.randomUUID()}`;
+    const result = { rollbackId, scope, dryRun, products: rollbacks.length, fields: entries.length, restored: 0, failed: [] };
+
+    if (dryRun || rollbacks.length === 0) {
+        logInfoToFile(`Rollback ${dryRun ? "preview" : "skipped"} for ${JSON.stringify(scope)}: ${rollbacks.length} product(s).`);
+        return { ...result, updates: rollbacks.map(({ update }) => update) };
+    }
+
+    for (let i = 0; i < rollbacks.length; i += ROLLBACK_BATCH_SIZE) {
+        const chunk = rollbacks.slice(i, i + ROLLBACK_BATCH_SIZE);
+
+        try {
+            const response = await limiter.schedule(
+                {
+                    id: `${rollbackId}-${i}`,
+                    context: { file: "audit-log.js", functionName: "rollbackChanges", part: chunk.map(({ partNumber }) => partNumber).join(", ") }
+                },
+                () => wooApi.put("products/batch", { update: chunk.map(({ update }) => update) })
+            );
+
+            const restored = [];
+            for (const [index, product] of (response.data?.update || []).entries()) {
+                if (product.error) {
+                    result.failed.push({ productId: chunk[index].update.id, partNumber: chunk[index].partNumber, error: product.error.message });
+                } else {
+                    restored.push(chunk[index]);
+                    if (isCatalogCacheEnabled()) await cacheProduct(product);
+                }
+            }
+            result.restored += restored.length;
+
+            // Audit what the rollback restored, like any other update
+            recordFieldChanges(rollbackId, null, restored.map(({ partNumber, update, auditedFields }) => ({
+                partNumber,
+                productId: update.id,
+                fields: auditedFields,
+            })));
+        } catch (error) {
+            logErrorToFile(`Rollback ${rollbackId} failed for ${chunk.length} product(s): ${error.message}`, error.stack);
+            chunk.forEach(({ update, partNumber }) => result.failed.push({ productId: update.id, partNumber, error: error.message }));
+        }
+    }
+
+    logUpdatesToFile(`Rollback ${rollbackId} for ${JSON.stringify(scope)}: restored ${result.restored} product(s), ${result.failed.length} failed.`);
+    return result;
+};
+
+module.exports = {
+    recordFieldChanges,
+    getAuditEntries,
+    rollbackChanges,
+};
+
+// Command line: node audit-log.js --run <runId> [--file <fileKey>] [--part <partNumber>] [--dry-run]
+if (require.main === module) {
+    const getArg = (name) => {
+        const index = process.argv.indexOf(name);
+        return index > -1 ? process.argv[index + 1] : undefined;
+    };
+
+    rollbackChanges(
+        { runId: getArg("--run"), fileKey: getArg("--file"), partNumber: getArg("--part") },
+        { dryRun: process.argv.includes("--dry-run") }
+    )
+        .then((result) => {
+            console.log(JSON.stringify(result, null, 2));
+            process.exit(result.failed.length > 0 ? 1 : 0);
+        })
+        .catch((error) => {
+            console.error(`Rollback failed: ${error.message}`);
+            process.exit(1);
+        });
+}
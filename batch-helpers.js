@@ -1,8 +1,13 @@
 const { performance } = require("perf_hooks"); // Import performance to track time
 
-const { logger, logErrorToFile, logUpdatesToFile, logInfoToFile } = require("./logger");
-const { wooApi, getProductById, getProductIdByPartNumber, limiter } = require("./woo-helpers");
-const { redisClient } = require('./queue');
+const { logger, runWithLogContext, logErrorToFile, logUpdatesToFile, logInfoToFile } = require("./logger");
+const { wooApi, getProductById, resolveProductByPartNumber, limiter } = require("./woo-helpers");
+const { redisClient, getTrackingKey } = require('./queue');
+const { isCatalogCacheEnabled, lookupCachedProduct, cacheProduct, uncacheProduct } = require("./catalog-cache");
+const { appendDryRunReportRows, appendAmbiguousReportRows } = require("./report-helpers");
+const { recordRowOutcome, countRows } = require("./outcome-ledger");
+const { recordFieldChanges } = require("./audit-log");
+const { resolveMappingProfile, getPartNumber, mapRowToProductData, getProfileFields, getNumericFields, getGuardedFields, getFieldPolicies, pickDiffFields } = require("./mapping-helpers");
 
 let stripHtml;
 (async () => {
@@ -14,7 +19,7 @@ const normalizeText = (text) => {
     if (!text) return "";
 
     // Strip HTML tags
-    let normalized = stripHtml(text)?.result.trim()|| "";
+    let normalized = stripHtml(String(text))?.result.trim()|| "";
 
     // Replace special characters; Normalize whitespace and line breaks
     return normalized.replace(/\u00ac\u00c6/g, "®").replace(/&deg;/g, "°").replace(/\s+/g, " ");
@@ -32,9 +37,33 @@ function isMetaValueDifferent(newMetaValue, currentMetaValue) {
     return normalizeText(currentMetaValue) !== normalizeText(newMetaValue);
 }
 
+const isNumericValue = (value) => (typeof value === "number" && !isNaN(value)) || (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value.trim()));
+
+// Numeric fields are compared as numbers, so "1.50" and "1.5" are the same price
+const isNumericValueDifferent = (currentValue, newValue) => {
+    if (isNumericValue(currentValue) && isNumericValue(newValue)) {
+        return Number(currentValue) !== Number(newValue);
+    }
+    return normalizeText(currentValue) !== normalizeText(newValue);
+};
+
+// Structured values (e.g. price breaks) are compared on a canonical form with sorted keys and numeric strings as numbers
+const toCanonicalValue = (value) => {
+    if (Array.isArray(value)) return value.map(toCanonicalValue);
+    if (value && typeof value === "object") {
+        return Object.keys(value).sort().reduce((acc, key) => ({ ...acc, [key]: toCanonicalValue(value[key]) }), {});
+    }
+    return isNumericValue(value) ? Number(value) : value;
+};
+
+const isStructuredValueDifferent = (currentValue, newValue) =>
+    JSON.stringify(toCanonicalValue(currentValue ?? null)) !== JSON.stringify(toCanonicalValue(newValue));
+
   
-// Function to check if product update is needed
-const isUpdateNeeded = (currentData, newData, currentIndex, totalProductsInFile, partNumber, fileName) => {
+// Function to collect the fields that differ between the current and new product data
+// options.numericFields: fields ("regular_price", "meta_data.spq") compared as numbers instead of normalized strings
+const getFieldsToUpdate = (currentData, newData, partNumber, fileName, options = {}) => {
+    const { numericFields = [] } = options;
     const fieldsToUpdate = [];
 
     Object.keys(newData).forEach((key) => {
@@ -65,11 +94,26 @@ const isUpdateNeeded = (currentData, newData, currentIndex, totalProductsInFile,
                     fieldsToUpdate.push(`meta_data.${newMeta.key}`);
                     return true;
                 }
+
+                if (newMetaValue !== null && typeof newMetaValue === "object") {
+                    if (isStructuredValueDifferent(currentMetaValue, newMetaValue)) fieldsToUpdate.push(`meta_data.${newMeta.key}`);
+                    return;
+                }
+
+                if (numericFields.includes(`meta_data.${newMeta.key}`)) {
+                    if (isNumericValueDifferent(currentMetaValue, newMetaValue)) fieldsToUpdate.push(`meta_data.${newMeta.key}`);
+                    return;
+                }
             
                 if (isMetaValueDifferent(newMetaValue, currentMetaValue)) {
                     fieldsToUpdate.push(`meta_data.${newMeta.key}`);
                 }
             })
+        } else if (numericFields.includes(key)) {
+            if (isNumericValueDifferent(currentValue, newValue)) {
+                fieldsToUpdate.push(key);
+                logInfoToFile(`Update needed for numeric key '${key}' for Part Number: ${partNumber} in ${fileName}. \nCurrent value: '${currentValue}', \nNew value: '${newValue}' \n`);
+            }
         } else {
             // Normalize and compare general string fields
             if (typeof newValue === "string") {
@@ -85,64 +129,194 @@ const isUpdateNeeded = (currentData, newData, currentIndex, totalProductsInFile,
         }
     });
 
-    // Log updates for each field in fieldsToUpdate
-    if (fieldsToUpdate.length > 0) {
-        fieldsToUpdate.forEach(field => {
-            const currentFieldValue = field.startsWith("meta_data.") 
-                ? currentData.meta_data?.find(meta => meta.key === field.split(".")[1])?.value 
-                : currentData[field];
-                
-            const newFieldValue = field.startsWith("meta_data.") 
-                ? newData.meta_data?.find(meta => meta.key === field.split(".")[1])?.value 
-                : newData[field];
-            
-            //logInfoToFile(`Update needed for field '${field}' in Part Number: ${partNumber}. Current value: '${currentFieldValue}', New value: '${newFieldValue}'`);
-        });
-        return true;
-    } else {
+    return fieldsToUpdate;
+};
+
+const getFieldValue = (data, field) => {
+    if (field === "meta_data") return data.meta_data;
+    return field.startsWith("meta_data.")
+        ? data.meta_data?.find(meta => meta.key === field.slice("meta_data.".length))?.value
+        : data[field];
+};
+
+// Describe each changed field with its old and new normalized values
+const describeFieldChanges = (currentData, newData, fieldsToUpdate) => {
+    return fieldsToUpdate.map(field => {
+        const currentFieldValue = getFieldValue(currentData, field);
+        const newFieldValue = getFieldValue(newData, field);
+        const normalize = (value) => (typeof value === "string" ? normalizeText(value) : value ?? "");
+
+        return { field, oldValue: normalize(currentFieldValue), newValue: normalize(newFieldValue) };
+    });
+};
+
+// Percentage swing between two numeric values; for price breaks, the largest swing across matching quantities
+const getChangePercent = (currentValue, newValue) => {
+    if (Array.isArray(newValue)) {
+        const currentBreaks = Array.isArray(currentValue) ? currentValue : [];
+        const swings = newValue
+            .map((priceBreak) => {
+                const currentBreak = currentBreaks.find((entry) => Number(entry.quantity) === Number(priceBreak.quantity));
+                return currentBreak ? getChangePercent(currentBreak.price, priceBreak.price) : null;
+            })
+            .filter((swing) => swing !== null);
+        return swings.length > 0 ? Math.max(...swings) : null;
+    }
+
+    if (!isNumericValue(currentValue) || !isNumericValue(newValue) || Number(currentValue) === 0) return null;
+    return (Math.abs(Number(newValue) - Number(currentValue)) / Math.abs(Number(currentValue))) * 100;
+};
+
+// Sanity guard: drop guarded fields whose change exceeds their max_change_percent, and report them as refused
+const applyChangeGuards = (currentData, newData, guardedFields) => {
+    const refused = [];
+    const guardedData = { ...newData, meta_data: [...(newData.meta_data || [])] };
+
+    guardedFields.forEach(({ field, maxChangePercent }) => {
+        const currentValue = getFieldValue(currentData, field);
+        const newValue = getFieldValue(newData, field);
+        const changePercent = getChangePercent(currentValue, newValue);
+        if (changePercent === null || changePercent <= maxChangePercent) return;
+
+        refused.push({ field, oldValue: currentValue, newValue, changePercent: Math.round(changePercent), maxChangePercent });
+        if (field.startsWith("meta_data.")) {
+            guardedData.meta_data = guardedData.meta_data.filter((meta) => meta.key !== field.slice("meta_data.".length));
+        } else {
+            delete guardedData[field];
+        }
+    });
+
+    return { data: guardedData, refused };
+};
+
+const isEmptyValue = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "") || (Array.isArray(value) && value.length === 0);
+
+const isLockSet = (value) => ["1", "yes", "true"].includes(String(value ?? "").trim().toLowerCase());
+
+// Update policies: drop the fields an existing product's policy doesn't allow to be written, and report them as held
+const applyFieldPolicies = (currentData, newData, fieldPolicies) => {
+    const held = [];
+    const allowedData = { ...newData, meta_data: [...(newData.meta_data || [])] };
+
+    fieldPolicies.forEach(({ field, policy, lockMetaKey }) => {
+        if (getFieldValue(newData, field) === undefined) return; // Not in this file
+
+        const allowed = policy === "fill_if_empty" ? isEmptyValue(getFieldValue(currentData, field))
+            : policy === "overwrite_unless_locked" ? !isLockSet(getFieldValue(currentData, `meta_data.${lockMetaKey}`))
+            : policy !== "never";
+        if (allowed) return;
+
+        held.push({ field, policy });
+        if (field.startsWith("meta_data.")) {
+            allowedData.meta_data = allowedData.meta_data.filter((meta) => meta.key !== field.slice("meta_data.".length));
+        } else {
+            delete allowedData[field];
+        }
+    });
+
+    return { data: allowedData, held };
+};
+
+// Per-item errors in a "products/batch" response are retried only when transient (server error, rate limit, timeout);
+// anything else (invalid value, unknown product, ...) is a validation error that a retry won't fix
+const TRANSIENT_ITEM_STATUSES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_ITEM_ERROR_CODES = ["internal_server_error", "http_request_failed"];
+
+const isTransientItemError = (error) => !error
+    || TRANSIENT_ITEM_STATUSES.includes(Number(error.data?.status))
+    || TRANSIENT_ITEM_ERROR_CODES.includes(error.code);
+
+// Function to check if product update is needed; returns the decision with the fields that changed
+const isUpdateNeeded = (currentData, newData, currentIndex, totalProductsInFile, partNumber, fileName, options = {}) => {
+    const fieldsToUpdate = getFieldsToUpdate(currentData, newData, partNumber, fileName, options);
+
+    if (fieldsToUpdate.length === 0) {
         logger.info(`No update required for Part Number: ${partNumber} in ${fileName}`);
-        return false;
     }
+    return { updateNeeded: fieldsToUpdate.length > 0, fieldsToUpdate };
 };
 
-const createNewData = (item, productId, part_number) => {
+// Update payload with only the changed fields, plus the fields sent without diffing ("diff": false).
+// Changed meta entries carry the existing meta id, so WooCommerce updates them in place.
+const buildUpdatePayload = (currentData, newData, fieldsToUpdate, profile) => {
+    const { coreFields: diffCoreFields, metaKeys: diffMetaKeys } = getProfileFields(profile, { diffOnly: true });
+    const isSentField = (field) => fieldsToUpdate.includes(field) || !(field.startsWith("meta_data.")
+        ? diffMetaKeys.includes(field.slice("meta_data.".length))
+        : diffCoreFields.includes(field));
+    const payload = { id: newData.id, part_number: newData.part_number };
+
+    Object.keys(newData).forEach((key) => {
+        if (key === "id" || key === "part_number" || key === "meta_data") return;
+        if (isSentField(key)) payload[key] = newData[key];
+    });
+
+    // A meta_data that isn't an array on either side is replaced as a whole
+    const metaData = fieldsToUpdate.includes("meta_data")
+        ? newData.meta_data
+        : (newData.meta_data || []).filter((meta) => isSentField(`meta_data.${meta.key}`)).map((meta) => {
+            const metaId = currentData.meta_data?.find((currentMeta) => currentMeta.key === meta.key)?.id;
+            return metaId ? { id: metaId, ...meta } : meta;
+        });
+    if (metaData?.length > 0) payload.meta_data = metaData;
+
+    return payload;
+};
+
+// Build the new product data from a CSV row using the file's mapping profile
+const createNewData = (item, productId, part_number, profile) => {
     return {
         id: productId, // Required for Bulk API
         part_number, // Attach part number here for later reference
-        sku: item.sku,
-        description: item.product_description,
-        meta_data: [
-            { key: "spq", value: item.spq },
-            { key: "manufacturer", value: item.manufacturer },
-            { key: "image_url", value: item.image_url },
-            { key: "datasheet_url", value: item.datasheet_url },
-            { key: "series_url", value: item.series_url },
-            { key: "series", value: item.series },
-            { key: "quantity", value: item.quantity },
-            { key: "operating_temperature", value: item.operating_temp },
-            { key: "voltage", value: item.supply_voltage },
-            { key: "package", value: item.packaging_type },
-            { key: "supplier_device_package", value: item.supplier_device_package },
-            { key: "mounting_type", value: item.mounting_type },
-            { key: "short_description", value: item.product_description }, // Mapped CSV's product_description field to WooCommerce's short_description custom field
-            { key: "detail_description", value: item.long_description },
-            { key: "additional_key_information", value: item.additional_info },
-        ],
+        ...mapRowToProductData(item, profile),
     };
 }
 
-const filterCurrentData = (product) => {
+// Keep only the fields the mapping profile writes (and the lock flags its policies read), so both sides of the comparison line up
+const filterCurrentData = (product, profile) => {
+    const { coreFields, metaKeys, lockMetaKeys } = getProfileFields(profile);
+    const currentData = {};
+
+    coreFields.forEach((field) => {
+        currentData[field] = product[field];
+    });
+    currentData.meta_data = (product.meta_data || []).filter((meta) => metaKeys.includes(meta.key) || lockMetaKeys.includes(meta.key));
+
+    return currentData;
+};
+
+// Build the payload for a product that doesn't exist in WooCommerce yet (upsert mode)
+const createProductData = (item, part_number, profile) => {
+    const { id, ...newData } = createNewData(item, undefined, part_number, profile);
+    const categoryIds = (process.env.UPSERT_CATEGORY_ID || "")
+        .split(",")
+        .map((categoryId) => parseInt(categoryId.trim(), 10))
+        .filter(Boolean);
+
+    // Nothing to clear on a new product, so leave out empty meta entries
+    newData.meta_data = newData.meta_data.filter((meta) => meta.value !== undefined && meta.value !== "");
+
+    // Store the part number as meta so the exact-match lookup finds the product next time
+    if (!newData.meta_data.some((meta) => meta.key === "part_number")) {
+        newData.meta_data.push({ key: "part_number", value: part_number });
+    }
+
     return {
-        sku: product.sku,
-        description: product.description,
-        meta_data: product.meta_data.filter((meta) =>
-            ["spq", "manufacturer", "image_url", "datasheet_url", "series_url", "series", "quantity", "operating_temperature", "voltage", "package", "supplier_device_package", "mounting_type", "short_description", "detail_description", "additional_key_information"].includes(meta.key)
-        ),
+        ...newData,
+        name: newData.name || part_number,
+        status: process.env.UPSERT_PRODUCT_STATUS || "draft",
+        ...(categoryIds.length > 0 && { categories: categoryIds.map((categoryId) => ({ id: categoryId })) }),
     };
 };
 
 // Function to process a batch of products using WooCommerce Bulk API
-const processBatch = async (batch, startIndex, totalProductsInFile, fileKey) => {
+// options.dryRun: resolve and diff every row but skip the bulk write, recording the outcome in the dry-run report
+// options.upsert: create products for part numbers that aren't found instead of counting them as failed
+// options.rowNumbers: 1-based row numbers of the batch items when they aren't contiguous (rerun of failed rows)
+// options.runId: counters go to the run's own keys (see getTrackingKey)
+// Returns { response, failedRows }: the last bulk response and the 1-based rows of the batch that failed
+const processBatch = async (batch, startIndex, totalProductsInFile, fileKey, options = {}) => {
+    const { dryRun = false, upsert = false, rowNumbers, runId, reportId = new Date().toISOString().split("T")[0] } = options;
+    const trackingKey = getTrackingKey(fileKey, runId);
     const MAX_RETRIES = 5;
     let attempts = 0;
     const batchStartTime = performance.now(); // Track overall batch time
@@ -153,94 +327,263 @@ const processBatch = async (batch, startIndex, totalProductsInFile, fileKey) =>
         throw new Error(`Expected batch to be an array, but got ${typeof batch}`);
     }
 
-    // Array to collect products that need updating
-    const productsToUpdate = await Promise.all(
-        batch.map(async (item, index) => {
-            const currentIndex = startIndex + index;
+    const mappingProfile = resolveMappingProfile(fileKey);
+    const numericFields = getNumericFields(mappingProfile);
+    const guardedFields = getGuardedFields(mappingProfile);
+    const fieldPolicies = getFieldPolicies(mappingProfile);
 
-            // Ensure we don't go beyond the totalProductsInFile
-            if (currentIndex >= totalProductsInFile) return null;
+    // Rows of the batch counted as failed, so the worker leaves them out of the file's checkpoint
+    const failedRows = new Set();
+    const countFailedRows = async (rows) => {
+        rows.forEach((row) => failedRows.add(row));
+        await countRows(trackingKey, "failed-products", rows);
+    };
 
-            const part_number = item.part_number;
-            if (!part_number) return null;
+    // Dry runs go to the report, real runs to the per-row outcome ledger.
+    // Outcomes are recorded as soon as they are decided, before any counter is incremented.
+    const recordOutcome = async (outcome, item) => {
+        if (dryRun) {
+            appendDryRunReportRows(fileKey, reportId, [{ fileKey, ...outcome }]);
+        } else {
+            await recordRowOutcome(fileKey, { ...outcome, runId, item });
+        }
+    };
 
-            logger.info(`Processing ${currentIndex + 1} / ${totalProductsInFile} - Part Number: ${part_number} in ${fileKey}`);
+    // Unmatched rows collected for creation in upsert mode
+    const productsToCreate = [];
 
-            try {
-                // Measure time to fetch Product ID by Part Number
-                const productIdStart = performance.now();
-                logInfoToFile(`Requesting Product ID for Part Number: ${part_number}, currentIndex: ${currentIndex}`);
-                const productId = await getProductIdByPartNumber(part_number, currentIndex, totalProductsInFile, fileKey);
-                logInfoToFile(`Received Product ID for Part Number: ${part_number}: ${productId}`);
-                const productIdEnd = performance.now();
-                logInfoToFile(`Time to fetch product ID for Part Number ${part_number}: ${(productIdEnd - productIdStart).toFixed(2)} ms`);
-
-                if (!productId) {
-                    await redisClient.incr(`failed-products:${fileKey}`);
-                    return null;
-                }
+    // Source row, changed fields and fetched product data per row index, for the audit and ledger entries around the bulk call
+    const rowContext = new Map();
 
-                // Measure time to fetch Product details by Product ID
-                const productFetchStart = performance.now();
-                const product = await getProductById(productId, fileKey);
-                const productFetchEnd = performance.now();
-                logInfoToFile(`Time to fetch product details for Product ID ${productId}: ${(productFetchEnd - productFetchStart).toFixed(2)} ms`);
+    // Compare one row with its product; returns the update payload, or null when nothing is sent for the row
+    const processRow = async (item, currentIndex) => {
+        rowContext.set(currentIndex, { item, changedFields: [] });
 
-                // Prepare new data structure for comparison and potential update
-                const newData = createNewData(item, productId, part_number);
-                const currentData = filterCurrentData(product);
+        // Ensure we don't go beyond the totalProductsInFile
+        if (currentIndex >= totalProductsInFile) return null;
 
-                if (product && isUpdateNeeded(currentData, newData, currentIndex, totalProductsInFile, part_number, fileKey)) {
-                    return { ...newData, currentIndex, totalProductsInFile }; 
+        const part_number = getPartNumber(item, mappingProfile);
+        if (!part_number) {
+            await recordOutcome({ row: currentIndex + 1, partNumber: "", status: "failed", reason: "validation_error", message: "Missing part number" }, item);
+            await countFailedRows([currentIndex + 1]);
+            return null;
+        }
+
+        logger.info(`Processing ${currentIndex + 1} / ${totalProductsInFile} - Part Number: ${part_number} in ${fileKey}`);
+
+        try {
+            // Measure time to fetch Product ID by Part Number
+            const productIdStart = performance.now();
+            logInfoToFile(`Requesting Product ID for Part Number: ${part_number}, currentIndex: ${currentIndex}`);
+            // Resolve from the catalog cache first; only go to WooCommerce on a cache miss
+            const cachedResolution = await lookupCachedProduct(part_number);
+            const resolution = cachedResolution || await resolveProductByPartNumber(part_number, currentIndex, totalProductsInFile, fileKey);
+            const { productId } = resolution;
+
+            if (!cachedResolution && resolution.status === "matched" && isCatalogCacheEnabled()) {
+                await cacheProduct(resolution.product);
+            }
+            logInfoToFile(`Received Product ID for Part Number: ${part_number}: ${productId}`);
+            const productIdEnd = performance.now();
+            logInfoToFile(`Time to fetch product ID for Part Number ${part_number}: ${(productIdEnd - productIdStart).toFixed(2)} ms`);
+
+            if (!productId && upsert && resolution.status === "not_found") {
+                productsToCreate.push({ ...createProductData(item, part_number, mappingProfile), currentIndex, totalProductsInFile });
+                if (dryRun) await recordOutcome({ row: currentIndex + 1, partNumber: part_number, status: "create" });
+                return null;
+            }
+
+            if (!productId) {
+                const reason = resolution.status === "error" ? "api_error" : resolution.status;
+
+                // Zero or several exact matches: record the row instead of guessing
+                if (resolution.status === "ambiguous" || resolution.status === "not_found") {
+                    appendAmbiguousReportRows(reportId, [{ fileKey, row: currentIndex + 1, partNumber: part_number, reason, matchCount: resolution.status === "ambiguous" ? resolution.candidates.length : 0, candidates: resolution.candidates }]);
                 }
 
-                await redisClient.incr(`skipped-products:${fileKey}`);
-                logInfoToFile((`No update needed for Part Number: ${part_number} in ${fileKey}`));
+                await recordOutcome({ row: currentIndex + 1, partNumber: part_number, status: "failed", reason, message: resolution.error?.message }, item);
+                await countFailedRows([currentIndex + 1]);
                 return null;
-                
-            } catch (error) {
-                logErrorToFile(`Error processing Part Number ${part_number} at index ${currentIndex}: ${error.message}`, error.stack);
+            }
+
+            // A live lookup returns the full product and a cached match its snapshot; a lookup that didn't is fetched here
+            const productFetchStart = performance.now();
+            const product = resolution.product || await getProductById(productId, fileKey);
+            const productFetchEnd = performance.now();
+            logInfoToFile(`Time to fetch product details for Product ID ${productId}: ${(productFetchEnd - productFetchStart).toFixed(2)} ms`);
+
+            // A failed fetch is a WooCommerce error like any other: the row fails, so a rerun of the failures picks it up
+            if (!product) {
+                await recordOutcome({ row: currentIndex + 1, partNumber: part_number, status: "failed", productId, reason: "api_error", message: `Product ID ${productId} could not be fetched` }, item);
+                await countFailedRows([currentIndex + 1]);
                 return null;
             }
+
+            // Prepare new data structure for comparison and potential update
+            // Only the fields allowed by policy (and within their change guard) are compared and sent
+            const currentData = filterCurrentData(product, mappingProfile);
+            const { data: allowedData, held } = applyFieldPolicies(currentData, createNewData(item, productId, part_number, mappingProfile), fieldPolicies);
+            const { data: newData, refused } = applyChangeGuards(currentData, allowedData, guardedFields);
+            const diffData = pickDiffFields(newData, mappingProfile);
+
+            if (held.length > 0) {
+                logInfoToFile(`Held by policy for Part Number ${part_number} (Product ID ${productId}) in ${fileKey}: ${held.map(({ field, policy }) => `${field} (${policy})`).join(", ")}`);
+            }
+
+            refused.forEach(({ field, oldValue, newValue, changePercent, maxChangePercent }) =>
+                logErrorToFile(`Refused change of '${field}' for Part Number ${part_number} (Product ID ${productId}) in ${fileKey}: ${JSON.stringify(oldValue)} -> ${JSON.stringify(newValue)} swings ${changePercent}% (max ${maxChangePercent}%).`)
+            );
+            const refusedReason = refused.length > 0 ? `change_refused: ${refused.map(({ field, changePercent }) => `${field} ${changePercent}%`).join(", ")}` : undefined;
+
+            const { updateNeeded, fieldsToUpdate: changedFields } = isUpdateNeeded(currentData, diffData, currentIndex, totalProductsInFile, part_number, fileKey, { numericFields });
+
+            if (updateNeeded) {
+                rowContext.set(currentIndex, { item, changedFields, currentData });
+                if (dryRun) {
+                    const changes = describeFieldChanges(currentData, diffData, changedFields);
+                    await recordOutcome({ row: currentIndex + 1, partNumber: part_number, status: "update", productId, changes, message: refusedReason });
+                }
+                return { ...buildUpdatePayload(currentData, newData, changedFields, mappingProfile), currentIndex, totalProductsInFile };
+            }
+
+            await recordOutcome({ row: currentIndex + 1, partNumber: part_number, status: "skipped", productId, message: refusedReason || (held.length > 0 ? `held_by_policy: ${held.map(({ field }) => field).join(", ")}` : "no_changes") });
+            await countRows(trackingKey, "skipped-products", [currentIndex + 1]);
+            logInfoToFile((`No update needed for Part Number: ${part_number} in ${fileKey}`));
+            return null;
+            
+        } catch (error) {
+            logErrorToFile(`Error processing Part Number ${part_number} at index ${currentIndex}: ${error.message}`, error.stack);
+            await recordOutcome({ row: currentIndex + 1, partNumber: part_number, status: "failed", reason: "api_error", message: error.message }, item);
+            await countFailedRows([currentIndex + 1]);
+            return null;
+        }
+    };
+
+    // Array to collect products that need updating
+    // Every log entry of a row carries its row number and part number
+    const productsToUpdate = await Promise.all(
+        batch.map((item, index) => {
+            const currentIndex = rowNumbers ? rowNumbers[index] - 1 : startIndex + index;
+            return runWithLogContext(
+                { row: currentIndex + 1, partNumber: getPartNumber(item, mappingProfile) || null },
+                () => processRow(item, currentIndex)
+            );
         })
     );
 
     // Filter out any null entries (products that don't need updates)
     const filteredProducts = productsToUpdate.filter(Boolean);
 
-    if (filteredProducts.length > 0) {
-        while (attempts < MAX_RETRIES) {
+    if (dryRun) {
+        // Count would-be updates and creations so file progress still reaches 100%
+        await countRows(trackingKey, "updated-products", filteredProducts.map((product) => product.currentIndex + 1));
+        await countRows(trackingKey, "created-products", productsToCreate.map((product) => product.currentIndex + 1));
+        logInfoToFile(`Dry run: ${filteredProducts.length} product(s) would be updated and ${productsToCreate.length} created in batch starting at ${startIndex} for file "${fileKey}". Skipping "products/batch".`);
+    } else if (filteredProducts.length > 0 || productsToCreate.length > 0) {
+        // Items still to send; after a response only the transient per-item failures are sent again
+        let pendingUpdates = filteredProducts;
+        let pendingCreates = productsToCreate;
+        let response;
+
+        while (attempts < MAX_RETRIES && (pendingUpdates.length > 0 || pendingCreates.length > 0)) {
 
             const retryStartTime = performance.now();
 
             try {
                 const apiCallStart = performance.now();
                 // Use WooCommerce Bulk API to update products
-                const response = await limiter.schedule(
+                response = await limiter.schedule(
                     {   
-                        id: `batch-${fileKey}-processRow-${startIndex}`, 
+                        id: `batch-${fileKey}-processRow-${startIndex}-${attempts}`, 
                         context: { 
                             file: "batch-helpers.js", 
                             functionName: "processBatch", 
-                            part: filteredProducts.map(p => p.part_number).join(", ")
+                            part: [...pendingUpdates, ...pendingCreates].map(p => p.part_number).join(", ")
                         }
                     },
-                    () => wooApi.put("products/batch", { update: filteredProducts })
+                    () => wooApi.put("products/batch", {
+                        ...(pendingUpdates.length > 0 && { update: pendingUpdates }),
+                        ...(pendingCreates.length > 0 && { create: pendingCreates }),
+                    })
                 );
                 const apiCallEnd = performance.now();
                 logInfoToFile(`Time for WooCommerce API batch update call: ${(apiCallEnd - apiCallStart).toFixed(2)} ms`);
+                attempts++;
 
-                await redisClient.incrBy(`updated-products:${fileKey}`, filteredProducts.length); // Increment the count of updated products in Redis
+                // WooCommerce answers per item, in request order; rejected items carry an "error" instead of the product
+                const updateResults = pendingUpdates.map((product, index) => ({ product, result: response.data?.update?.[index] }));
+                const createResults = pendingCreates.map((product, index) => ({ product, result: response.data?.create?.[index] }));
+                const updated = updateResults.filter(({ result }) => result && !result.error);
+                const created = createResults.filter(({ result }) => result && !result.error);
+                const rejected = [...updateResults, ...createResults].filter(({ result }) => !result || result.error);
+                const retryable = attempts < MAX_RETRIES ? rejected.filter(({ result }) => isTransientItemError(result?.error)) : [];
+                const failed = rejected.filter((entry) => !retryable.includes(entry));
+
+                await countRows(trackingKey, "updated-products", updated.map(({ product }) => product.currentIndex + 1));
+                await countRows(trackingKey, "created-products", created.map(({ product }) => product.currentIndex + 1));
+
+                // Previous value of every field the update changed, so the run can be rolled back
+                recordFieldChanges(runId, fileKey, updated.map(({ product }) => {
+                    const { changedFields, currentData } = rowContext.get(product.currentIndex);
+                    return {
+                        row: product.currentIndex + 1,
+                        partNumber: product.part_number,
+                        productId: product.id,
+                        fields: changedFields.map((field) => ({ field, oldValue: getFieldValue(currentData, field), newValue: getFieldValue(product, field) })),
+                    };
+                }));
+
+                // Keep the catalog cache in line with what was just written
+                if (isCatalogCacheEnabled()) {
+                    for (const { result } of [...updated, ...created]) {
+                        await cacheProduct(result);
+                    }
+                }
 
                 // Log completion time for the batch update
                 const retryEndTime = performance.now();
-                logInfoToFile(`Batch update attempt ${attempts + 1} successful in ${(retryEndTime - retryStartTime).toFixed(2)} ms`);
+                logInfoToFile(`Batch update attempt ${attempts} done in ${(retryEndTime - retryStartTime).toFixed(2)} ms: ${updated.length} updated, ${created.length} created, ${failed.length} failed, ${retryable.length} to retry`);
 
-                filteredProducts.forEach(product => 
-                    logUpdatesToFile(`Updated: ${product.currentIndex} / ${product.totalProductsInFile} | Product ID ${product.id} | Part Number: ${product.part_number} | Source File: ${fileKey} updated.\n`)
+                updated.forEach(({ product }) => 
+                    logUpdatesToFile(`Updated: ${product.currentIndex} / ${product.totalProductsInFile} | Product ID ${product.id} | Part Number: ${product.part_number} | Source File: ${fileKey} updated.`,
+                        { row: product.currentIndex + 1, partNumber: product.part_number, productId: product.id })
                 );
+                created.forEach(({ product, result }) =>
+                    logUpdatesToFile(`Created: ${product.currentIndex} / ${product.totalProductsInFile} | Product ID ${result.id} | Part Number: ${product.part_number} | Source File: ${fileKey} created as ${product.status}.`,
+                        { row: product.currentIndex + 1, partNumber: product.part_number, productId: result.id ?? null })
+                );
+
+                for (const { product } of updated) {
+                    await recordOutcome({ row: product.currentIndex + 1, partNumber: product.part_number, status: "updated", productId: product.id, changedFields: rowContext.get(product.currentIndex).changedFields });
+                }
+                for (const { product, result } of created) {
+                    await recordOutcome({ row: product.currentIndex + 1, partNumber: product.part_number, status: "created", productId: result.id ?? null });
+                }
+                for (const { product, result } of failed) {
+                    const error = result?.error || { code: "missing_item_result", message: "No result for this item in the batch response" };
+                    logErrorToFile(`Rejected by WooCommerce: Part Number ${product.part_number} (Product ID ${product.id ?? "new"}) in ${fileKey}: [${error.code}] ${error.message}`);
+                    // A cached match deleted from WooCommerce since it was cached
+                    if (error.code === "woocommerce_rest_product_invalid_id" && isCatalogCacheEnabled()) await uncacheProduct(product.id);
+                    await recordOutcome({
+                        row: product.currentIndex + 1,
+                        partNumber: product.part_number,
+                        status: "failed",
+                        productId: product.id ?? null,
+                        reason: isTransientItemError(error) ? "api_error" : "validation_error",
+                        errorCode: error.code,
+                        message: error.message,
+                    }, rowContext.get(product.currentIndex).item);
+                }
+                await countFailedRows(failed.map(({ product }) => product.currentIndex + 1));
+
+                pendingUpdates = retryable.filter(({ product }) => pendingUpdates.includes(product)).map(({ product }) => product);
+                pendingCreates = retryable.filter(({ product }) => pendingCreates.includes(product)).map(({ product }) => product);
 
-                return response; // Exit the retry loop if successful 
+                if (retryable.length > 0) {
+                    const delay = Math.pow(2, attempts) * 1000;
+                    logErrorToFile(`Transient errors for ${retryable.length} item(s) in file "${fileKey}". Retrying them after ${delay / 1000} seconds...`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
             } catch (error) {
                 attempts++;
 
@@ -248,13 +591,18 @@ const processBatch = async (batch, startIndex, totalProductsInFile, fileKey) =>
                 logErrorToFile(`Batch update attempt ${attempts} failed. Time taken: ${(retryEndTime - retryStartTime).toFixed(2)} ms. Error: ${error.message}`, error.stack);
 
                 // Log all part numbers in the failed batch
-                const failedPartNumbers = filteredProducts.map(p => `[ Part Number: ${p.part_number}, ID: ${p.id} ]`).join("; ");
+                const failedPartNumbers = [...pendingUpdates, ...pendingCreates].map(p => `[ Part Number: ${p.part_number}, ID: ${p.id} ]`).join("; ");
                 logErrorToFile(`Products in batch - ${failedPartNumbers}`);
                     
+               // Out of attempts: the pending rows are counted as failed and the job ends normally. Throwing here would let
+               // Bull retry the whole job and count every row of the batch a second time.
                if (attempts >= MAX_RETRIES) {
-                    await redisClient.incr(`failed-products:${fileKey}`);
-                    logErrorToFile(`Batch update failed permanently after ${MAX_RETRIES} attempts for file "${fileKey}". Error: ${error.message}`);
-                    throw new Error(`Batch update failed permanently after ${MAX_RETRIES} attempts.`);
+                    for (const product of [...pendingUpdates, ...pendingCreates]) {
+                        await recordOutcome({ row: product.currentIndex + 1, partNumber: product.part_number, status: "failed", productId: product.id ?? null, reason: "api_error", message: error.message }, rowContext.get(product.currentIndex).item);
+                    }
+                    await countFailedRows([...pendingUpdates, ...pendingCreates].map((product) => product.currentIndex + 1));
+                    logErrorToFile(`Batch update failed permanently after ${MAX_RETRIES} attempts for file "${fileKey}"; ${pendingUpdates.length + pendingCreates.length} row(s) counted as failed. Error: ${error.message}`);
+                    break;
                }
 
                 const delay = Math.pow(2, attempts) * 1000; // Exponential backoff: 2, 4, 8 seconds, etc.
@@ -263,16 +611,44 @@ const processBatch = async (batch, startIndex, totalProductsInFile, fileKey) =>
                 
             }
         }
+
+        return { response, failedRows: [...failedRows] };
     } else {
         logger.info(`No valid products to update in the batch for file: "${fileKey}"`);
     }
     
     const batchEndTime = performance.now();
     logInfoToFile(`Total time for processBatch (File: ${fileKey}, StartIndex: ${startIndex}): ${(batchEndTime - batchStartTime).toFixed(2)} ms`);
+    return { response: null, failedRows: [...failedRows] };
+};
+
+// Count the rows of a job that ran out of attempts as failed, so its file and run can still finish.
+// Rows an earlier attempt already counted keep their outcome; returns the number of rows counted now.
+const failUncountedRows = async (batch, startIndex, fileKey, options = {}) => {
+    const { dryRun = false, rowNumbers, runId, reportId, message } = options;
+    const mappingProfile = resolveMappingProfile(fileKey);
+    const rows = batch.map((item, index) => ({ item, row: rowNumbers ? rowNumbers[index] : startIndex + index + 1 }));
+
+    const countedRows = await countRows(getTrackingKey(fileKey, runId), "failed-products", rows.map(({ row }) => row));
+    for (const { item, row } of rows.filter(({ row }) => countedRows.includes(row))) {
+        const outcome = { row, partNumber: getPartNumber(item, mappingProfile), status: "failed", reason: "api_error", message };
+        if (dryRun) {
+            appendDryRunReportRows(fileKey, reportId, [{ fileKey, ...outcome }]);
+        } else {
+            await recordRowOutcome(fileKey, { ...outcome, runId, item });
+        }
+    }
+    return countedRows.length;
 };
 
 module.exports = {
   normalizeText,
   isUpdateNeeded,
+  getFieldsToUpdate,
+  buildUpdatePayload,
+  describeFieldChanges,
+  createNewData,
+  filterCurrentData,
   processBatch,
+  failUncountedRows,
 };
\ No newline at end of file
@@ -0,0 +1,226 @@
+const { logger, logErrorToFile, logInfoToFile, logUpdatesToFile } = require("./logger");
+const { wooApi, limiter, normalizePartNumber, productHasPartNumber } = require("./woo-helpers");
+const { redisClient } = require("./queue");
+const { loadAllMappingProfiles, getProfileFields } = require("./mapping-helpers");
+
+// Redis-backed catalog index:
+//   catalog:part:<normalized part number>  set   product IDs indexed under the part number
+//   catalog:products                       hash  product ID -> JSON snapshot of the fields the mapping profiles compare
+//   catalog:last-sync                            ISO timestamp of the last full build or incremental refresh
+// A cached match is diffed against its snapshot, with no WooCommerce request: the snapshot is replaced whenever a batch
+// writes the product, and by the incremental refresh (modified_after) every CATALOG_REFRESH_INTERVAL_MINUTES, so edits
+// made in WooCommerce itself reach it within one interval. Trashed products leave the index on the next refresh;
+// deleted ones as soon as an update of a cached match is rejected for its unknown ID.
+const PART_KEY_PREFIX = "catalog:part:";
+const PRODUCTS_KEY = "catalog:products";
+const LAST_SYNC_KEY = "catalog:last-sync";
+const SYNC_LOCK_KEY = "catalog:sync-lock";
+const PAGE_SIZE = 100;
+
+const isCatalogCacheEnabled = () => process.env.CATALOG_CACHE_ENABLED === "true";
+
+// Fields kept in a snapshot: every core field and meta key written by any mapping profile, and their lock flags
+let trackedFields;
+const getTrackedFields = () => {
+    if (!trackedFields) {
+        const coreFields = new Set(["sku"]);
+        const metaKeys = new Set(["part_number"]);
+        loadAllMappingProfiles().forEach((profile) => {
+            const fields = getProfileFields(profile);
+            fields.coreFields.forEach((field) => coreFields.add(field));
+            [...fields.metaKeys, ...fields.lockMetaKeys].forEach((key) => metaKeys.add(key));
+        });
+        trackedFields = { coreFields: [...coreFields], metaKeys: [...metaKeys] };
+    }
+    return trackedFields;
+};
+
+const toSnapshot = (product) => {
+    const { coreFields, metaKeys } = getTrackedFields();
+    const snapshot = { id: product.id, date_modified_gmt: product.date_modified_gmt };
+
+    coreFields.forEach((field) => {
+        snapshot[field] = product[field];
+    });
+    snapshot.meta_data = (product.meta_data || []).filter((meta) => metaKeys.includes(meta.key));
+
+    return snapshot;
+};
+
+// Part numbers a product is indexed under: its SKU and its "part_number" meta value
+const getIndexKeys = (product) => {
+    const metaPartNumber = product.meta_data?.find((meta) => meta.key === "part_number")?.value;
+    return [...new Set([product.sku, metaPartNumber].map(normalizePartNumber).filter(Boolean))];
+};
+
+// SADD and SREM are atomic, so concurrent jobs caching products under the same part number can't lose each other's IDs
+const addToIndex = (part, productId) => redisClient.sAdd(`${PART_KEY_PREFIX}${part}`, String(productId));
+
+const removeFromIndex = (part, productId) => redisClient.sRem(`${PART_KEY_PREFIX}${part}`, String(productId));
+
+// Drop a product (e.g. trashed or deleted) from the snapshots and the part number index
+const uncacheProduct = async (productId) => {
+    try {
+        const previous = JSON.parse((await redisClient.hGet(PRODUCTS_KEY, String(productId))) || "null");
+        if (!previous) return;
+
+        for (const key of getIndexKeys(previous)) {
+            await removeFromIndex(key, productId);
+        }
+        await redisClient.hDel(PRODUCTS_KEY, String(productId));
+        logInfoToFile(`Removed product ID ${productId} from the catalog cache.`);
+    } catch (error) {
+        logErrorToFile(`Failed to remove product ID ${productId} from the catalog cache: ${error.message}`, error);
+    }
+};
+
+// Store (or replace) a product snapshot and keep the part number index in line with it
+const cacheProduct = async (product) => {
+    if (!product || !product.id) return;
+    if (product.status === "trash") return uncacheProduct(product.id);
+
+    try {
+        const snapshot = toSnapshot(product);
+        const previous = JSON.parse((await redisClient.hGet(PRODUCTS_KEY, String(product.id))) || "null");
+        const newKeys = getIndexKeys(snapshot);
+
+        if (previous) {
+            for (const staleKey of getIndexKeys(previous).filter((key) => !newKeys.includes(key))) {
+                await removeFromIndex(staleKey, product.id);
+            }
+        }
+
+        await redisClient.hSet(PRODUCTS_KEY, String(product.id), JSON.stringify(snapshot));
+        for (const key of newKeys) {
+            await addToIndex(key, product.id);
+        }
+    } catch (error) {
+        logErrorToFile(`Failed to cache product ID ${product.id}: ${error.message}`, error);
+    }
+};
+
+// Look a part number up in the cache. Returns null on a miss so the caller can fall back to a live lookup,
+// otherwise the same shape as resolveProductByPartNumber, with the snapshot as the product of a match.
+const lookupCachedProduct = async (partNumber) => {
+    if (!isCatalogCacheEnabled() || !(await redisClient.get(LAST_SYNC_KEY))) return null;
+
+    try {
+        const ids = await redisClient.sMembers(`${PART_KEY_PREFIX}${normalizePartNumber(partNumber)}`);
+        if (ids.length === 0) return null;
+
+        const snapshots = [];
+        for (const id of ids) {
+            const snapshot = JSON.parse((await redisClient.hGet(PRODUCTS_KEY, String(id))) || "null");
+            if (snapshot && productHasPartNumber(snapshot, partNumber)) snapshots.push(snapshot);
+        }
+
+        if (snapshots.length === 1) {
+            return { status: "matched", productId: snapshots[0].id, product: snapshots[0], candidates: snapshots, cached: true };
+        }
+        if (snapshots.length > 1) {
+            return { status: "ambiguous", productId: null, product: null, candidates: snapshots, cached: true };
+        }
+        return null;
+    } catch (error) {
+        logErrorToFile(`Catalog cache lookup failed for Part Number ${partNumber}: ${error.message}`, error);
+        return null;
+    }
+};
+
+// Page through "products" and cache every product. `params` narrows the listing (e.g. modified_after);
+// trashed products (status "trash") are removed from the cache instead.
+const syncProducts = async (params = {}) => {
+    let page = 1;
+    let totalPages = 1;
+    let productCount = 0;
+
+    do {
+        const response = await limiter.schedule(
+            {
+                id: `catalog-sync-page-${page}-${Date.now()}`,
+                context: { file: "catalog-cache.js", functionName: "syncProducts", part: `page ${page}` }
+            },
+            () => wooApi.get("products", { ...params, per_page: PAGE_SIZE, page })
+        );
+
+        const products = response.data || [];
+        for (const product of products) {
+            await cacheProduct(product);
+        }
+
+        productCount += products.length;
+        totalPages = parseInt(response.headers?.["x-wp-totalpages"], 10) || (products.length === PAGE_SIZE ? page + 1 : page);
+        logger.info(`Catalog sync: cached page ${page} / ${totalPages} (${productCount} products so far)`);
+        page++;
+    } while (page <= totalPages);
+
+    return productCount;
+};
+
+// Only one process builds or refreshes the index at a time
+const withSyncLock = async (task) => {
+    const locked = await redisClient.set(SYNC_LOCK_KEY, String(process.pid), { NX: true, EX: 60 * 60 });
+    if (!locked) {
+        logInfoToFile("Catalog sync already running in another process, skipping.");
+        return null;
+    }
+
+    try {
+        return await task();
+    } finally {
+        await redisClient.del(SYNC_LOCK_KEY);
+    }
+};
+
+// Full build: drop the index and page through the whole catalog
+const buildCatalogIndex = async () => withSyncLock(async () => {
+    const syncStartedAt = new Date().toISOString();
+    logInfoToFile("Building catalog index from WooCommerce...");
+
+    await redisClient.del([...(await redisClient.keys(`${PART_KEY_PREFIX}*`)), PRODUCTS_KEY, LAST_SYNC_KEY]);
+    const productCount = await syncProducts();
+    await redisClient.set(LAST_SYNC_KEY, syncStartedAt);
+
+    logUpdatesToFile(`Catalog index built with ${productCount} products.`);
+    return productCount;
+});
+
+// Incremental refresh: only products modified (or trashed) since the last sync
+const refreshCatalogIndex = async () => {
+    const lastSync = await redisClient.get(LAST_SYNC_KEY);
+    if (!lastSync) return buildCatalogIndex();
+
+    return withSyncLock(async () => {
+        const syncStartedAt = new Date().toISOString();
+        const productCount = await syncProducts({ modified_after: lastSync, dates_are_gmt: true });
+        // The default listing leaves trashed products out
+        const trashedCount = await syncProducts({ modified_after: lastSync, dates_are_gmt: true, status: "trash" });
+        await redisClient.set(LAST_SYNC_KEY, syncStartedAt);
+
+        logInfoToFile(`Catalog index refreshed: ${productCount} products modified and ${trashedCount} trashed since ${lastSync}.`);
+        return productCount;
+    });
+};
+
+// Build (or refresh) at startup, then refresh on an interval
+const scheduleCatalogRefresh = () => {
+    if (!isCatalogCacheEnabled()) return null;
+
+    const intervalMinutes = parseInt(process.env.CATALOG_REFRESH_INTERVAL_MINUTES || "30", 10);
+    const refresh = () => refreshCatalogIndex().catch((error) => {
+        logErrorToFile(`Catalog index refresh failed: ${error.message}`, error);
+    });
+
+    refresh();
+    return setInterval(refresh, intervalMinutes * 60 * 1000);
+};
+
+module.exports = {
+    isCatalogCacheEnabled,
+    cacheProduct,
+    uncacheProduct,
+    lookupCachedProduct,
+    buildCatalogIndex,
+    refreshCatalogIndex,
+    scheduleCatalogRefresh,
+};
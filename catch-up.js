@@ -0,0 +1,117 @@
+const { logErrorToFile, logInfoToFile, logUpdatesToFile } = require("./logger");
+const { redisClient } = require("./queue");
+const { listDatedFolders, getFolderDate } = require("./s3-helpers");
+const { createRun, waitForRunToFinish } = require("./run-manager");
+const { listCompletedFolders } = require("./run-history");
+
+// Catch-up mode: apply every dated folder newer than the last one a live run completed, oldest first.
+// Folders run one after the other (each run has to finish before the next one starts), so for a part that
+// appears in several folders the value of the latest folder is the one left in WooCommerce.
+//   catch-up:state  JSON { status, source, bucket, startedAt, finishedAt, lastCompletedFolder, folders: [{ folder, runId, status }] }
+// status: running | completed | stopped (a folder's run did not complete; later folders were not applied) | failed
+const CATCH_UP_STATE_KEY = "catch-up:state";
+const CATCH_UP_LOCK_KEY = "catch-up:lock";
+const LOCK_TTL_SECONDS = 24 * 60 * 60; // Refreshed before every folder, so a crashed catch-up doesn't block the next one forever
+
+const saveCatchUpState = async (state) => {
+    await redisClient.set(CATCH_UP_STATE_KEY, JSON.stringify(state));
+    return state;
+};
+
+const getCatchUpState = async () => JSON.parse((await redisClient.get(CATCH_UP_STATE_KEY)) || "null");
+
+// Dated folders still to apply, oldest first. Without any completed folder only the latest folder is applied,
+// rather than the storage's whole history.
+const getPendingFolders = async (storage) => {
+    const folders = await listDatedFolders(storage); // Newest first
+    const completedDates = listCompletedFolders(storage.source).filter((folder) => folders.includes(folder)).map(getFolderDate);
+    const lastCompletedDate = completedDates.length > 0 ? new Date(Math.max(...completedDates)) : null;
+
+    const pendingFolders = lastCompletedDate
+        ? folders.filter((folder) => getFolderDate(folder) > lastCompletedDate)
+        : folders.slice(0, 1);
+
+    return {
+        lastCompletedFolder: lastCompletedDate ? folders.find((folder) => getFolderDate(folder).getTime() === lastCompletedDate.getTime()) : null,
+        pendingFolders: pendingFolders.reverse(), // Chronological order
+    };
+};
+
+// Apply the pending folders in order; runOptions are passed to every run (mode, batchSize, ...).
+// Stops at the first folder whose run doesn't complete, since applying later folders would skip its updates.
+const applyFolders = async (state, runOptions) => {
+    for (const entry of state.folders) {
+        await redisClient.expire(CATCH_UP_LOCK_KEY, LOCK_TTL_SECONDS);
+        try {
+            const run = await createRun({ ...runOptions, source: state.source, bucket: state.bucket, folder: entry.folder });
+            entry.runId = run.id;
+            entry.status = "running";
+            await saveCatchUpState(state);
+
+            const finishedRun = await waitForRunToFinish(run.id);
+            entry.status = finishedRun.status;
+        } catch (error) {
+            entry.status = "failed";
+            entry.error = error.message;
+            logErrorToFile(`Catch-up: folder ${entry.folder} could not be applied: ${error.message}`, error.stack);
+        }
+        await saveCatchUpState(state);
+
+        if (entry.status !== "completed") {
+            logErrorToFile(`Catch-up stopped at folder ${entry.folder} (${entry.status}); later folders were not applied.`);
+            return "stopped";
+        }
+        logUpdatesToFile(`Catch-up: applied folder ${entry.folder} (run ${entry.runId})`);
+    }
+    return "completed";
+};
+
+// Start a catch-up in the background and return its plan. Only one catch-up runs at a time.
+const startCatchUp = async (storage, runOptions = {}) => {
+    const locked = await redisClient.set(CATCH_UP_LOCK_KEY, String(process.pid), { NX: true, EX: LOCK_TTL_SECONDS });
+    if (!locked) throw new Error("A catch-up is already in progress");
+
+    try {
+        const { lastCompletedFolder, pendingFolders } = await getPendingFolders(storage);
+        const startedAt = new Date().toISOString();
+        const state = await saveCatchUpState({
+            status: pendingFolders.length > 0 ? "running" : "completed",
+            source: storage.source,
+            bucket: storage.location,
+            startedAt,
+            finishedAt: pendingFolders.length > 0 ? null : startedAt,
+            lastCompletedFolder,
+            folders: pendingFolders.map((folder) => ({ folder, runId: null, status: "pending" })),
+        });
+        logInfoToFile(`Catch-up: last completed folder ${lastCompletedFolder || "(none)"}, applying ${pendingFolders.join(", ") || "nothing"}`);
+
+        if (pendingFolders.length === 0) {
+            await redisClient.del(CATCH_UP_LOCK_KEY);
+            return state;
+        }
+
+        applyFolders(state, runOptions)
+            .then((status) => saveCatchUpState({ ...state, status, finishedAt: new Date().toISOString() }))
+            .catch((error) => {
+                logErrorToFile(`Catch-up failed: ${error.message}`, error.stack);
+                return saveCatchUpState({ ...state, status: "failed", error: error.message, finishedAt: new Date().toISOString() });
+            })
+            .then((finalState) => {
+                const applied = (finalState.folders || []).filter((entry) => entry.status === "completed").map((entry) => entry.folder);
+                logUpdatesToFile(`Catch-up ${finalState.status}. Applied folders: ${applied.join(", ") || "none"}`);
+            })
+            .finally(() => redisClient.del(CATCH_UP_LOCK_KEY))
+            .catch((error) => logErrorToFile(`Catch-up could not record its outcome or release its lock: ${error.message}`, error.stack));
+
+        return state;
+    } catch (error) {
+        await redisClient.del(CATCH_UP_LOCK_KEY);
+        throw error;
+    }
+};
+
+module.exports = {
+    getPendingFolders,
+    getCatchUpState,
+    startCatchUp,
+};
@@ -1,53 +1,87 @@
-const fs = require("fs");
-const path = require("path");
 const { logErrorToFile, logInfoToFile } = require("./logger");
-//const { redisClient } = require('./queue');
+const { redisClient } = require('./queue');
 
-// Define the path to the checkpoint file
-const checkpointFilePath = path.join(__dirname, "process_checkpoint.json");
+// Range-based completion tracking, stored in Redis so concurrent jobs never overwrite each other.
+// Each finished job adds the row ranges (1-based, inclusive) it completed to a sorted set keyed by
+// file and file version (the S3 ETag), so a re-uploaded file starts from scratch. Only rows that were
+// updated, created or skipped count as completed: failed rows are processed again when the file is resumed.
+//   completed-ranges:<fileKey>:<fileVersion>  zset  member "start-end", score start
+// The set is kept CHECKPOINT_TTL_DAYS (default 30) after the last checkpoint of the file version.
+const getRangesKey = (fileKey, fileVersion) => `completed-ranges:${fileKey}:${fileVersion}`;
+const checkpointTtlSeconds = (parseInt(process.env.CHECKPOINT_TTL_DAYS, 10) || 30) * 24 * 60 * 60;
 
-// Save progress to the checkpoint file
-const saveCheckpoint = async (fileKey, lastProcessedRow, totalProductsInFile, batch) => {
-    if (!batch || batch.length === 0) {
-        logErrorToFile(`Invalid batch provided for checkpoint saving. File: ${fileKey}, Last Processed Row: ${lastProcessedRow}`);
-        return;
+// Collapse row numbers into sorted [start, end] ranges of consecutive rows
+const toRanges = (rows) => [...new Set(rows)].sort((a, b) => a - b).reduce((ranges, row) => {
+    const last = ranges[ranges.length - 1];
+    if (last && row === last[1] + 1) {
+        last[1] = row;
+    } else {
+        ranges.push([row, row]);
     }
+    return ranges;
+}, []);
 
-    const checkpoints = fs.existsSync(checkpointFilePath)
-        ? JSON.parse(fs.readFileSync(checkpointFilePath, "utf-8"))
-        : {};
-
-    // Calculate the updated last processed row but limit it to totalProductsInFile
-    const updatedLastProcessedRow = Math.min(lastProcessedRow + batch.length, totalProductsInFile);
-
-    // Save checkpoint only if within totalProductsInFile bounds
-    if (updatedLastProcessedRow <= totalProductsInFile) {
-        logInfoToFile(`Saving checkpoint for ${fileKey}: lastProcessedRow = ${updatedLastProcessedRow}`);
-        //await redisClient.set(`lastProcessedRow:${fileKey}`, updatedLastProcessedRow);
-        checkpoints[fileKey] = {
-            lastProcessedRow: updatedLastProcessedRow,
-            totalProductsInFile,
-            timestamp: new Date().toISOString(),
-        };
-        fs.writeFileSync(checkpointFilePath, JSON.stringify(checkpoints, null, 2));
-    } else {
-        logErrorToFile(`Attempted to save a checkpoint with lastProcessedRow (${updatedLastProcessedRow}) exceeding totalProductsInFile (${totalProductsInFile}) for file: ${fileKey}`);
+// Record completed rows as ranges (ZADD is atomic, so concurrent jobs are safe)
+const markRowsCompleted = async (fileKey, fileVersion, rows) => {
+    if (!fileVersion || !rows.every((row) => Number.isInteger(row) && row >= 1)) {
+        logErrorToFile(`Invalid rows provided for checkpoint saving. File: ${fileKey}, Version: ${fileVersion}, Rows: ${rows.join(", ")}`);
+        return;
     }
+    if (rows.length === 0) return;
+
+    const ranges = toRanges(rows);
+    await redisClient.zAdd(getRangesKey(fileKey, fileVersion), ranges.map(([start, end]) => ({ score: start, value: `${start}-${end}` })));
+    await redisClient.expire(getRangesKey(fileKey, fileVersion), checkpointTtlSeconds);
+    logInfoToFile(`Saved checkpoint for ${fileKey} (version ${fileVersion}): rows ${ranges.map(([start, end]) => `${start}-${end}`).join(", ")} completed`);
 };
 
-// Get the last checkpoint for a given file
-const getCheckpoint = (fileKey) => {
-    if (!fs.existsSync(checkpointFilePath)) {
-        logInfoToFile(`Checkpoint file not found, returning 0 for ${fileKey}`);
-        return 0;
+// Completed ranges merged into sorted, non-overlapping [start, end] pairs
+const getCompletedRanges = async (fileKey, fileVersion) => {
+    if (!fileVersion) return [];
+
+    const members = await redisClient.zRange(getRangesKey(fileKey, fileVersion), 0, -1);
+    const ranges = members
+        .map((member) => member.split("-").map((value) => parseInt(value, 10)))
+        .sort((a, b) => a[0] - b[0]);
+
+    return ranges.reduce((merged, [start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1] + 1) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+        return merged;
+    }, []);
+};
+
+// Row ranges of the file that are not in the given merged completed ranges
+const getMissingRanges = (completedRanges, totalRows) => {
+    const missing = [];
+    let nextRow = 1;
+
+    for (const [start, end] of completedRanges) {
+        if (start > nextRow) missing.push([nextRow, Math.min(start - 1, totalRows)]);
+        nextRow = Math.max(nextRow, end + 1);
     }
-    const checkpoints = JSON.parse(fs.readFileSync(checkpointFilePath, "utf-8"));
-    let checkpoint = checkpoints[fileKey]?.lastProcessedRow || 0;
-    logInfoToFile(`Retrieved last processed row for ${fileKey}: ${checkpoint}`);
-    return checkpoint;
+    if (nextRow <= totalRows) missing.push([nextRow, totalRows]);
+
+    return missing.filter(([start, end]) => start <= end);
+};
+
+// Check a 1-based row against merged completed ranges
+const isRowCompleted = (completedRanges, row) => completedRanges.some(([start, end]) => row >= start && row <= end);
+
+// Forget all completed ranges of a file version (forces a full reprocess)
+const clearCompletedRanges = async (fileKey, fileVersion) => {
+    await redisClient.del(getRangesKey(fileKey, fileVersion));
+    logInfoToFile(`Cleared checkpoints for ${fileKey} (version ${fileVersion})`);
 };
 
 module.exports = {
-    saveCheckpoint,
-    getCheckpoint,
-};
\ No newline at end of file
+    markRowsCompleted,
+    getCompletedRanges,
+    getMissingRanges,
+    isRowCompleted,
+    clearCompletedRanges,
+};
@@ -2,7 +2,16 @@ const dotenv = require("dotenv");
 dotenv.config();
 
 const { batchQueue } = require('./queue');
-const { processCSVFilesInLatestFolder } = require('./s3-helpers');
+const { createRun, getRun, pauseRun, resumeRun, cancelRun, snapshotRunFiles, recoverStaleRuns } = require('./run-manager');
+const { getDefaultSource, getDefaultLocation, getStorage } = require('./storage-sources');
+const { listRunHistory, getRunReport, toRunReportCsv } = require('./run-history');
+const { startScheduler } = require('./scheduler');
+const { startCatchUp, getCatchUpState } = require('./catch-up');
+const { scheduleCatalogRefresh } = require('./catalog-cache');
+const { limiter } = require('./woo-helpers');
+const { startRateController, getRateLimitStatus } = require('./rate-controller');
+const { getRowOutcomes, rerunFailedRows } = require('./outcome-ledger');
+const { getAuditEntries, rollbackChanges } = require('./audit-log');
 const { logger, logErrorToFile,logUpdatesToFile, logInfoToFile } = require("./logger");
 const { performance } = require("perf_hooks"); // Import performance to track time
 const { BullAdapter } = require('@bull-board/api/bullAdapter');
@@ -40,32 +49,68 @@ if (executionMode === 'development') {
   // Production-specific logic here
 }
 
-// Main process function to process CSV files
+// Dry run: diff every row against WooCommerce and write a report instead of calling "products/batch"
+const dryRun = process.env.DRY_RUN === 'true' || process.argv.includes('--dry-run');
+const uploadReport = process.env.DRY_RUN_UPLOAD_REPORT === 'true' || process.argv.includes('--upload-report');
+
+// Upsert: create products for part numbers that don't exist in WooCommerce yet
+const upsert = process.env.UPSERT_MODE === 'true' || process.argv.includes('--upsert');
+
+// Force: ignore completed row ranges and reprocess files from the first row
+const force = process.env.FORCE_REPROCESS === 'true' || process.argv.includes('--force');
+
+// Source: where the supplier files are read from, "s3" (default, or STORAGE_SOURCE) or "local" (./csvFiles/<MM-DD-YYYY>/ or LOCAL_SOURCE_DIR)
+const storageSource = process.argv.includes('--local') ? 'local' : getDefaultSource();
+
+// Catch-up: apply every dated folder newer than the last completed one, oldest first, instead of only the latest folder
+const catchUp = process.env.CATCH_UP_MODE === 'true' || process.argv.includes('--catch-up');
+
+// Scheduler: keep running and poll the storage for new files on SCHEDULER_CRON, starting a run for each batch of new files
+const schedulerEnabled = process.env.SCHEDULER_ENABLED === 'true' || process.argv.includes('--scheduler');
+
+// Auto start: start a run for the latest folder on boot (disable to only start runs through the API or the scheduler)
+const autoStart = !schedulerEnabled && process.env.AUTO_START_RUN !== 'false' && !process.argv.includes('--no-auto-start');
+
+// Main process function: start a run for the latest folder with the command-line flags
 const mainProcess = async () => {
   try {
-    const s3BucketName = (executionMode === 'development')
-                        ? process.env.S3_TEST_BUCKET_NAME 
-                        : process.env.S3_BUCKET_NAME;
+    const location = getDefaultLocation(storageSource);
 
-    if (!s3BucketName) {
+    if (!location) {
       logErrorToFile("Environment variable S3_BUCKET_NAME is not set.");
       return;
     }
 
-    logger.info(`Starting process for S3 bucket: ${s3BucketName}`);
+    const storage = getStorage(storageSource, location);
+    logger.info(`Starting process for ${storage.getUri()}`);
+    if (dryRun) logInfoToFile(`Dry run enabled: no products will be written${uploadReport ? `, reports will be uploaded to ${storage.getUri()}` : ""}`);
+    if (upsert) logInfoToFile("Upsert enabled: missing products will be created");
+
+    const runOptions = {
+      batchSize: 20,
+      mode: dryRun ? 'dry_run' : (upsert ? 'upsert' : 'update'),
+      upsert,
+      uploadReport,
+      force,
+    };
+
+    if (catchUp) {
+      // Missed folders are applied one run at a time, in chronological order
+      const state = await startCatchUp(storage, runOptions);
+      logUpdatesToFile(`Catch-up started by mainProcess: ${state.folders.map((entry) => entry.folder).join(", ") || "no folders to apply"}`);
+      return;
+    }
 
-    // Process files in the latest folder, enqueuing each batch
-    await processCSVFilesInLatestFolder(s3BucketName, 20);
+    // Files of the latest folder are read in the background, enqueuing each batch under the run's ID
+    const run = await createRun({ ...runOptions, source: storageSource, bucket: location });
 
-    // Record completion message and elapsed time
+    // Record start message and elapsed time
     const endTime = performance.now();
     const duration = ((endTime - startTime) / 1000).toFixed(2);
-    const durationMessage = `"processCSVFilesInLatestFolder" function (read CSV files) evoked in mainProcess function completed in ${duration} seconds.`;
-
-    logUpdatesToFile(durationMessage);
+    logUpdatesToFile(`Run ${run.id} started by mainProcess after ${duration} seconds.`);
   } catch (error) {
-    logErrorToFile(`Unhandled error in mainProcess: ${error.message}`);
-    handleUnexpectedEnd();
+    // The server keeps running, so the API and the scheduler can still start runs (e.g. once a run in progress for the folder has finished)
+    logErrorToFile(`No run started by mainProcess: ${error.message}`, error.stack);
   }
 };
 
@@ -76,17 +121,205 @@ function handleUnexpectedEnd() {
   process.exit(1);
 }
 
-// Start the main process
-mainProcess().catch(error => {
-  logErrorToFile(`Critical error in main: ${error.message}, error`);
+// Build the part number -> product ID catalog index (when CATALOG_CACHE_ENABLED=true) and keep it refreshed
+scheduleCatalogRefresh();
+
+// Adapt the WooCommerce request rate to the store's response times, shared with the workers
+startRateController(limiter).catch(error => logErrorToFile(`Rate controller failed to start: ${error.message}`, error));
+
+// Fail runs left without activity (e.g. by a crash) so they don't hold their folders, on boot and every 5 minutes
+const checkForStaleRuns = () => recoverStaleRuns()
+  .then((runIds) => runIds.length > 0 && logUpdatesToFile(`Failed ${runIds.length} stale run(s): ${runIds.join(", ")}`))
+  .catch(error => logErrorToFile(`Stale run check failed: ${error.message}`, error.stack));
+setInterval(checkForStaleRuns, 5 * 60 * 1000);
+
+// Start the main process once stale runs are out of the way
+if (autoStart) {
+  checkForStaleRuns().then(mainProcess).catch(error => {
+    logErrorToFile(`Critical error in main: ${error.message}`, error);
+  });
+} else {
+  checkForStaleRuns();
+}
+
+if (schedulerEnabled) {
+  startScheduler(getStorage(storageSource), {
+    batchSize: 20,
+    mode: dryRun ? 'dry_run' : (upsert ? 'upsert' : 'update'),
+    upsert,
+    uploadReport,
+  });
+}
+
+// Start a run: { source?: "s3" | "local", bucket?, folder? | fileKeys?, batchSize?, mode?: "update" | "upsert" | "dry_run", upsert?, uploadReport?, force? }
+// Without folder or fileKeys the latest dated folder is used. Responds right away; files are read in the background.
+app.post('/api/runs', async (req, res) => {
+  try {
+    const run = await createRun(req.body || {});
+    res.status(202).json(run);
+  } catch (error) {
+    logErrorToFile(`Error starting run: ${error.message}`, error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Start a catch-up over the missed dated folders: { source?, bucket?, batchSize?, mode?, upsert? }
+app.post('/api/catch-up', async (req, res) => {
+  const { source = storageSource, bucket, ...runOptions } = req.body || {};
+  try {
+    const state = await startCatchUp(getStorage(source, bucket || getDefaultLocation(source)), runOptions);
+    res.status(202).json(state);
+  } catch (error) {
+    logErrorToFile(`Error starting catch-up: ${error.message}`, error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// State of the last catch-up: which folders were applied, with their run IDs
+app.get('/api/catch-up', async (req, res) => {
+  try {
+    const state = await getCatchUpState();
+    if (!state) return res.status(404).json({ error: 'No catch-up has run yet' });
+    res.json(state);
+  } catch (error) {
+    logErrorToFile(`Error reading catch-up state: ${error.message}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run history, most recent first, e.g. GET /api/runs?status=completed&folder=10-31-2024/&limit=20
+app.get('/api/runs', async (req, res) => {
+  const { status, folder, limit } = req.query;
+  try {
+    const runs = listRunHistory({ status, folder, limit: Math.min(parseInt(limit, 10) || 50, 500) });
+    res.json({ count: runs.length, runs });
+  } catch (error) {
+    logErrorToFile(`Error listing runs: ${error.message}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-file report of a run from the run history, as JSON (default) or CSV (?format=csv)
+app.get('/api/runs/:id/report', async (req, res) => {
+  const { id } = req.params;
+  try {
+    // Runs still in progress are reported with their current counts
+    const liveRun = await getRun(id);
+    if (liveRun && !liveRun.finishedAt) await snapshotRunFiles(id);
+
+    const report = getRunReport(id);
+    if (!report) return res.status(404).json({ error: `Run ${id} not found` });
+
+    if (req.query.format === 'csv') {
+      res.type('text/csv').attachment(`run-${id}.csv`).send(toRunReportCsv(report));
+    } else {
+      res.json(report);
+    }
+  } catch (error) {
+    logErrorToFile(`Error building the report of run ${id}: ${error.message}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run status with per-file progress
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) return res.status(404).json({ error: `Run ${req.params.id} not found` });
+    res.json(run);
+  } catch (error) {
+    logErrorToFile(`Error reading run ${req.params.id}: ${error.message}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/runs/:id/pause | resume | cancel
+const runActions = { pause: pauseRun, resume: resumeRun, cancel: cancelRun };
+app.post('/api/runs/:id/:action(pause|resume|cancel)', async (req, res) => {
+  const { id, action } = req.params;
+  try {
+    const run = await runActions[action](id);
+    if (!run) return res.status(404).json({ error: `Run ${id} not found` });
+    res.json(run);
+  } catch (error) {
+    logErrorToFile(`Error trying to ${action} run ${id}: ${error.message}`, error);
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Per-row outcomes of a file in a run, e.g. GET /api/files/outcomes?fileKey=10-31-2024/parts.csv&runId=<id>&status=failed
+// (without runId: the rows processed outside of a run)
+app.get('/api/files/outcomes', async (req, res) => {
+  const { fileKey, runId, status, reason } = req.query;
+  if (!fileKey) return res.status(400).json({ error: 'fileKey is required' });
+
+  try {
+    const outcomes = await getRowOutcomes(fileKey, {
+      runId,
+      statuses: status ? status.split(',') : undefined,
+      reasons: reason ? reason.split(',') : undefined,
+    });
+    res.json({ fileKey, runId: runId || null, count: outcomes.length, outcomes });
+  } catch (error) {
+    logErrorToFile(`Error reading outcomes for file "${fileKey}": ${error.message}`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-enqueue only the failed rows of a file: { fileKey, reasons?: ["not_found", ...], batchSize?, runId?, upsert? }
+// The rows of a run are rerun in that run's mode; upsert only applies to rows processed outside of a run.
+app.post('/api/files/rerun-failures', async (req, res) => {
+  const { fileKey, reasons, batchSize, runId } = req.body || {};
+  if (!fileKey) return res.status(400).json({ error: 'fileKey is required' });
+
+  try {
+    const run = runId ? await getRun(runId) : null;
+    if (runId && !run) return res.status(404).json({ error: `Run ${runId} not found` });
+    if (run && run.mode === 'dry_run') return res.status(400).json({ error: `Run ${runId} is a dry run: it has no failed rows to rerun` });
+
+    const jobData = run
+      ? { runId, upsert: run.mode === 'upsert' || Boolean(run.upsert) }
+      : { upsert: Boolean(req.body.upsert) };
+    const result = await rerunFailedRows(fileKey, { reasons, batchSize: batchSize || 20, jobData });
+    res.json(result);
+  } catch (error) {
+    logErrorToFile(`Error re-enqueuing failed rows for file "${fileKey}": ${error.message}`, error);
+    res.status(400).json({ error: error.message });
+  }
 });
 
-// For Manual Job Triggering & Testing and Debugging 
-app.post('/api/start-batch', async (req, res) => {
-  const batchData = req.body.batchData; // Assuming batch data is passed in the request body
-  const job = await batchQueue.add({ batch: batchData });
-  logger.info(`Enqueued batch job with ID: ${job.id}`);
-  res.json({ jobId: job.id });
+// Field changes recorded before each update; at least one of runId, fileKey, partNumber
+app.get('/api/audit', async (req, res) => {
+  const { runId, fileKey, partNumber } = req.query;
+
+  try {
+    res.json(getAuditEntries({ runId, fileKey, partNumber }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Restore the previous values of a run, a file or a part number (scopes can be combined); dryRun previews the updates
+app.post('/api/rollback', async (req, res) => {
+  const { runId, fileKey, partNumber, dryRun } = req.body || {};
+
+  try {
+    const result = await rollbackChanges({ runId, fileKey, partNumber }, { dryRun: Boolean(dryRun) });
+    res.json(result);
+  } catch (error) {
+    logErrorToFile(`Error rolling back ${JSON.stringify({ runId, fileKey, partNumber })}: ${error.message}`, error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Current adaptive rate limits of the WooCommerce API
+app.get('/api/admin/rate-limits', async (req, res) => {
+  try {
+    res.json(await getRateLimitStatus());
+  } catch (error) {
+    logErrorToFile(`Error reading the rate limits: ${error.message}`, error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 const PORT = process.env.PORT || 3000;
@@ -96,11 +329,11 @@ app.listen(PORT, () => {
 });
 
 process.on('uncaughtException', (error) => {
-  logger.error("Uncaught exception", error);
+  logger.error({ err: error }, "Uncaught exception");
   handleUnexpectedEnd();
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  logger.error("Unhandled rejection", reason);
+  logger.error({ err: reason }, "Unhandled rejection");
   handleUnexpectedEnd();
 });
\ No newline at end of file
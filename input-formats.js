@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable, pipeline } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const csvParser = require("csv-parser");
+const XLSX = require("xlsx");
+const { logErrorToFile, logInfoToFile } = require("./logger");
+
+// Input-format layer: turns a supplier file body into a stream of normalized row objects, whatever the file format.
+// config/input-formats.json maps file extensions to readers and can override the reader (and its options) per folder:
+//   { "extensions": { ".csv": "csv", ... },
+//     "rules": [ { "folder": "^10-31-2024/$", "file_pattern": "acme", "format": "xlsx", "sheet": "Prices" } ] }
+const inputConfigPath = path.join(process.env.MAPPING_CONFIG_DIR || path.join(__dirname, "config"), "input-formats.json");
+
+const DEFAULT_EXTENSIONS = {
+    ".csv": "csv",
+    ".xlsx": "xlsx",
+    ".xls": "xlsx",
+    ".json": "json",
+    ".ndjson": "ndjson",
+    ".jsonl": "ndjson",
+};
+
+let inputConfig;
+const loadInputConfig = () => {
+    if (!inputConfig) {
+        const fileConfig = fs.existsSync(inputConfigPath) ? JSON.parse(fs.readFileSync(inputConfigPath, "utf-8")) : {};
+        inputConfig = {
+            extensions: { ...DEFAULT_EXTENSIONS, ...(fileConfig.extensions || {}) },
+            rules: fileConfig.rules || [],
+        };
+    }
+    return inputConfig;
+};
+
+// Supplier files may be uploaded gzip-compressed (e.g. ".csv.gz") or with a gzip Content-Encoding
+const isGzipObject = (key, contentEncoding) => key.toLowerCase().endsWith(".gz") || /gzip/i.test(contentEncoding || "");
+
+// Extension of the file once a ".gz" suffix is removed, e.g. "acme.ndjson.gz" -> ".ndjson"
+const getFileExtension = (fileKey) => path.extname(fileKey.replace(/\.gz$/i, "")).toLowerCase();
+
+// Same header normalization for every format: "Part Number " -> "part_number".
+// Values are kept as strings, like csv-parser produces them, so mapping transforms behave the same for every format.
+const normalizeRow = (row) => Object.keys(row).reduce((acc, key) => {
+    const value = row[key];
+    acc[key.trim().toLowerCase().replace(/\s+/g, "_")] = value === null || value === undefined
+        ? ""
+        : typeof value === "object" ? JSON.stringify(value) : String(value);
+    return acc;
+}, {});
+
+// Buffer a whole body; JSON arrays and workbooks can only be parsed once they are complete
+const readBody = async (source) => {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+};
+
+// Readers: (source stream, options) -> async iterable of raw row objects
+const readCsv = (source, options) => pipeline(source, csvParser({ separator: options.separator || "," }), () => {}); // Errors surface through the async iterator
+
+async function* readNdjson(source) {
+    const decoder = new StringDecoder("utf8");
+    let buffered = "";
+    let lineNumber = 0;
+
+    const parseLine = (line) => {
+        lineNumber++;
+        if (!line.trim()) return null;
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+        }
+    };
+
+    for await (const chunk of source) {
+        buffered += typeof chunk === "string" ? chunk : decoder.write(chunk);
+        const lines = buffered.split("\n");
+        buffered = lines.pop();
+        for (const line of lines) {
+            const row = parseLine(line);
+            if (row) yield row;
+        }
+    }
+
+    const row = parseLine(buffered + decoder.end());
+    if (row) yield row;
+}
+
+async function* readJsonArray(source) {
+    const rows = JSON.parse((await readBody(source)).toString("utf-8"));
+    if (!Array.isArray(rows)) throw new Error("JSON input must be an array of row objects");
+    yield* rows;
+}
+
+// options.sheet picks the worksheet by name or 0-based index; the first sheet is used otherwise
+async function* readXlsx(source, options) {
+    const workbook = XLSX.read(await readBody(source), { type: "buffer" });
+    const sheetName = typeof options.sheet === "number" ? workbook.SheetNames[options.sheet] : (options.sheet || workbook.SheetNames[0]);
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet) throw new Error(`Sheet "${options.sheet}" not found. Available sheets: ${workbook.SheetNames.join(", ")}`);
+
+    logInfoToFile(`Reading sheet "${sheetName}" of workbook with sheets: ${workbook.SheetNames.join(", ")}`);
+    // raw: false returns the formatted cell text, defval keeps empty cells as ""
+    yield* XLSX.utils.sheet_to_json(sheet, { raw: false, defval: "" });
+}
+
+const READERS = {
+    csv: readCsv,
+    ndjson: readNdjson,
+    json: readJsonArray,
+    xlsx: readXlsx,
+};
+
+// Pick the reader for a file key such as "10-31-2024/acme-parts.xlsx".
+// Rules are checked in order like the mapping rules; without a matching rule the file extension decides.
+// Returns { format, ...readerOptions } or null when the file is not a supported input.
+const resolveInputFormat = (fileKey) => {
+    const { extensions, rules } = loadInputConfig();
+    const folder = fileKey.includes("/") ? fileKey.slice(0, fileKey.lastIndexOf("/") + 1) : "";
+    const fileName = path.basename(fileKey);
+
+    const rule = rules.find(({ folder: folderPattern, file_pattern: filePattern }) => {
+        if (!folderPattern && !filePattern) return false;
+        if (folderPattern && !new RegExp(folderPattern).test(folder)) return false;
+        if (filePattern && !new RegExp(filePattern, "i").test(fileName)) return false;
+        return true;
+    });
+
+    // A rule may only set reader options (e.g. the sheet) and keep the format of the extension
+    const format = (rule && rule.format) || extensions[getFileExtension(fileKey)];
+    if (!format) return null;
+
+    return rule ? { format, sheet: rule.sheet, separator: rule.separator } : { format };
+};
+
+const isSupportedInputFile = (fileKey) => {
+    const inputFormat = resolveInputFormat(fileKey);
+    return Boolean(inputFormat && READERS[inputFormat.format]);
+};
+
+// Object-mode stream of normalized rows for a file body (gunzipped first when needed).
+// Rows are pulled one at a time, so a slow consumer pauses the body download for the streaming formats (CSV, NDJSON).
+const createRowStream = (body, fileKey, { contentEncoding } = {}) => {
+    const inputFormat = resolveInputFormat(fileKey);
+    const reader = inputFormat && READERS[inputFormat.format];
+    if (!reader) {
+        const error = new Error(`No input format for file "${fileKey}"${inputFormat ? ` (unknown format "${inputFormat.format}")` : ""}`);
+        logErrorToFile(error.message);
+        throw error;
+    }
+
+    const { format, ...options } = inputFormat;
+    logInfoToFile(`Reading file "${fileKey}" as ${format}${options.sheet !== undefined ? ` (sheet: ${options.sheet})` : ""}`);
+
+    const source = isGzipObject(fileKey, contentEncoding) ? pipeline(body, zlib.createGunzip(), () => {}) : body;
+    const rows = reader(source, options);
+
+    return Readable.from((async function* () {
+        for await (const row of rows) yield normalizeRow(row);
+    })());
+};
+
+module.exports = {
+    normalizeRow,
+    resolveInputFormat,
+    isSupportedInputFile,
+    createRowStream,
+};
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizePartNumber } = require("./woo-helpers");
+const { getPartNumber, getProfileColumns, parseNumber } = require("./mapping-helpers");
+
+// Validation of supplier files: every row is checked as the file is streamed into the queue.
+// config/validation.json (in MAPPING_CONFIG_DIR) sets the checks:
+//   { "enabled": true, "required_columns": [...], "url_columns": [...], "numeric_columns": [...],
+//     "max_lengths": { "part_number": 100, "*": 10000 }, "check_encoding": true, "quarantine_error_rate": 0.2, "sample_rows": 1000 }
+// The checks follow the file's mapping profile, so each supplier's own column names are checked:
+//   - the part number's source column is always required; "required_columns" adds fields, by their target name
+//   - "url_columns" and "numeric_columns" name fields by target and check the columns those fields read;
+//     numeric columns must be plain numbers, since they are sent as they are
+//   - the columns of fields with a numeric transform (number, integer, fixed, unit) must contain a number the transform can read
+//   - "max_lengths" applies to the file's own column names ("*" to every column)
+// A row failing any check is rejected. Before a file is read, its header and first "sample_rows" rows are checked:
+// a file whose share of rejected sample rows exceeds "quarantine_error_rate" (or that lacks a required column)
+// is quarantined and not processed at all.
+const validationConfigPath = path.join(process.env.MAPPING_CONFIG_DIR || path.join(__dirname, "config"), "validation.json");
+
+const DEFAULT_VALIDATION_CONFIG = {
+    enabled: true,
+    required_columns: [],
+    url_columns: ["image_url", "datasheet_url"],
+    numeric_columns: ["spq", "quantity"],
+    max_lengths: {},
+    check_encoding: true,
+    quarantine_error_rate: 0.2,
+    sample_rows: 1000,
+};
+
+let validationConfig;
+const loadValidationConfig = () => {
+    if (!validationConfig) {
+        const fileConfig = fs.existsSync(validationConfigPath) ? JSON.parse(fs.readFileSync(validationConfigPath, "utf-8")) : {};
+        validationConfig = { ...DEFAULT_VALIDATION_CONFIG, ...fileConfig };
+    }
+    return validationConfig;
+};
+
+// UTF-8 text decoded as Windows-1252/Mac Roman, e.g. "®" read as "¬Æ", "é" as "Ã©", "’" as "â€™", or replacement characters
+const MOJIBAKE_PATTERN = /\u00ac\u00c6|\u00c3[\u0080-\u00bf]|\u00c2[\u0080-\u00bf]|\u00e2\u20ac|\ufffd/;
+const NUMBER_PATTERN = /^-?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?$/;
+
+const isValidUrl = (value) => {
+    try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Columns a profile's files are checked on, resolved from the config's target names:
+// { partNumberColumns, requiredColumns: [[alternative columns], ...], urlColumns, plainNumberColumns, numericColumns }
+const getValidationColumns = (profile, config = loadValidationConfig()) => {
+    const { partNumberColumns, fieldColumns, numericColumns } = getProfileColumns(profile);
+    const columnsOf = (targets) => [...new Set(targets.flatMap((target) => fieldColumns[target] || []))];
+
+    return {
+        partNumberColumns,
+        requiredColumns: [partNumberColumns, ...config.required_columns.map((target) => fieldColumns[target]).filter(Boolean)],
+        urlColumns: columnsOf(config.url_columns),
+        plainNumberColumns: columnsOf(config.numeric_columns),
+        numericColumns,
+    };
+};
+
+// Check a single row; returns a list of { code, column, message }
+const validateRow = (row, partNumber, columns, config) => {
+    const errors = [];
+
+    if (!partNumber) {
+        errors.push({ code: "missing_part_number", column: columns.partNumberColumns.join(" | "), message: "Missing part number" });
+    }
+
+    columns.urlColumns.forEach((column) => {
+        const value = String(row[column] ?? "").trim();
+        if (value && !isValidUrl(value)) {
+            errors.push({ code: "invalid_url", column, message: `${column} is not an http(s) URL: "${value}"` });
+        }
+    });
+
+    columns.plainNumberColumns.forEach((column) => {
+        const value = String(row[column] ?? "").trim();
+        if (value && !NUMBER_PATTERN.test(value)) {
+            errors.push({ code: "invalid_number", column, message: `${column} is not a number: "${value}"` });
+        }
+    });
+
+    columns.numericColumns.filter((column) => !columns.plainNumberColumns.includes(column)).forEach((column) => {
+        const value = String(row[column] ?? "").trim();
+        if (value && isNaN(parseNumber(value))) {
+            errors.push({ code: "invalid_number", column, message: `${column} has no number in it: "${value}"` });
+        }
+    });
+
+    Object.entries(row).forEach(([column, value]) => {
+        const text = String(value ?? "");
+        const maxLength = config.max_lengths[column] ?? config.max_lengths["*"];
+        if (maxLength && text.length > maxLength) {
+            errors.push({ code: "too_long", column, message: `${column} is ${text.length} characters long (max ${maxLength})` });
+        }
+        if (config.check_encoding && MOJIBAKE_PATTERN.test(text)) {
+            errors.push({ code: "encoding_error", column, message: `${column} contains mis-encoded characters: "${text.slice(0, 80)}"` });
+        }
+    });
+
+    return errors;
+};
+
+// Validator for one file: feed it every row, then read the result.
+// Result: { fileKey, totalRows, missingColumns, rejections: Map row -> { row, partNumber, errors }, partNumbers: Map part -> first row }
+// folderPartNumbers (optional): Map normalized part number -> { fileKey, row } shared by the validators of a folder's files,
+// so a part number already read from another file of the folder is rejected; the file read first keeps it
+const createFileValidator = (fileKey, profile, config = loadValidationConfig(), folderPartNumbers = null) => {
+    const result = { fileKey, totalRows: 0, missingColumns: [], rejections: new Map(), partNumbers: new Map() };
+    const columns = getValidationColumns(profile, config);
+
+    const reject = (row, partNumber, errors) => {
+        const rejection = result.rejections.get(row) || { row, partNumber, errors: [] };
+        rejection.errors.push(...errors);
+        result.rejections.set(row, rejection);
+    };
+
+    return {
+        addRow: (item, row) => {
+            if (result.totalRows === 0) {
+                result.missingColumns = columns.requiredColumns
+                    .filter((alternatives) => !alternatives.some((column) => column in item))
+                    .map((alternatives) => alternatives.join(" | "));
+            }
+            result.totalRows++;
+
+            const partNumber = getPartNumber(item, profile);
+            const errors = validateRow(item, partNumber, columns, config);
+
+            // Duplicate part numbers in the file: the first row wins, the others are rejected
+            const normalized = normalizePartNumber(partNumber);
+            if (normalized && result.partNumbers.has(normalized)) {
+                errors.push({ code: "duplicate_part_number", column: columns.partNumberColumns.join(" | "), message: `Duplicate of row ${result.partNumbers.get(normalized)}` });
+            } else if (normalized) {
+                result.partNumbers.set(normalized, row);
+                // Already in another file of the folder; only a valid row claims its part number for the folder
+                const owner = folderPartNumbers && folderPartNumbers.get(normalized);
+                if (owner) {
+                    errors.push({ code: "duplicate_part_number_in_folder", column: "part_number", message: `Also in ${owner.fileKey} row ${owner.row}` });
+                } else if (folderPartNumbers && errors.length === 0) {
+                    folderPartNumbers.set(normalized, { fileKey, row });
+                }
+            }
+
+            if (errors.length > 0) reject(row, partNumber, errors);
+        },
+        result: () => result,
+    };
+};
+
+// Share of rejected rows, and whether the file should be quarantined
+const getQuarantineDecision = ({ totalRows, missingColumns, rejections }, config = loadValidationConfig()) => {
+    const errorRate = totalRows > 0 ? rejections.size / totalRows : 0;
+
+    if (missingColumns.length > 0) {
+        return { quarantined: true, errorRate, message: `Missing required column(s): ${missingColumns.join(", ")}` };
+    }
+    if (errorRate > config.quarantine_error_rate) {
+        return { quarantined: true, errorRate, message: `${rejections.size} of ${totalRows} rows invalid (${(errorRate * 100).toFixed(1)}%, max ${config.quarantine_error_rate * 100}%)` };
+    }
+    return { quarantined: false, errorRate };
+};
+
+module.exports = {
+    loadValidationConfig,
+    getValidationColumns,
+    validateRow,
+    createFileValidator,
+    getQuarantineDecision,
+};
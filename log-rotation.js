@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Log files rotated by day and by size, with a retention period:
+//   <dir>/<name>-<YYYY-MM-DD>.ndjson, then <name>-<YYYY-MM-DD>.1.ndjson, .2, ... once a file exceeds LOG_MAX_SIZE_MB (default 5)
+// The day is the Pacific Time day, like the rest of our timestamps. Files older than LOG_RETENTION_DAYS (default 14) are deleted
+// when a new file is started. Full files are never renamed, so the server and the workers can append to the same files.
+const getRotationConfig = () => ({
+    maxSize: (parseFloat(process.env.LOG_MAX_SIZE_MB) || 5) * 1024 * 1024,
+    retentionDays: parseInt(process.env.LOG_RETENTION_DAYS, 10) || 14,
+});
+
+const SIZE_CHECK_INTERVAL = 100; // Writes between two size checks of the file on disk (other processes append too)
+
+const getLogDay = () => dayjs().tz("America/Los_Angeles").format("YYYY-MM-DD");
+
+const getLogFileName = (name, day, index) => `${name}-${day}${index > 0 ? `.${index}` : ""}.ndjson`;
+
+// Files of one log, e.g. [{ fileName: "error-log-2024-10-31.1.ndjson", day: "2024-10-31", index: 1 }]
+const listLogFiles = (dir, name) => {
+    const pattern = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.ndjson$`);
+    return fs.readdirSync(dir)
+        .map((fileName) => fileName.match(pattern))
+        .filter(Boolean)
+        .map(([fileName, day, index]) => ({ fileName, day, index: parseInt(index || 0, 10) }));
+};
+
+const removeExpiredLogFiles = (dir, name, retentionDays) => {
+    const oldestDay = dayjs(getLogDay()).subtract(retentionDays, "day").format("YYYY-MM-DD");
+    listLogFiles(dir, name)
+        .filter(({ day }) => day < oldestDay)
+        .forEach(({ fileName }) => fs.rmSync(path.join(dir, fileName), { force: true }));
+};
+
+const getFileSize = (filePath) => (fs.existsSync(filePath) ? fs.statSync(filePath).size : 0);
+
+// A pino destination ({ write(line) }) appending to the current file of a log
+const createRotatingFileStream = (dir, name) => {
+    const config = getRotationConfig();
+    fs.mkdirSync(dir, { recursive: true });
+
+    const state = { day: null, index: 0, filePath: null, size: 0, writes: 0 };
+
+    // Continue with the latest file of the day (another process or an earlier start may have written it)
+    const openDay = (day) => {
+        const indexes = listLogFiles(dir, name).filter((file) => file.day === day).map((file) => file.index);
+        state.day = day;
+        state.index = indexes.length > 0 ? Math.max(...indexes) : 0;
+        state.filePath = path.join(dir, getLogFileName(name, day, state.index));
+        state.size = getFileSize(state.filePath);
+        removeExpiredLogFiles(dir, name, config.retentionDays);
+    };
+
+    const openNextFile = () => {
+        do {
+            state.index++;
+            state.filePath = path.join(dir, getLogFileName(name, state.day, state.index));
+            state.size = getFileSize(state.filePath);
+        } while (state.size >= config.maxSize);
+        removeExpiredLogFiles(dir, name, config.retentionDays);
+    };
+
+    return {
+        write: (line) => {
+            const day = getLogDay();
+            if (day !== state.day) openDay(day);
+
+            if (++state.writes % SIZE_CHECK_INTERVAL === 0) state.size = getFileSize(state.filePath);
+            if (state.size >= config.maxSize) openNextFile();
+
+            fs.appendFileSync(state.filePath, line);
+            state.size += Buffer.byteLength(line);
+        },
+    };
+};
+
+module.exports = {
+    createRotatingFileStream,
+};
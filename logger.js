@@ -1,215 +1,132 @@
 const fs = require("fs");
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 const pino = require("pino");
 const pinoPretty = require("pino-pretty");
-const dayjs = require('dayjs');
-const utc = require('dayjs/plugin/utc');
-const timezone = require('dayjs/plugin/timezone');
 const { redisClient } = require('./queue');
-
+const { createRotatingFileStream } = require("./log-rotation");
+
+// Structured logs: one JSON object per line (NDJSON) in three logs, each rotated by day and size (see log-rotation.js):
+//   output-files/logs/log-info-<day>.ndjson         logInfoToFile and logger.*
+//   output-files/logs/updated-products-<day>.ndjson logUpdatesToFile: product updates and creations, progress
+//   output-files/logs/error-log-<day>.ndjson        logErrorToFile, logDetailedErrorToFile
+// Every entry carries runId, jobId, fileKey, row and partNumber (null when unknown), taken from the log context
+// (runWithLogContext) and from the fields passed to the call, e.g. logInfoToFile("Fetched product", { productId }).
+// LOG_LEVEL sets the level (default: "info" in production, "debug" in stage and development); LOG_DIR the directory.
+// OUTPUT_DIR moves output-files/ itself, reports included.
+// The console gets the same entries, pretty-printed on a terminal and as JSON otherwise (LOG_PRETTY=true|false forces it).
+const executionMode = process.env.EXECUTION_MODE || 'production';
 
 // Create the output-files directory if it doesn't exist
-const outputDir = path.join(__dirname, "output-files");
+const outputDir = process.env.OUTPUT_DIR || path.join(__dirname, "output-files");
 if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir);
+    fs.mkdirSync(outputDir, { recursive: true });
 }
 
 // Get a file path within the output-files directory
 const getOutputFilePath = (filename) => path.join(outputDir, filename);
 
-// Generate the unique filename with date and increment version dynamically if file exists
-const date = new Date().toISOString().split("T")[0]; // YYYY-MM-DD format
-
-// Generate the current date and time in PST
-const getPSTDate = () => {
-    return new Date().toLocaleString("en-US", {
-        timeZone: "America/Los_Angeles",
-        year: "numeric",
-        month: "2-digit",
-        day: "2-digit",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: true, // Optional: change to false for 24-hour format
-    });
-};
+const LOG_LEVELS_BY_MODE = { production: "info", stage: "debug", development: "debug" };
+const logLevel = process.env.LOG_LEVEL || LOG_LEVELS_BY_MODE[executionMode] || "info";
+const logDir = process.env.LOG_DIR || getOutputFilePath("logs");
+const prettyOutput = process.env.LOG_PRETTY ? process.env.LOG_PRETTY === "true" : Boolean(process.stdout.isTTY);
 
-// Generate a file-safe timestamp (e.g., YYYY-MM-DD_HH-MM-SS)
-const getFileSafePSTDate = () => {
-    const date = new Date().toLocaleString("en-US", {
-        timeZone: "America/Los_Angeles",
-        year: "numeric",
-        month: "2-digit",
-        day: "2-digit",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        hour12: false, // 24-hour format
-    });
-
-    // Replace characters to make it file-name safe
-    return date.replace(/[/, ]/g, "-").replace(/:/g, "-");
-};
-
-// Generate a unique file name by checking for existing files
-const generateFileName = (fileName = "log-info") => {
-    const creationTimestamp = getFileSafePSTDate(); // Capture creation timestamp
-    let version = 1;
-    let generatedFileName;
-
-    do {
-        generatedFileName = `${fileName}-${creationTimestamp}-v${version}.txt`;
-        version += 1;
-    } while (fs.existsSync(getOutputFilePath(generatedFileName)));
-    
-    return generatedFileName;
-};
-
-let updatedProductsFileName = getOutputFilePath(generateFileName("updated-products"));
-
-// Set the updatedProductsFileName to the unique file name
-// updatedProductsFileName = generateFileName("updated-products");
-
-const maxSize = 5 * 1024 * 1024; // Max 5 MB per log file
-const rotateLogFile = (currentFileName) => {
-    const filePath = getOutputFilePath(currentFileName);
-    if (fs.existsSync(filePath) && fs.statSync(filePath).size > maxSize) {
-        const rotatedFileName = filePath.replace(".txt", `-end-${getFileSafePSTDate()}.txt`);
-        fs.renameSync(filePath, rotatedFileName);
-        updatedProductsFileName = getOutputFilePath(generateFileName(currentFileName.split('-')[0]));
-    }
-};
+// Correlation fields of the current run, job, file and row; nested contexts add to the outer one
+const logContext = new AsyncLocalStorage();
+const CONTEXT_FIELDS = { runId: null, jobId: null, fileKey: null, row: null, partNumber: null };
 
-// Extend dayjs with UTC and timezone plugins
-dayjs.extend(utc);
-dayjs.extend(timezone);
+const runWithLogContext = (context, fn) => logContext.run({ ...logContext.getStore(), ...context }, fn);
 
-// Define a custom timestamp function for Pacific Time
-const customTimestamp = () => `,"time":"${dayjs().tz('America/Los_Angeles').format('YYYY-MM-DD HH:mm:ss')}"`;
+const consoleStream = prettyOutput
+    ? pinoPretty({ colorize: true, levelFirst: true, translateTime: "SYS:yyyy-mm-dd HH:MM:ss", ignore: "log" })
+    : process.stdout;
 
-// Logger setup with pino-pretty
-const logger = pino(
+const createLogger = (name) => pino(
     {
-        base: null, // Removes default 'pid' and 'hostname' fields
-        timestamp: customTimestamp, // Use the custom timestamp function
+        level: logLevel,
+        base: { log: name },
+        timestamp: pino.stdTimeFunctions.isoTime,
+        formatters: { level: (label) => ({ level: label }) },
+        mixin: () => ({ ...CONTEXT_FIELDS, ...logContext.getStore() }),
     },
-    pinoPretty({
-        levelFirst: true,
-        colorize: true,
-        translateTime: false, // Disable default time translation
-    })
+    pino.multistream([
+        { level: logLevel, stream: consoleStream },
+        { level: logLevel, stream: createRotatingFileStream(logDir, name) },
+    ])
 );
 
-const logDetailedErrorToFile = (error, message = "") => {
-    rotateLogFile("error-log");
-    let formattedMessage = `[${getPSTDate()}] ${message}\n`;
-    formattedMessage += `Error Name: ${error.name}\n`;
-    formattedMessage += `Error Code: ${error.code || "N/A"}\n`;
-    formattedMessage += `Error Message: ${error.message}\n`;
-    formattedMessage += `Error Stack Trace: ${error.stack}\n`;
-    logger.error(`Error occurred: ${formattedMessage}`);
-    fs.appendFileSync(getOutputFilePath("error-log.txt"), formattedMessage);
-};
+const logger = createLogger("log-info");
+const updatesLogger = createLogger("updated-products");
+const errorLogger = createLogger("error-log");
 
-  
-// Function to log skipped items or errors directly to the file
-const logErrorToFile = (message, error = null) => { // Add an optional error parameter
-    rotateLogFile("error-log");
-    let formattedMessage = `[${getPSTDate()}] ${message}\n`;
+// The error argument of logErrorToFile is an Error, a stack trace or any other detail
+const getErrorFields = (error) => {
+    if (!error) return {};
+    if (typeof error === "string") return { stack: error };
+    if (error instanceof Error) return { err: error };
+    return { detail: error };
+};
 
-    if (error) formattedMessage += `- Error Stack Trace: ${error.stack}\n`;
+const logDetailedErrorToFile = (error, message = "", fields = {}) => {
+    errorLogger.error({ ...fields, err: error, errorCode: error.code || null }, message);
+};
 
-    logger.error(`Error occurred: ${formattedMessage}`);
-    fs.appendFileSync(getOutputFilePath("error-log.txt"), formattedMessage);
+// Function to log skipped items or errors
+const logErrorToFile = (message, error = null, fields = {}) => {
+    errorLogger.error({ ...fields, ...getErrorFields(error) }, message);
 };
 
-const logUpdatesToFile = (message) => {
-    rotateLogFile(updatedProductsFileName);
-    const formattedMessage = `[${getPSTDate()}] ${message}\n`;
-    logger.warn(`${formattedMessage}`);
-    fs.appendFileSync(updatedProductsFileName, formattedMessage);
+const logUpdatesToFile = (message, fields = {}) => {
+    updatesLogger.info(fields, message);
 };
 
-const logInfoToFile = (message) => {
-    rotateLogFile("log-info");
-    const formattedMessage = `[${getPSTDate()}] ${message}\n`;
-    logger.info(`${formattedMessage}`);
-    fs.appendFileSync(getOutputFilePath("log-info.txt"), formattedMessage);
+const logInfoToFile = (message, fields = {}) => {
+    logger.info(fields, message);
 };
 
-// Function to read existing progress from the file
-const readProgressFile = (filePath) => {
-    if (fs.existsSync(filePath)) {
-        console.log(`Debug - Reading progress file at: ${filePath}`);
-        const content = fs.readFileSync(filePath, "utf-8");
-        console.log("Debug - File content:", content);
-
-        return content.split("\n").reduce((acc, line) => {
-            const match = line.match(/Progress for file "(.+?)": (\d+) updated, (\d+) skipped, (\d+) failed, out of (\d+) rows \((\d+)%\)\./);
-            if (match) {
-                acc[match[1]] = {
-                    updatedCount: parseInt(match[2], 10),
-                    skippedCount: parseInt(match[3], 10),
-                    failedCount: parseInt(match[4], 10),
-                    totalCount: parseInt(match[5], 10),
-                    progress: parseInt(match[6], 10),
-                };
-            }
-            return acc;
-        }, {});
-    } else {
-        console.log(`Debug - Progress file not found at: ${filePath}`);
+// Latest counts per file, kept as JSON so they can be read back without parsing log lines
+const progressFilePath = getOutputFilePath("update-progress.json");
+
+const readProgressFile = () => {
+    try {
+        return fs.existsSync(progressFilePath) ? JSON.parse(fs.readFileSync(progressFilePath, "utf-8")) : {};
+    } catch (error) {
+        logErrorToFile(`Unreadable progress file ${progressFilePath}: ${error.message}`);
+        return {};
     }
-    return {};
 };
 
-// Function to write updated progress to the file
+// Merge new progress entries into the progress file
 const writeProgressFile = (newProgress) => {
-    const progressFilePath = getOutputFilePath("update-progress.txt");
-    
-    // Read existing progress entries
-    const existingProgress = readProgressFile(progressFilePath) || {}; // Load existing progress if any
-    
-    // Merge the new progress with existing progress
-    const updatedProgress = { ...existingProgress, ...newProgress };
-
-    // Convert the updated progress object to a string format for writing
-    const content = Object.keys(updatedProgress).map((fileKey) => {
-        const { updatedCount, skippedCount, failedCount, totalCount, progress: progressPercentage } = updatedProgress[fileKey];
-        return `[${getPSTDate()}] Progress for file "${fileKey}": ${updatedCount} updated, ${skippedCount} skipped, ${failedCount} failed, out of ${totalCount} rows (${progressPercentage}%).`;
-    }).join("\n");
-
-    // Write back to the file, replacing old content with the latest state for each file
-    fs.writeFileSync(progressFilePath, content + "\n", 'utf-8');
+    const updatedProgress = { ...readProgressFile(), ...newProgress };
+    fs.writeFileSync(progressFilePath, JSON.stringify(updatedProgress, null, 2), 'utf-8');
 };
 
 // Main function to log file progress
+// fileKey is the tracking key of the file's counters ("<runId>:<fileKey>" for files read by a run)
 const logFileProgress = async (fileKey) => {
     try {
-        const progressFilePath = getOutputFilePath("update-progress.txt");
-        const existingProgress = readProgressFile(progressFilePath);
-
-        // Debug log for initial existing progress
-        logInfoToFile(`Debug - Initial existingProgress: ${JSON.stringify(existingProgress, null, 2)}`);
 
         // Fetch current counts from Redis
         const totalRows = await redisClient.get(`total-rows:${fileKey}`);
         const updatedProducts = await redisClient.get(`updated-products:${fileKey}`);
         const skippedProducts = await redisClient.get(`skipped-products:${fileKey}`);
         const failedProducts = await redisClient.get(`failed-products:${fileKey}`);
+        const createdProducts = await redisClient.get(`created-products:${fileKey}`);
 
         const totalRowsCount = totalRows ? parseInt(totalRows, 10) : 0;
         const updatedProductsCount = updatedProducts ? parseInt(updatedProducts, 10) : 0;
         const skippedProductsCount = skippedProducts ? parseInt(skippedProducts, 10) : 0;
         const failedProductsCount = failedProducts ? parseInt(failedProducts, 10) : 0;
+        const createdProductsCount = createdProducts ? parseInt(createdProducts, 10) : 0;
 
         // Calculate progress for this file
-        const totalProcessedCount = Math.min(updatedProductsCount + skippedProductsCount + failedProductsCount, totalRowsCount);
+        const totalProcessedCount = Math.min(updatedProductsCount + createdProductsCount + skippedProductsCount + failedProductsCount, totalRowsCount);
         const progress = totalRowsCount > 0 ? Math.round((totalProcessedCount / totalRowsCount) * 100) : 0;
 
-        // Update progress for the individual file
-        existingProgress[fileKey] = {
+        const fileProgress = {
             updatedCount: updatedProductsCount,
+            createdCount: createdProductsCount,
             skippedCount: skippedProductsCount,
             failedCount: failedProductsCount,
             totalCount: totalRowsCount,
@@ -217,10 +134,10 @@ const logFileProgress = async (fileKey) => {
         };
 
         // Write the file-specific progress entry
-        writeProgressFile({ [fileKey]: existingProgress[fileKey] });
+        writeProgressFile({ [fileKey]: fileProgress });
 
-        // Log human-readable progress for this file
-        logUpdatesToFile(`[${getPSTDate()}] Progress for file "${fileKey}": ${updatedProductsCount} updated, ${skippedProductsCount} skipped, ${failedProductsCount} failed, out of ${totalRowsCount} rows (${progress}%).`);
+        // Log progress for this file, with its counts as fields
+        logUpdatesToFile(`Progress for file "${fileKey}": ${updatedProductsCount} updated, ${createdProductsCount} created, ${skippedProductsCount} skipped, ${failedProductsCount} failed, out of ${totalRowsCount} rows (${progress}%).`, { trackingKey: fileKey, ...fileProgress });
     } catch (error) {
         logErrorToFile(`Error logging progress for file "${fileKey}": ${error.message}`);
     }
@@ -232,6 +149,7 @@ const logOverallProgress = async () => {
         const totalOverallCount = await redisClient.get('overall-total-rows') || 0;
 
         let totalUpdatedOverall = 0;
+        let totalCreatedOverall = 0;
         let totalSkippedOverall = 0;
         let totalFailedOverall = 0;
 
@@ -240,22 +158,24 @@ const logOverallProgress = async () => {
 
         // Iterate through each file's keys to accumulate progress counts
         for (const fileKey of fileKeys) {
-            // Extract the unique file identifier from the key (e.g., "total-rows:<fileKey>")
-            const fileIdentifier = fileKey.split(':')[1];
+            // Extract the unique file identifier from the key (e.g., "total-rows:<fileKey>" or "total-rows:<runId>:<fileKey>")
+            const fileIdentifier = fileKey.slice('total-rows:'.length);
 
             const updatedProducts = await redisClient.get(`updated-products:${fileIdentifier}`);
             const skippedProducts = await redisClient.get(`skipped-products:${fileIdentifier}`);
             const failedProducts = await redisClient.get(`failed-products:${fileIdentifier}`);
+            const createdProducts = await redisClient.get(`created-products:${fileIdentifier}`);
 
             // Parse values and accumulate counts for overall progress
             totalUpdatedOverall += updatedProducts ? parseInt(updatedProducts, 10) : 0;
             totalSkippedOverall += skippedProducts ? parseInt(skippedProducts, 10) : 0;
             totalFailedOverall += failedProducts ? parseInt(failedProducts, 10) : 0;
+            totalCreatedOverall += createdProducts ? parseInt(createdProducts, 10) : 0;
         }
 
         // Calculate the total processed count and the overall progress percentage
         const totalProcessedOverall = Math.min(
-            totalUpdatedOverall + totalSkippedOverall + totalFailedOverall,
+            totalUpdatedOverall + totalCreatedOverall + totalSkippedOverall + totalFailedOverall,
             parseInt(totalOverallCount, 10)
         );
         const overallProgress = totalOverallCount > 0 ? Math.round((totalProcessedOverall / totalOverallCount) * 100) : 0;
@@ -264,6 +184,7 @@ const logOverallProgress = async () => {
         const overallProgressData = {
             Overall: {
                 updatedCount: totalUpdatedOverall,
+                createdCount: totalCreatedOverall,
                 skippedCount: totalSkippedOverall,
                 failedCount: totalFailedOverall,
                 totalCount: parseInt(totalOverallCount, 10),
@@ -271,25 +192,27 @@ const logOverallProgress = async () => {
             }
         };
 
-        // Write overall progress to update-progress.txt
+        // Write overall progress to update-progress.json
         writeProgressFile(overallProgressData);
 
         // Log the overall progress
-        logUpdatesToFile(`[${getPSTDate()}] Overall progress: ${totalUpdatedOverall} updated, ${totalSkippedOverall} skipped, ${totalFailedOverall} failed, out of ${totalOverallCount} rows (${overallProgress}%).`);
+        logUpdatesToFile(`Overall progress: ${totalUpdatedOverall} updated, ${totalCreatedOverall} created, ${totalSkippedOverall} skipped, ${totalFailedOverall} failed, out of ${totalOverallCount} rows (${overallProgress}%).`, overallProgressData.Overall);
         
     } catch (error) {
         logErrorToFile(`Error logging overall progress: ${error.message}`);
     }
 };
 
-// Call this function periodically, e.g., every 2 minutes
-setInterval(logOverallProgress, 2 * 60 * 1000); // 2 minutes in milliseconds
+// Call this function periodically, e.g., every 2 minutes; the timer alone doesn't keep a process running
+setInterval(logOverallProgress, 2 * 60 * 1000).unref(); // 2 minutes in milliseconds
 
 module.exports = {
     logger,
+    runWithLogContext,
+    getOutputFilePath,
     logUpdatesToFile,
     logErrorToFile,
     logDetailedErrorToFile,
     logInfoToFile,
-    logFileProgress
+    logFileProgress,
 };
\ No newline at end of file
@@ -0,0 +1,328 @@
+const fs = require("fs");
+const path = require("path");
+const { logErrorToFile } = require("./logger");
+
+// Mapping profiles live in config/mappings/<name>.json. Each profile declares the target fields
+// ("core" WooCommerce fields or "meta" keys), the CSV column(s) they are read from, optional
+// transforms and whether the field participates in diffing ("diff": false sends it without comparing).
+// Numeric fields ("compare": "number", or any number/integer/fixed/unit transform) are diffed as numbers, and
+// "max_change_percent" refuses a change that swings the current value by more than that percentage.
+// A "price_breaks" field collects quantity price breaks from columns matching "column_pattern" (e.g. price_1, price_10).
+// Prices and stock are synced the same way: only from files that carry a value in their columns (price_1 / price_<qty>,
+// stock_quantity, ...), since numeric fields of a missing or empty column are left out. A supplier whose feed shouldn't
+// set them gets a profile without those fields.
+// "policy" decides whether an existing product's value may be replaced (default "overwrite"):
+//   overwrite                always write the file's value
+//   fill_if_empty            only write when the product has no value yet
+//   never                    only set on products created in upsert mode
+//   overwrite_unless_locked  write unless the product's lock meta flag ("lock_meta_key", default "_lock_<target>") is set
+// config/mapping-rules.json picks the profile per S3 folder or per file-name pattern.
+const mappingConfigDir = process.env.MAPPING_CONFIG_DIR || path.join(__dirname, "config");
+const mappingProfilesDir = path.join(mappingConfigDir, "mappings");
+const mappingRulesPath = path.join(mappingConfigDir, "mapping-rules.json");
+
+let stripHtml;
+(async () => {
+    stripHtml = (await import("string-strip-html")).stripHtml;
+})();
+
+// Conversion factors to a base unit per dimension (length: mm, mass: g)
+const unitFactors = {
+    mm: { dimension: "length", factor: 1 },
+    cm: { dimension: "length", factor: 10 },
+    m: { dimension: "length", factor: 1000 },
+    in: { dimension: "length", factor: 25.4 },
+    ft: { dimension: "length", factor: 304.8 },
+    mg: { dimension: "mass", factor: 0.001 },
+    g: { dimension: "mass", factor: 1 },
+    kg: { dimension: "mass", factor: 1000 },
+    oz: { dimension: "mass", factor: 28.349523125 },
+    lb: { dimension: "mass", factor: 453.59237 },
+};
+
+const toCelsius = { C: (v) => v, F: (v) => (v - 32) * 5 / 9, K: (v) => v - 273.15 };
+const fromCelsius = { C: (v) => v, F: (v) => v * 9 / 5 + 32, K: (v) => v + 273.15 };
+
+const parseNumber = (value) => {
+    if (typeof value === "number") return value;
+    const match = String(value ?? "").replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : NaN;
+};
+
+const convertUnit = (value, from, to, precision = 4) => {
+    const number = parseNumber(value);
+    if (isNaN(number)) return undefined;
+
+    let converted;
+    if (toCelsius[from] && fromCelsius[to]) {
+        converted = fromCelsius[to](toCelsius[from](number));
+    } else if (unitFactors[from] && unitFactors[to] && unitFactors[from].dimension === unitFactors[to].dimension) {
+        converted = number * unitFactors[from].factor / unitFactors[to].factor;
+    } else {
+        throw new Error(`Unsupported unit conversion from "${from}" to "${to}"`);
+    }
+
+    return parseFloat(converted.toFixed(precision));
+};
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+// Apply a single transform declared as a string ("trim") or an object ({ "type": "default", "value": "N/A" }).
+// Numeric transforms turn a missing, empty or non-numeric value into undefined, so the field is left out
+// rather than sent empty (an empty price would clear the product's price).
+const applyTransform = (value, transform) => {
+    const { type, ...options } = typeof transform === "string" ? { type: transform } : transform;
+
+    switch (type) {
+        case "trim":
+            return typeof value === "string" ? value.trim() : value;
+        case "strip_html":
+            return value ? stripHtml(String(value))?.result.trim() || "" : value;
+        case "number": {
+            if (isMissing(value)) return undefined;
+            const number = parseNumber(value);
+            return isNaN(number) ? undefined : number;
+        }
+        case "integer": {
+            if (isMissing(value)) return undefined;
+            const number = parseNumber(value);
+            return isNaN(number) ? undefined : Math.round(number);
+        }
+        case "fixed": {
+            // Decimal string, as WooCommerce expects for prices
+            if (isMissing(value)) return undefined;
+            const number = parseNumber(value);
+            return isNaN(number) ? undefined : number.toFixed(options.digits ?? 2);
+        }
+        case "present":
+            // true when the source has a value, otherwise leave the field out
+            return isMissing(value) ? undefined : true;
+        case "unit":
+            if (isMissing(value)) return undefined;
+            return convertUnit(value, options.from, options.to, options.precision);
+        case "default":
+            return isMissing(value) ? options.value : value;
+        default:
+            throw new Error(`Unknown transform "${type}"`);
+    }
+};
+
+// Collect quantity price breaks from columns such as price_1, price_10, price_100, sorted by quantity
+const resolvePriceBreaks = (item, { column_pattern: columnPattern = "^price_(\\d+)$", digits = 4 }) => {
+    const pattern = new RegExp(columnPattern);
+    const priceBreaks = Object.keys(item)
+        .map((column) => ({ match: column.match(pattern), column }))
+        .filter(({ match }) => match)
+        .map(({ match, column }) => ({ quantity: parseInt(match[1], 10), price: parseNumber(item[column]) }))
+        .filter(({ quantity, price }) => !isNaN(quantity) && !isNaN(price))
+        .sort((a, b) => a.quantity - b.quantity)
+        .map(({ quantity, price }) => ({ quantity, price: parseFloat(price.toFixed(digits)) }));
+
+    return priceBreaks.length > 0 ? priceBreaks : undefined;
+};
+
+// Read the first non-empty source column of a row and run it through the field's transforms
+const resolveFieldValue = (item, field) => {
+    if (field.price_breaks) return resolvePriceBreaks(item, field.price_breaks);
+
+    const sources = Array.isArray(field.source) ? field.source : [field.source];
+    const sourceColumn = sources.find((column) => item[column] !== undefined && item[column] !== "") || sources[0];
+    let value = item[sourceColumn];
+
+    (field.transforms || []).forEach((transform) => {
+        value = applyTransform(value, transform);
+    });
+
+    return value;
+};
+
+const UPDATE_POLICIES = ["overwrite", "fill_if_empty", "never", "overwrite_unless_locked"];
+
+const validateProfile = (profile, name) => {
+    if (!profile.part_number || !profile.part_number.source) {
+        throw new Error(`Mapping profile "${name}" is missing the "part_number" source`);
+    }
+    if (!Array.isArray(profile.fields) || profile.fields.length === 0) {
+        throw new Error(`Mapping profile "${name}" has no fields`);
+    }
+    profile.fields.forEach((field) => {
+        if (!field.target || !(field.source || field.price_breaks) || !["core", "meta"].includes(field.type)) {
+            throw new Error(`Invalid field ${JSON.stringify(field)} in mapping profile "${name}"`);
+        }
+        if (field.policy && !UPDATE_POLICIES.includes(field.policy)) {
+            throw new Error(`Unknown policy "${field.policy}" for field "${field.target}" in mapping profile "${name}"`);
+        }
+    });
+};
+
+const profileCache = new Map();
+
+// Load (and cache) a mapping profile by name
+const loadMappingProfile = (name) => {
+    if (profileCache.has(name)) return profileCache.get(name);
+
+    const profilePath = path.join(mappingProfilesDir, `${name}.json`);
+    if (!fs.existsSync(profilePath)) {
+        throw new Error(`Mapping profile "${name}" not found at ${profilePath}`);
+    }
+
+    const profile = { name, ...JSON.parse(fs.readFileSync(profilePath, "utf-8")) };
+    validateProfile(profile, name);
+    profileCache.set(name, profile);
+    return profile;
+};
+
+// Load every profile in the mappings directory (used to decide which fields the catalog cache keeps)
+const loadAllMappingProfiles = () => {
+    if (!fs.existsSync(mappingProfilesDir)) return [];
+    return fs.readdirSync(mappingProfilesDir)
+        .filter((fileName) => fileName.endsWith(".json"))
+        .map((fileName) => loadMappingProfile(path.basename(fileName, ".json")));
+};
+
+let mappingRules;
+const loadMappingRules = () => {
+    if (!mappingRules) {
+        mappingRules = fs.existsSync(mappingRulesPath)
+            ? JSON.parse(fs.readFileSync(mappingRulesPath, "utf-8"))
+            : { default_profile: "default", rules: [] };
+    }
+    return mappingRules;
+};
+
+// Pick the mapping profile for a file key such as "10-31-2024/acme-parts.csv".
+// Rules are checked in order; a rule matches when all of its "folder" / "file_pattern" conditions match.
+const resolveMappingProfile = (fileKey) => {
+    const { default_profile = "default", rules = [] } = loadMappingRules();
+    const folder = fileKey.includes("/") ? fileKey.slice(0, fileKey.lastIndexOf("/") + 1) : "";
+    const fileName = path.basename(fileKey);
+
+    const rule = rules.find(({ folder: folderPattern, file_pattern: filePattern }) => {
+        if (!folderPattern && !filePattern) return false;
+        if (folderPattern && !new RegExp(folderPattern).test(folder)) return false;
+        if (filePattern && !new RegExp(filePattern, "i").test(fileName)) return false;
+        return true;
+    });
+
+    const profileName = rule ? rule.profile : default_profile;
+    try {
+        return loadMappingProfile(profileName);
+    } catch (error) {
+        logErrorToFile(`Failed to load mapping profile "${profileName}" for file "${fileKey}": ${error.message}`, error);
+        throw error;
+    }
+};
+
+const getPartNumber = (item, profile) => {
+    const value = resolveFieldValue(item, profile.part_number);
+    return value === undefined || value === null ? "" : String(value);
+};
+
+// Build the WooCommerce fields (core fields + meta_data) for a CSV row.
+// Fields that resolve to undefined are left out: absent source columns, and empty or non-numeric values of numeric fields.
+// Other fields of a column that is present but empty are sent as "".
+const mapRowToProductData = (item, profile) => {
+    const data = { meta_data: [] };
+
+    profile.fields.forEach((field) => {
+        const value = resolveFieldValue(item, field);
+        if (value === undefined) return;
+
+        if (field.type === "meta") {
+            data.meta_data.push({ key: field.target, value });
+        } else {
+            data[field.target] = value;
+        }
+    });
+
+    return data;
+};
+
+const getLockMetaKey = (field) => field.lock_meta_key || `_lock_${field.target}`;
+
+// Core field names and meta keys a profile writes, optionally only those that participate in diffing,
+// plus the lock flags its "overwrite_unless_locked" fields read
+const getProfileFields = (profile, { diffOnly = false } = {}) => {
+    const fields = profile.fields.filter((field) => !diffOnly || field.diff !== false);
+    return {
+        coreFields: fields.filter((field) => field.type === "core").map((field) => field.target),
+        metaKeys: fields.filter((field) => field.type === "meta").map((field) => field.target),
+        lockMetaKeys: profile.fields.filter((field) => field.policy === "overwrite_unless_locked").map(getLockMetaKey),
+    };
+};
+
+// Diff field name as used by isUpdateNeeded: "regular_price" or "meta_data.<key>"
+const toDiffFieldName = (field) => (field.type === "meta" ? `meta_data.${field.target}` : field.target);
+
+// Fields with a policy other than "overwrite": [{ field, policy, lockMetaKey }]
+const getFieldPolicies = (profile) => profile.fields
+    .filter((field) => field.policy && field.policy !== "overwrite")
+    .map((field) => ({
+        field: toDiffFieldName(field),
+        policy: field.policy,
+        ...(field.policy === "overwrite_unless_locked" && { lockMetaKey: getLockMetaKey(field) }),
+    }));
+
+const numericTransforms = ["number", "integer", "fixed", "unit"];
+
+const hasNumericTransform = (field) => (field.transforms || []).some((transform) =>
+    numericTransforms.includes(typeof transform === "string" ? transform : transform.type));
+
+// Fields that are compared as numbers rather than normalized strings
+const getNumericFields = (profile) => profile.fields
+    .filter((field) => field.compare === "number" || hasNumericTransform(field))
+    .map(toDiffFieldName);
+
+const toColumnList = (source) => (Array.isArray(source) ? source : [source]);
+
+// Source columns of a profile, for the pre-flight validation (input-validation.js):
+//   partNumberColumns  the part number's columns (any one of them will do)
+//   fieldColumns       target -> the columns the field reads
+//   numericColumns     columns a numeric transform converts
+const getProfileColumns = (profile) => {
+    const sourceFields = profile.fields.filter((field) => field.source);
+    return {
+        partNumberColumns: toColumnList(profile.part_number.source),
+        fieldColumns: Object.fromEntries(sourceFields.map((field) => [field.target, toColumnList(field.source)])),
+        numericColumns: [...new Set(sourceFields.filter(hasNumericTransform).flatMap((field) => toColumnList(field.source)))],
+    };
+};
+
+// Fields with a sanity guard: [{ field, maxChangePercent }]
+const getGuardedFields = (profile) => profile.fields
+    .filter((field) => typeof field.max_change_percent === "number")
+    .map((field) => ({ field: toDiffFieldName(field), maxChangePercent: field.max_change_percent }));
+
+// Drop the fields marked "diff": false so they don't trigger an update on their own
+const pickDiffFields = (data, profile) => {
+    const { coreFields, metaKeys } = getProfileFields(profile, { diffOnly: true });
+    const allCoreFields = getProfileFields(profile).coreFields;
+    const diffData = {};
+
+    Object.keys(data).forEach((key) => {
+        if (key === "meta_data") {
+            diffData.meta_data = (data.meta_data || []).filter((meta) => metaKeys.includes(meta.key));
+        } else if (coreFields.includes(key) || !allCoreFields.includes(key)) {
+            diffData[key] = data[key]; // Keep non-profile keys such as "id" and "part_number"
+        }
+    });
+
+    return diffData;
+};
+
+module.exports = {
+    applyTransform,
+    convertUnit,
+    loadMappingProfile,
+    loadAllMappingProfiles,
+    resolveMappingProfile,
+    getPartNumber,
+    mapRowToProductData,
+    getProfileFields,
+    getNumericFields,
+    getProfileColumns,
+    parseNumber,
+    getGuardedFields,
+    getFieldPolicies,
+    pickDiffFields,
+};
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { logErrorToFile, logInfoToFile, getOutputFilePath } = require("./logger");
+const { redisClient } = require("./queue");
+
+// Notifications on run events, sent to every configured channel:
+//   webhook  NOTIFY_WEBHOOK_URL; JSON { title, text, event, data } (Slack and Teams incoming webhooks read "text")
+//   email    SMTP_HOST, SMTP_PORT (587), SMTP_SECURE, SMTP_USER, SMTP_PASS, NOTIFY_EMAIL_FROM, NOTIFY_EMAIL_TO (comma-separated)
+//   capture  NOTIFY_CAPTURE_FILE; appends every notification as a JSON line, to check payloads without sending them
+// Events: run.started | run.completed | run.failed | run.cancelled | job.failed (permanently, no retry left) |
+//         failed_rows.threshold (a file's failed rows reach "failed_rows_threshold_percent", once per file and run)
+// config/notifications.json (in MAPPING_CONFIG_DIR) lists the events to send and their templates, where "{{name}}"
+// is replaced by a value of the event data (dotted paths allowed, e.g. "{{totals.failed}}").
+const notificationConfigPath = path.join(process.env.MAPPING_CONFIG_DIR || path.join(__dirname, "config"), "notifications.json");
+
+const NOTIFICATION_EVENTS = ["run.started", "run.completed", "run.failed", "run.cancelled", "job.failed", "failed_rows.threshold"];
+
+const DEFAULT_NOTIFICATION_CONFIG = {
+    enabled: true,
+    events: NOTIFICATION_EVENTS,
+    failed_rows_threshold_percent: 10,
+    templates: {},
+};
+
+let notificationConfig;
+const loadNotificationConfig = () => {
+    if (!notificationConfig) {
+        const fileConfig = fs.existsSync(notificationConfigPath) ? JSON.parse(fs.readFileSync(notificationConfigPath, "utf-8")) : {};
+        notificationConfig = { ...DEFAULT_NOTIFICATION_CONFIG, ...fileConfig };
+        if (process.env.NOTIFY_FAILED_ROWS_PERCENT) {
+            notificationConfig.failed_rows_threshold_percent = parseFloat(process.env.NOTIFY_FAILED_ROWS_PERCENT);
+        }
+    }
+    return notificationConfig;
+};
+
+// "{{runId}}" -> data.runId, "{{totals.failed}}" -> data.totals.failed; unknown names become ""
+const renderTemplate = (template, data) => String(template || "").replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+    const value = name.split(".").reduce((object, key) => (object == null ? undefined : object[key]), data);
+    return value == null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+});
+
+const buildMessage = (event, data) => {
+    const template = loadNotificationConfig().templates[event] || {};
+    return {
+        title: renderTemplate(template.title || event, data),
+        text: renderTemplate(template.text || "", data) || JSON.stringify(data),
+    };
+};
+
+let mailTransport;
+const getMailTransport = () => {
+    if (!mailTransport) {
+        mailTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } }),
+        });
+    }
+    return mailTransport;
+};
+
+// Channels: name -> { enabled(), send(payload) }
+const CHANNELS = {
+    webhook: {
+        enabled: () => Boolean(process.env.NOTIFY_WEBHOOK_URL),
+        send: async (payload) => {
+            const response = await fetch(process.env.NOTIFY_WEBHOOK_URL, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(10000),
+            });
+            if (!response.ok) throw new Error(`Webhook answered ${response.status} ${response.statusText}`);
+        },
+    },
+    email: {
+        enabled: () => Boolean(process.env.SMTP_HOST && process.env.NOTIFY_EMAIL_TO),
+        send: (payload) => getMailTransport().sendMail({
+            from: process.env.NOTIFY_EMAIL_FROM || process.env.SMTP_USER,
+            to: process.env.NOTIFY_EMAIL_TO,
+            subject: payload.title,
+            text: payload.text,
+        }),
+    },
+    capture: {
+        enabled: () => Boolean(process.env.NOTIFY_CAPTURE_FILE),
+        send: async (payload) => {
+            const capturePath = path.isAbsolute(process.env.NOTIFY_CAPTURE_FILE)
+                ? process.env.NOTIFY_CAPTURE_FILE
+                : getOutputFilePath(process.env.NOTIFY_CAPTURE_FILE);
+            await fs.promises.appendFile(capturePath, `${JSON.stringify({ ...payload, sentAt: new Date().toISOString() })}\n`);
+        },
+    },
+};
+
+// Send one notification to every enabled channel. Never throws: a failing channel is logged and the others still get it.
+const notify = async (event, data = {}) => {
+    const config = loadNotificationConfig();
+    if (!config.enabled || !config.events.includes(event)) return;
+
+    const channels = Object.entries(CHANNELS).filter(([, channel]) => channel.enabled());
+    if (channels.length === 0) return;
+
+    const payload = { ...buildMessage(event, data), event, data };
+    await Promise.all(channels.map(async ([name, channel]) => {
+        try {
+            await channel.send(payload);
+            logInfoToFile(`Sent "${event}" notification through ${name}`);
+        } catch (error) {
+            logErrorToFile(`Failed to send "${event}" notification through ${name}: ${error.message}`, error.stack);
+        }
+    }));
+};
+
+// Notify once per file and run when its failed rows reach the threshold share of its rows.
+// Files still being read have no total yet and are checked again after their next job.
+const checkFailedRowsThreshold = async (trackingKey, { runId, fileKey }) => {
+    const thresholdPercent = loadNotificationConfig().failed_rows_threshold_percent;
+    if (!thresholdPercent) return;
+
+    const totalRows = parseInt(await redisClient.get(`total-rows:${trackingKey}`), 10);
+    const failed = parseInt((await redisClient.get(`failed-products:${trackingKey}`)) || 0, 10);
+    if (!totalRows) return;
+
+    const failedPercent = Math.round((failed / totalRows) * 1000) / 10;
+    if (failedPercent < thresholdPercent) return;
+    if (!(await redisClient.setNX(`failed-rows-notified:${trackingKey}`, "1"))) return;
+
+    await notify("failed_rows.threshold", { runId, fileKey, failed, totalRows, failedPercent, thresholdPercent });
+};
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    renderTemplate,
+    notify,
+    checkFailedRowsThreshold,
+};
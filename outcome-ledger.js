@@ -0,0 +1,130 @@
+const { logErrorToFile, logInfoToFile } = require("./logger");
+const { batchQueue, redisClient, getTrackingKey } = require("./queue");
+
+// Per-row outcome ledger: one Redis hash per file and run (its tracking key, see queue.js), keyed by 1-based row number.
+//   row-outcomes:<runId>:<fileKey>  row -> JSON { row, partNumber, status, productId, reason, errorCode, message, changedFields, timestamp, item }
+// Rows processed outside of a run are kept under row-outcomes:<fileKey>.
+// status: updated | created | skipped | failed
+// reason (failed rows): not_found | ambiguous | api_error | validation_error
+// errorCode: the WooCommerce error code of an item rejected in a batch response
+const REASON_CODES = ["not_found", "ambiguous", "api_error", "validation_error"];
+
+const getLedgerKey = (fileKey, runId) => `row-outcomes:${getTrackingKey(fileKey, runId)}`;
+
+// Rows already counted in a file's progress counters (updated-products, failed-products, ...), so each row is counted
+// once per run even when its job is retried, or fails for good after some of its rows were counted.
+//   counted-rows:<trackingKey>  set of 1-based row numbers, kept COUNTED_ROWS_TTL_DAYS (default 30) after the last count
+const getCountedRowsKey = (trackingKey) => `counted-rows:${trackingKey}`;
+const countedRowsTtlSeconds = (parseInt(process.env.COUNTED_ROWS_TTL_DAYS, 10) || 30) * 24 * 60 * 60;
+
+// Add the rows not counted yet to a counter ("failed-products", ...); returns the rows counted by this call
+const countRows = async (trackingKey, counter, rows) => {
+    const countedRows = [];
+    for (const row of rows) {
+        if (await redisClient.sAdd(getCountedRowsKey(trackingKey), String(row))) countedRows.push(row);
+    }
+    if (countedRows.length > 0) {
+        await redisClient.incrBy(`${counter}:${trackingKey}`, countedRows.length);
+        await redisClient.expire(getCountedRowsKey(trackingKey), countedRowsTtlSeconds);
+    }
+    return countedRows;
+};
+
+// Take counted rows out of a counter again (e.g. failed rows about to be rerun); rows that weren't counted are left out,
+// so the counter never drops below the rows it holds
+const uncountRows = async (trackingKey, counter, rows) => {
+    let uncounted = 0;
+    for (const row of rows) {
+        uncounted += await redisClient.sRem(getCountedRowsKey(trackingKey), String(row));
+    }
+    if (uncounted > 0) await redisClient.decrBy(`${counter}:${trackingKey}`, uncounted);
+    return uncounted;
+};
+
+// Record the outcome of a single row of a run. The source row is kept for failed rows so they can be re-enqueued.
+const recordRowOutcome = async (fileKey, { runId, row, partNumber, status, productId = null, reason = null, errorCode = null, message = null, changedFields = [], item }) => {
+    const outcome = {
+        row,
+        partNumber,
+        status,
+        productId,
+        reason,
+        errorCode,
+        message,
+        changedFields,
+        timestamp: new Date().toISOString(),
+        ...(status === "failed" && item && { item }),
+    };
+
+    try {
+        await redisClient.hSet(getLedgerKey(fileKey, runId), String(row), JSON.stringify(outcome));
+    } catch (error) {
+        logErrorToFile(`Failed to record outcome for row ${row} in file "${fileKey}": ${error.message}`, error);
+    }
+};
+
+// Read the ledger of a file in a run, optionally filtered by status and reason, sorted by row number
+const getRowOutcomes = async (fileKey, { runId, statuses, reasons } = {}) => {
+    const entries = await redisClient.hGetAll(getLedgerKey(fileKey, runId));
+
+    return Object.values(entries || {})
+        .map((value) => JSON.parse(value))
+        .filter((outcome) => !statuses || statuses.includes(outcome.status))
+        .filter((outcome) => !reasons || reasons.includes(outcome.reason))
+        .sort((a, b) => a.row - b.row);
+};
+
+// Re-enqueue only the failed rows of a file (optionally only some reason codes) into batchQueue.
+// The rows keep their original row numbers, so their ledger entries are overwritten with the new outcome.
+// jobData.runId reruns the failed rows of that run and counts them against its counters.
+const rerunFailedRows = async (fileKey, { reasons, batchSize = 20, jobData = {} } = {}) => {
+    const invalidReasons = (reasons || []).filter((reason) => !REASON_CODES.includes(reason));
+    if (invalidReasons.length > 0) {
+        throw new Error(`Unknown reason code(s): ${invalidReasons.join(", ")}. Expected one of ${REASON_CODES.join(", ")}.`);
+    }
+
+    const failedRows = (await getRowOutcomes(fileKey, { runId: jobData.runId, statuses: ["failed"], reasons })).filter((outcome) => outcome.item);
+    if (failedRows.length === 0) {
+        logInfoToFile(`No failed rows to rerun for file "${fileKey}".`);
+        return { fileKey, rowCount: 0, jobIds: [] };
+    }
+
+    const trackingKey = getTrackingKey(fileKey, jobData.runId);
+    const totalProductsInFile = parseInt(await redisClient.get(`total-rows:${trackingKey}`), 10) || failedRows[failedRows.length - 1].row;
+    const rerunId = Date.now();
+    const jobIds = [];
+
+    // These rows will be counted again when the rerun jobs process them
+    await uncountRows(trackingKey, "failed-products", failedRows.map((outcome) => outcome.row));
+
+    for (let i = 0; i < failedRows.length; i += batchSize) {
+        const rows = failedRows.slice(i, i + batchSize);
+        const job = await batchQueue.add({
+            ...jobData,
+            batch: rows.map((outcome) => outcome.item),
+            rowNumbers: rows.map((outcome) => outcome.row),
+            fileKey,
+            totalProductsInFile,
+            batchSize: rows.length,
+            rerun: true,
+        }, {
+            jobId: `${jobData.runId ? `${jobData.runId}:` : ""}${fileKey}-rerun-${rerunId}-${i}`,
+            attempts: 5,
+            backoff: { type: "exponential", delay: 5000 },
+            timeout: 300000
+        });
+        jobIds.push(job.id);
+    }
+
+    logInfoToFile(`Re-enqueued ${failedRows.length} failed row(s) of file "${fileKey}" in ${jobIds.length} job(s).`);
+    return { fileKey, rowCount: failedRows.length, jobIds };
+};
+
+module.exports = {
+    REASON_CODES,
+    recordRowOutcome,
+    getRowOutcomes,
+    countRows,
+    uncountRows,
+    rerunFailedRows,
+};
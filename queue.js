@@ -1,9 +1,15 @@
 const Bull = require('bull');
 const { createClient } = require('redis'); // For 'redis' library
 
+// Redis connection shared by the queue, the Redis client and the clustered rate limiter (REDIS_HOST, REDIS_PORT)
+const redisConnection = {
+    host: process.env.REDIS_HOST || '127.0.0.1',
+    port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+};
+
 // Queue configuration options
 const queueOptions = {
-    redis: { port: 6379, host: '127.0.0.1' }, // Redis connection details
+    redis: { ...redisConnection }, // Redis connection details
     //limiter: { max: 100, duration: 5000 }, // Rate limiting options
     defaultJobOptions: {
         removeOnComplete: true,
@@ -17,13 +23,19 @@ const queueOptions = {
 const batchQueue = new Bull('batchQueue', queueOptions);
 
 // Create a new Redis client
-const redisClient = createClient({ url: 'redis://127.0.0.1:6379' });
+const redisClient = createClient({ socket: redisConnection });
 
 (async () => {
     await redisClient.connect(); // Ensure the client is connected before using
 })();
 
+// Per-file progress counters (total-rows, updated-products, ...) are keyed by "<counter>:<tracking key>".
+// Jobs of a run are tracked under "<runId>:<fileKey>" so two runs over the same file never share counters.
+const getTrackingKey = (fileKey, runId) => (runId ? `${runId}:${fileKey}` : fileKey);
+
 module.exports = {
+    redisConnection,
     batchQueue,
-    redisClient
+    redisClient,
+    getTrackingKey
 };
\ No newline at end of file
@@ -0,0 +1,247 @@
+const os = require("os");
+const { logErrorToFile, logInfoToFile } = require("./logger");
+const { redisClient } = require("./queue");
+
+// Adaptive rate limits for the WooCommerce API, shared by every process through Redis:
+//   rate-limits           hash  maxConcurrent, minTime, pausedUntil (Retry-After), updatedAt, reason
+//   rate-limits:window    hash  requests, errors, throttled, latencyTotal observed since the last adjustment
+//   rate-limits:workers   hash  worker ID -> last heartbeat (ms)
+//   rate-limits:adjusting lock, so only one process adjusts per interval
+// Every interval the limits are lowered on 429s, 5xx errors or slow responses, and raised again while the store
+// answers fast and cleanly, always within the configured floor and ceiling. Each process applies its share of the
+// limits (concurrency divided by the number of live workers, spacing multiplied by it) unless the limiter is clustered.
+const LIMITS_KEY = "rate-limits";
+const WINDOW_KEY = "rate-limits:window";
+const WORKERS_KEY = "rate-limits:workers";
+const ADJUST_LOCK_KEY = "rate-limits:adjusting";
+
+const readNumber = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) ? fallback : value;
+};
+
+const getRateLimitConfig = () => ({
+    minConcurrent: readNumber("RATE_LIMIT_MIN_CONCURRENT", 1),
+    maxConcurrent: readNumber("RATE_LIMIT_MAX_CONCURRENT", 8),
+    minTime: readNumber("RATE_LIMIT_MIN_TIME_MS", 100), // Floor of the spacing between requests
+    maxTime: readNumber("RATE_LIMIT_MAX_TIME_MS", 10000), // Ceiling of the spacing between requests
+    targetLatency: readNumber("RATE_LIMIT_TARGET_LATENCY_MS", 3000),
+    adjustInterval: readNumber("RATE_LIMIT_ADJUST_INTERVAL_MS", 15000),
+});
+
+// Starting point, the limiter's former fixed settings
+const INITIAL_LIMITS = { maxConcurrent: 2, minTime: 1000 };
+const MAX_ERROR_RATE = 0.1;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const localState = { applied: null };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Retry-After header of a failed request in ms (seconds or an HTTP date), or null
+const getRetryAfterMs = (error) => {
+    const header = error?.response?.headers?.["retry-after"];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    const ms = isNaN(seconds) ? new Date(header).getTime() - Date.now() : seconds * 1000;
+    return isNaN(ms) ? null : Math.max(0, ms);
+};
+
+const getErrorStatus = (error) => error?.response?.status
+    || Number((String(error?.message).match(/status code (\d{3})/) || [])[1]) || null;
+
+const getSharedLimits = async () => {
+    const limits = await redisClient.hGetAll(LIMITS_KEY);
+    return {
+        maxConcurrent: parseInt(limits?.maxConcurrent, 10) || INITIAL_LIMITS.maxConcurrent,
+        minTime: parseInt(limits?.minTime, 10) || INITIAL_LIMITS.minTime,
+        pausedUntil: parseInt(limits?.pausedUntil, 10) || 0,
+        updatedAt: limits?.updatedAt || null,
+        reason: limits?.reason || null,
+    };
+};
+
+// Record one request outcome in the shared window
+const recordObservation = async ({ latency, status, retryAfterMs }) => {
+    try {
+        await redisClient.hIncrBy(WINDOW_KEY, "requests", 1);
+        await redisClient.hIncrBy(WINDOW_KEY, "latencyTotal", Math.round(latency));
+        if (status === 429) await redisClient.hIncrBy(WINDOW_KEY, "throttled", 1);
+        if (status >= 500) await redisClient.hIncrBy(WINDOW_KEY, "errors", 1);
+
+        // Retry-After pauses the other processes on their next update
+        if (retryAfterMs) {
+            const pausedUntil = Date.now() + retryAfterMs;
+            const { pausedUntil: sharedPausedUntil } = await getSharedLimits();
+            if (pausedUntil > sharedPausedUntil) {
+                await redisClient.hSet(LIMITS_KEY, { pausedUntil: String(pausedUntil), reason: `retry-after ${Math.round(retryAfterMs / 1000)}s` });
+            }
+        }
+    } catch (error) {
+        logErrorToFile(`Failed to record a rate limit observation: ${error.message}`);
+    }
+};
+
+// New limits from the last window's observations
+const computeLimits = (limits, window, config) => {
+    const requests = parseInt(window.requests, 10) || 0;
+    const errors = parseInt(window.errors, 10) || 0;
+    const throttled = parseInt(window.throttled, 10) || 0;
+    const averageLatency = requests > 0 ? (parseInt(window.latencyTotal, 10) || 0) / requests : 0;
+    let { maxConcurrent, minTime } = limits;
+    let reason;
+
+    if (requests === 0) return { maxConcurrent, minTime, reason: "idle" };
+
+    if (throttled > 0 || errors / requests > MAX_ERROR_RATE) {
+        // Back off hard: the store is rejecting or failing requests
+        maxConcurrent = Math.floor(maxConcurrent / 2);
+        minTime = minTime * 2;
+        reason = `${throttled} throttled, ${errors} server errors in ${requests} requests`;
+    } else if (averageLatency > config.targetLatency) {
+        maxConcurrent = maxConcurrent - 1;
+        minTime = Math.round(minTime * 1.5);
+        reason = `average latency ${Math.round(averageLatency)} ms`;
+    } else if (averageLatency < config.targetLatency / 2 && errors === 0) {
+        // Ramp up slowly while the store answers fast
+        maxConcurrent = maxConcurrent + 1;
+        minTime = Math.round(minTime * 0.8);
+        reason = `average latency ${Math.round(averageLatency)} ms`;
+    } else {
+        reason = "steady";
+    }
+
+    return {
+        maxConcurrent: clamp(maxConcurrent, config.minConcurrent, config.maxConcurrent),
+        minTime: clamp(minTime, config.minTime, config.maxTime),
+        reason,
+    };
+};
+
+// Adjust the shared limits from the window; only the process holding the lock does it
+const adjustSharedLimits = async (config) => {
+    const locked = await redisClient.set(ADJUST_LOCK_KEY, workerId, { NX: true, PX: Math.max(1000, config.adjustInterval - 500) });
+    if (!locked) return;
+
+    const window = (await redisClient.hGetAll(WINDOW_KEY)) || {};
+    await redisClient.del(WINDOW_KEY);
+
+    const limits = await getSharedLimits();
+    const next = computeLimits(limits, window, config);
+    await redisClient.hSet(LIMITS_KEY, {
+        maxConcurrent: String(next.maxConcurrent),
+        minTime: String(next.minTime),
+        updatedAt: new Date().toISOString(),
+        reason: next.reason,
+    });
+
+    if (next.maxConcurrent !== limits.maxConcurrent || next.minTime !== limits.minTime) {
+        logInfoToFile(`Rate limits: maxConcurrent ${limits.maxConcurrent} -> ${next.maxConcurrent}, minTime ${limits.minTime} -> ${next.minTime} ms (${next.reason})`);
+    }
+};
+
+const getLiveWorkers = async (config) => {
+    const heartbeats = (await redisClient.hGetAll(WORKERS_KEY)) || {};
+    const cutoff = Date.now() - config.adjustInterval * 3;
+    const live = Object.entries(heartbeats).filter(([, heartbeat]) => parseInt(heartbeat, 10) >= cutoff).map(([id]) => id);
+
+    for (const [id] of Object.entries(heartbeats).filter(([entry]) => !live.includes(entry))) {
+        await redisClient.hDel(WORKERS_KEY, id);
+    }
+    return live;
+};
+
+// Apply the shared limits to the limiter; a Retry-After pause empties the reservoir.
+// A clustered limiter already shares its limits between processes; an in-process one applies its share of them.
+const applyLimits = async (limiter, config) => {
+    const limits = await getSharedLimits();
+    const workers = limiter.datastore === "local" ? Math.max(1, (await getLiveWorkers(config)).length) : 1;
+    const paused = limits.pausedUntil > Date.now();
+    const settings = {
+        maxConcurrent: Math.max(1, Math.floor(limits.maxConcurrent / workers)),
+        minTime: limits.minTime * workers,
+        reservoir: paused ? 0 : null,
+    };
+
+    if (JSON.stringify(settings) !== JSON.stringify(localState.applied)) {
+        await limiter.updateSettings(settings);
+        localState.applied = settings;
+    }
+    return settings;
+};
+
+// Observe every job of the limiter: latency of successful calls, status and Retry-After of failed ones.
+// A Retry-After pauses this process at once and resumes it when the delay is over.
+const observeLimiter = (limiter, config) => {
+    const jobs = new WeakMap(); // Job options -> { startedAt, failedRetry }
+
+    limiter.on("executing", (info) => {
+        jobs.set(info.options, { startedAt: Date.now(), failedRetry: null });
+    });
+    limiter.on("failed", (error, info) => {
+        const job = jobs.get(info.options);
+        if (!job) return;
+        job.failedRetry = info.retryCount;
+
+        const retryAfterMs = getRetryAfterMs(error);
+        if (retryAfterMs) {
+            limiter.updateSettings({ reservoir: 0 }).catch((pauseError) =>
+                logErrorToFile(`Failed to pause the limiter for Retry-After: ${pauseError.message}`));
+            localState.applied = null;
+            setTimeout(() => applyLimits(limiter, config).catch((applyError) =>
+                logErrorToFile(`Failed to resume the limiter after Retry-After: ${applyError.message}`)), retryAfterMs + 100).unref();
+        }
+        recordObservation({ latency: Date.now() - job.startedAt, status: getErrorStatus(error), retryAfterMs });
+    });
+    limiter.on("done", (info) => {
+        const job = jobs.get(info.options);
+        if (!job || job.failedRetry === info.retryCount) return;
+        recordObservation({ latency: Date.now() - job.startedAt, status: 200 });
+    });
+};
+
+let controllerTimer;
+
+// Start adjusting the limiter; safe to call more than once per process
+const startRateController = async (limiter) => {
+    if (controllerTimer) return;
+    const config = getRateLimitConfig();
+
+    observeLimiter(limiter, config);
+
+    const tick = async () => {
+        try {
+            await redisClient.hSet(WORKERS_KEY, workerId, String(Date.now()));
+            await adjustSharedLimits(config);
+            await applyLimits(limiter, config);
+        } catch (error) {
+            logErrorToFile(`Rate controller update failed: ${error.message}`, error.stack);
+        }
+    };
+
+    controllerTimer = setInterval(tick, config.adjustInterval);
+    controllerTimer.unref();
+    await tick();
+    logInfoToFile(`Rate controller started for ${workerId} (every ${config.adjustInterval} ms)`);
+};
+
+// Current shared limits, the pending window and this process's applied share (admin endpoint)
+const getRateLimitStatus = async () => {
+    const config = getRateLimitConfig();
+    const limits = await getSharedLimits();
+
+    return {
+        limits: { ...limits, paused: limits.pausedUntil > Date.now() },
+        window: (await redisClient.hGetAll(WINDOW_KEY)) || {},
+        workers: await getLiveWorkers(config),
+        config,
+        local: { workerId, applied: localState.applied },
+    };
+};
+
+module.exports = {
+    getRetryAfterMs,
+    startRateController,
+    getRateLimitStatus,
+};
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const path = require("path");
+const { getOutputFilePath, logErrorToFile } = require("./logger");
+
+// Escape a single value for CSV output
+const toCsvValue = (value) => {
+    if (value === undefined || value === null) return "";
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(toCsvValue).join(",") + "\n";
+
+// Turn an S3 key like "10-31-2024/parts.csv" into a file-name-safe string
+const toSafeFileName = (fileKey) => fileKey.replace(/\.[^/.]+$/, "").replace(/[^a-zA-Z0-9-_]+/g, "_");
+
+// Report files for a given report name, e.g. "dry-run-10-31-2024_parts-<timestamp>" → .jsonl and .csv
+const getReportPaths = (reportName) => ({
+    jsonl: getOutputFilePath(`${reportName}.jsonl`),
+    csv: getOutputFilePath(`${reportName}.csv`),
+});
+
+// Append rows to a report as JSONL and CSV. `columns` lists the CSV columns as [header, row => value] pairs.
+const appendReportRows = (reportName, rows, columns) => {
+    if (!rows || rows.length === 0) return;
+
+    const { jsonl, csv } = getReportPaths(reportName);
+    try {
+        fs.appendFileSync(jsonl, rows.map((row) => JSON.stringify(row)).join("\n") + "\n");
+
+        if (!fs.existsSync(csv)) {
+            fs.writeFileSync(csv, toCsvLine(columns.map(([header]) => header)));
+        }
+        fs.appendFileSync(csv, rows.map((row) => toCsvLine(columns.map(([, getValue]) => getValue(row)))).join(""));
+    } catch (error) {
+        logErrorToFile(`Failed to write report "${reportName}": ${error.message}`, error);
+    }
+};
+
+// Columns of the dry-run report; one row per part number
+const dryRunReportColumns = [
+    ["file", (row) => row.fileKey],
+    ["row", (row) => row.row],
+    ["part_number", (row) => row.partNumber],
+    ["status", (row) => row.status],
+    ["product_id", (row) => row.productId],
+    ["changed_fields", (row) => (row.changes || []).map((change) => change.field).join(";")],
+    ["changes", (row) => (row.changes || []).map((change) => `${change.field}: '${change.oldValue}' -> '${change.newValue}'`).join(" | ")],
+    ["reason", (row) => row.reason],
+    ["message", (row) => row.message],
+];
+
+const getDryRunReportName = (fileKey, reportId) => `dry-run-${toSafeFileName(fileKey)}-${reportId}`;
+
+const appendDryRunReportRows = (fileKey, reportId, rows) => {
+    appendReportRows(getDryRunReportName(fileKey, reportId), rows, dryRunReportColumns);
+};
+
+// Columns of the ambiguous part-number report; rows with zero or several exact matches
+const ambiguousReportColumns = [
+    ["file", (row) => row.fileKey],
+    ["row", (row) => row.row],
+    ["part_number", (row) => row.partNumber],
+    ["reason", (row) => row.reason],
+    ["match_count", (row) => row.matchCount],
+    ["candidate_ids", (row) => (row.candidates || []).map((candidate) => candidate.id).join(";")],
+    ["candidate_skus", (row) => (row.candidates || []).map((candidate) => candidate.sku).join(";")],
+];
+
+const appendAmbiguousReportRows = (reportId, rows) => {
+    appendReportRows(`ambiguous-parts-${reportId}`, rows, ambiguousReportColumns);
+};
+
+// Columns of the pre-flight rejection report; one row per rejected source row
+const rejectionReportColumns = [
+    ["file", (row) => row.fileKey],
+    ["row", (row) => row.row],
+    ["part_number", (row) => row.partNumber],
+    ["error_codes", (row) => row.errors.map((error) => error.code).join(";")],
+    ["columns", (row) => row.errors.map((error) => error.column).join(";")],
+    ["messages", (row) => row.errors.map((error) => error.message).join(" | ")],
+];
+
+const getRejectionReportName = (fileKey, reportId) => `rejections-${toSafeFileName(fileKey)}-${reportId}`;
+
+const appendRejectionReportRows = (fileKey, reportId, rows) => {
+    appendReportRows(getRejectionReportName(fileKey, reportId), rows.map((row) => ({ fileKey, ...row })), rejectionReportColumns);
+};
+
+// S3 keys for the uploaded report, next to the source file: "10-31-2024/parts.dry-run-report.jsonl"
+const getDryRunReportS3Keys = (fileKey) => {
+    const base = path.posix.join(path.posix.dirname(fileKey), path.posix.basename(fileKey).replace(/\.[^/.]+$/, ""));
+    return {
+        jsonl: `${base}.dry-run-report.jsonl`,
+        csv: `${base}.dry-run-report.csv`,
+    };
+};
+
+// S3 key of the uploaded rejection report: "10-31-2024/parts.rejections.csv"
+const getRejectionReportS3Key = (fileKey) => `${getDryRunReportS3Keys(fileKey).csv.replace(/\.dry-run-report\.csv$/, "")}.rejections.csv`;
+
+const isDryRunReportKey = (key) => /\.dry-run-report\.(jsonl|csv)$/i.test(key);
+
+// Reports this tool uploads next to the source files, which must not be read as input
+const isReportKey = (key) => isDryRunReportKey(key) || /\.rejections\.csv$/i.test(key);
+
+module.exports = {
+    toCsvLine,
+    toSafeFileName,
+    getReportPaths,
+    appendReportRows,
+    getDryRunReportName,
+    appendDryRunReportRows,
+    appendAmbiguousReportRows,
+    getRejectionReportName,
+    appendRejectionReportRows,
+    getDryRunReportS3Keys,
+    getRejectionReportS3Key,
+    isDryRunReportKey,
+    isReportKey,
+};
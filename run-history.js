@@ -0,0 +1,208 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { logErrorToFile } = require("./logger");
+const { toCsvLine } = require("./report-helpers");
+
+// Run history on local disk, so results outlive the Redis counters and the next day's run.
+//   runs       one row per run (storage source and folder, files, mode, status, start/end times)
+//   run_files  one row per file of a run with its final counts and an error summary (failed rows per reason code)
+// RUN_HISTORY_DB_PATH sets the SQLite file (default: data/run-history.db). WAL mode lets the server and the workers write to it.
+const historyDbPath = process.env.RUN_HISTORY_DB_PATH || path.join(__dirname, "data", "run-history.db");
+
+let db;
+const getHistoryDb = () => {
+    if (!db) {
+        fs.mkdirSync(path.dirname(historyDbPath), { recursive: true });
+        db = new Database(historyDbPath);
+        db.pragma("journal_mode = WAL");
+        db.pragma("busy_timeout = 5000");
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS runs (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                source TEXT,
+                bucket TEXT,
+                folder TEXT,
+                mode TEXT,
+                batch_size INTEGER,
+                file_keys TEXT,
+                errors TEXT,
+                created_at TEXT,
+                started_at TEXT,
+                finished_at TEXT
+            );
+            CREATE TABLE IF NOT EXISTS run_files (
+                run_id TEXT NOT NULL,
+                file_key TEXT NOT NULL,
+                total_rows INTEGER,
+                updated INTEGER NOT NULL DEFAULT 0,
+                created INTEGER NOT NULL DEFAULT 0,
+                skipped INTEGER NOT NULL DEFAULT 0,
+                failed INTEGER NOT NULL DEFAULT 0,
+                error_summary TEXT,
+                recorded_at TEXT,
+                PRIMARY KEY (run_id, file_key)
+            );
+            CREATE INDEX IF NOT EXISTS runs_created_at ON runs (created_at);
+        `);
+        // Databases created before storage sources existed: their runs all read from S3
+        if (!db.prepare("PRAGMA table_info(runs)").all().some((column) => column.name === "source")) {
+            db.exec("ALTER TABLE runs ADD COLUMN source TEXT");
+        }
+    }
+    return db;
+};
+
+const parseJson = (value, fallback) => (value ? JSON.parse(value) : fallback);
+
+const toRun = (row) => row && {
+    id: row.id,
+    status: row.status,
+    source: row.source || "s3",
+    bucket: row.bucket,
+    folder: row.folder,
+    mode: row.mode,
+    batchSize: row.batch_size,
+    fileKeys: parseJson(row.file_keys, []),
+    errors: parseJson(row.errors, []),
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+};
+
+const toRunFile = (row) => ({
+    fileKey: row.file_key,
+    totalRows: row.total_rows,
+    updated: row.updated,
+    created: row.created,
+    skipped: row.skipped,
+    failed: row.failed,
+    errorSummary: parseJson(row.error_summary, {}),
+    recordedAt: row.recorded_at,
+});
+
+// Insert or update a run (called on every run state change). History is best effort: errors are logged, never thrown.
+const saveRunHistory = (run) => {
+    try {
+        getHistoryDb().prepare(`
+            INSERT INTO runs (id, status, source, bucket, folder, mode, batch_size, file_keys, errors, created_at, started_at, finished_at)
+            VALUES (@id, @status, @source, @bucket, @folder, @mode, @batchSize, @fileKeys, @errors, @createdAt, @startedAt, @finishedAt)
+            ON CONFLICT (id) DO UPDATE SET
+                status = excluded.status, folder = excluded.folder, file_keys = excluded.file_keys, errors = excluded.errors,
+                started_at = excluded.started_at, finished_at = excluded.finished_at
+        `).run({
+            id: run.id,
+            status: run.status,
+            source: run.source || null,
+            bucket: run.bucket || null,
+            folder: run.folder || null,
+            mode: run.mode || null,
+            batchSize: run.batchSize || null,
+            fileKeys: JSON.stringify(run.fileKeys || []),
+            errors: JSON.stringify(run.errors || []),
+            createdAt: run.createdAt || null,
+            startedAt: run.startedAt || null,
+            finishedAt: run.finishedAt || null,
+        });
+    } catch (error) {
+        logErrorToFile(`Failed to save run ${run.id} to the run history: ${error.message}`, error);
+    }
+};
+
+// Store the per-file counts of a run; files: [{ fileKey, totalRows, updated, created, skipped, failed, errorSummary }]
+const saveRunFiles = (runId, files) => {
+    try {
+        const historyDb = getHistoryDb();
+        const upsert = historyDb.prepare(`
+            INSERT INTO run_files (run_id, file_key, total_rows, updated, created, skipped, failed, error_summary, recorded_at)
+            VALUES (@runId, @fileKey, @totalRows, @updated, @created, @skipped, @failed, @errorSummary, @recordedAt)
+            ON CONFLICT (run_id, file_key) DO UPDATE SET
+                total_rows = excluded.total_rows, updated = excluded.updated, created = excluded.created, skipped = excluded.skipped,
+                failed = excluded.failed, error_summary = excluded.error_summary, recorded_at = excluded.recorded_at
+        `);
+        const recordedAt = new Date().toISOString();
+
+        historyDb.transaction(() => {
+            files.forEach((file) => upsert.run({
+                runId,
+                fileKey: file.fileKey,
+                totalRows: file.totalRows ?? null,
+                updated: file.updated || 0,
+                created: file.created || 0,
+                skipped: file.skipped || 0,
+                failed: file.failed || 0,
+                errorSummary: JSON.stringify(file.errorSummary || {}),
+                recordedAt,
+            }));
+        })();
+    } catch (error) {
+        logErrorToFile(`Failed to save the files of run ${runId} to the run history: ${error.message}`, error);
+    }
+};
+
+// Most recent runs first; filters: { status, folder, limit }
+const listRunHistory = ({ status, folder, limit = 50 } = {}) => {
+    const conditions = [];
+    const params = { limit };
+    if (status) {
+        conditions.push("status = @status");
+        params.status = status;
+    }
+    if (folder) {
+        conditions.push("folder = @folder");
+        params.folder = folder;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    return getHistoryDb().prepare(`SELECT * FROM runs ${where} ORDER BY created_at DESC LIMIT @limit`).all(params).map(toRun);
+};
+
+// A run with its per-file rows, or null for an unknown run ID
+const getRunReport = (runId) => {
+    const historyDb = getHistoryDb();
+    const run = toRun(historyDb.prepare("SELECT * FROM runs WHERE id = ?").get(runId));
+    if (!run) return null;
+
+    const files = historyDb.prepare("SELECT * FROM run_files WHERE run_id = ? ORDER BY file_key").all(runId).map(toRunFile);
+    return { ...run, files };
+};
+
+// Folders that a live (not dry) run has completed from a storage source
+const listCompletedFolders = (source = "s3") => getHistoryDb()
+    .prepare(`
+        SELECT DISTINCT folder FROM runs
+        WHERE status = 'completed' AND mode IN ('update', 'upsert') AND folder IS NOT NULL AND COALESCE(source, 's3') = ?
+    `)
+    .all(source)
+    .map((row) => row.folder);
+
+// One CSV line per file of the run
+const RUN_REPORT_COLUMNS = [
+    ["run_id", (run) => run.id],
+    ["status", (run) => run.status],
+    ["folder", (run) => run.folder],
+    ["mode", (run) => run.mode],
+    ["started_at", (run) => run.startedAt],
+    ["finished_at", (run) => run.finishedAt],
+    ["file", (run, file) => file.fileKey],
+    ["total_rows", (run, file) => file.totalRows],
+    ["updated", (run, file) => file.updated],
+    ["created", (run, file) => file.created],
+    ["skipped", (run, file) => file.skipped],
+    ["failed", (run, file) => file.failed],
+    ["errors", (run, file) => Object.entries(file.errorSummary).map(([reason, count]) => `${reason}: ${count}`).join("; ")],
+];
+
+const toRunReportCsv = (report) => toCsvLine(RUN_REPORT_COLUMNS.map(([header]) => header))
+    + report.files.map((file) => toCsvLine(RUN_REPORT_COLUMNS.map(([, getValue]) => getValue(report, file)))).join("");
+
+module.exports = {
+    getHistoryDb,
+    saveRunHistory,
+    saveRunFiles,
+    listRunHistory,
+    getRunReport,
+    listCompletedFolders,
+    toRunReportCsv,
+};
@@ -0,0 +1,553 @@
+const crypto = require("crypto");
+const { runWithLogContext, logErrorToFile, logInfoToFile, logUpdatesToFile } = require("./logger");
+const { batchQueue, redisClient, getTrackingKey } = require("./queue");
+const { getLatestFolderKey, listInputFiles, readCSVAndEnqueueJobs, validateInputFile, uploadRejectionReport } = require("./s3-helpers");
+const { STORAGE_SOURCES, getDefaultSource, getDefaultLocation, getStorage } = require("./storage-sources");
+const { getRowOutcomes } = require("./outcome-ledger");
+const { loadValidationConfig, createFileValidator, getQuarantineDecision } = require("./input-validation");
+const { resolveMappingProfile } = require("./mapping-helpers");
+const { appendRejectionReportRows } = require("./report-helpers");
+const { saveRunHistory, saveRunFiles } = require("./run-history");
+const { publishRunResults } = require("./run-results");
+const { notify } = require("./notifications");
+
+// Import runs. A run reads a folder (or an explicit list of files) and tags every job it enqueues with its run ID,
+// so its counters live under "<counter>:<runId>:<fileKey>" and never mix with another run's.
+//   run:<runId>   JSON { id, status, source, bucket, folder, fileKeys, batchSize, mode, upsert, uploadReport, force, errors, createdAt, startedAt, finishedAt }
+//   runs          set of run IDs
+//   run-folder-lock:<folder>  ID of the run in progress for a folder (one run per folder at a time)
+//   run-heartbeat:<runId>     set when the run starts reading and by every job a worker starts; expires RUN_STALE_AFTER_MINUTES
+//                             (default 60) after the last activity, after which a pending or running run is stale (see recoverStaleRuns)
+//   run-parked-jobs:<runId>   hash  job ID -> JSON { data, opts } of the jobs a worker took while the run was paused
+//   runs:events   pub/sub channel, JSON { type: "run.completed" | "run.failed" | "run.cancelled", runId, status }
+//   quarantined-files  hash  file key -> JSON { runId, message, errorRate, quarantinedAt } of files the pre-flight validation refused
+// Every state change is mirrored to the run history (run-history.js), which keeps runs after their Redis keys are gone.
+// status: pending | running | paused | completed | failed | cancelled
+// mode: update | upsert (create unmatched products) | dry_run (report only; "upsert": true also reports creations)
+// source: s3 | local (see storage-sources.js); bucket is the S3 bucket, or the root directory of the local source
+const RUN_MODES = ["update", "upsert", "dry_run"];
+const RUN_EVENTS_CHANNEL = "runs:events";
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+const PENDING_JOB_TYPES = ["waiting", "paused", "delayed"];
+const JOB_PAGE_SIZE = 500;
+
+const getRunKey = (runId) => `run:${runId}`;
+
+// Storage of a run; runs created before sources existed read from S3
+const getRunStorage = (run) => getStorage(run.source || "s3", run.bucket);
+
+const loadRun = async (runId) => JSON.parse((await redisClient.get(getRunKey(runId))) || "null");
+
+// Merge changes into the stored run (re-read first, so concurrent status changes aren't lost)
+const updateRun = async (runId, changes) => {
+    const run = { ...(await loadRun(runId)), ...changes };
+    await redisClient.set(getRunKey(runId), JSON.stringify(run));
+    saveRunHistory(run);
+    return run;
+};
+
+const publishRunEvent = async (type, run) => {
+    try {
+        await redisClient.publish(RUN_EVENTS_CHANNEL, JSON.stringify({ type, runId: run.id, status: run.status }));
+    } catch (error) {
+        logErrorToFile(`Failed to publish "${type}" for run ${run.id}: ${error.message}`, error);
+    }
+};
+
+// Notification data of a run: its per-file counts (as in update-progress.json) and their totals
+const getRunNotificationData = async (run) => {
+    const files = [];
+    for (const fileKey of run.fileKeys || []) {
+        files.push(await getFileProgress(run.id, fileKey));
+    }
+    const totals = ["totalRows", "updated", "created", "skipped", "failed"].reduce((acc, count) => {
+        acc[count] = files.reduce((sum, file) => sum + (file[count] || 0), 0);
+        return acc;
+    }, {});
+    const durationMinutes = run.startedAt ? (new Date(run.finishedAt || Date.now()) - new Date(run.startedAt)) / 60000 : 0;
+
+    return {
+        runId: run.id,
+        status: run.status,
+        mode: run.mode,
+        source: run.source,
+        location: getRunStorage(run).getUri(run.folder || ""),
+        folder: run.folder || "selected files",
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        duration: `${durationMinutes.toFixed(1)} min`,
+        fileCount: (run.fileKeys || []).length,
+        totals,
+        files,
+        fileSummary: files.map((file) => `- ${file.fileKey}: ${file.updated} updated, ${file.created} created, ${file.skipped} skipped, ${file.failed} failed, out of ${file.totalRows ?? "?"} rows (${file.progress}%)`).join("\n"),
+        errorSummary: (run.errors || []).map((error) => `\n! ${error.fileKey || "run"}: ${error.message}`).join(""),
+    };
+};
+
+// Move a run to a final status (completed, failed or cancelled) and publish the event.
+// The NX guard makes this happen once, even when several workers finish the run's last jobs at the same time.
+const finishRun = async (runId, status, changes = {}) => {
+    const firstToFinish = await redisClient.setNX(`run-finished:${runId}`, "1");
+    if (!firstToFinish) return null;
+
+    const run = await updateRun(runId, { ...changes, status, finishedAt: new Date().toISOString() });
+    await releaseFolderLock(run);
+    await snapshotRunFiles(runId);
+    // Results and source file markers go back to S3 before the event, so a worker exiting on it doesn't cut them off.
+    // Best effort: a failure there doesn't change the run.
+    await publishRunResults(runId).catch((error) => logErrorToFile(`Failed to publish the results of run ${runId}: ${error.message}`, error.stack));
+    await notify(`run.${status}`, await getRunNotificationData(run));
+    await publishRunEvent(`run.${status}`, run);
+    return run;
+};
+
+const getRunStaleAfterSeconds = () => (parseInt(process.env.RUN_STALE_AFTER_MINUTES, 10) || 60) * 60;
+
+const touchRun = (runId) => redisClient.set(`run-heartbeat:${runId}`, new Date().toISOString(), { EX: getRunStaleAfterSeconds() });
+
+// A pending or running run with no activity for RUN_STALE_AFTER_MINUTES, e.g. left behind by a crash. Paused runs are never stale.
+const isRunStale = async (run) => {
+    if (!["pending", "running"].includes(run.status)) return false;
+    if (await redisClient.get(`run-heartbeat:${run.id}`)) return false;
+
+    // Runs created before heartbeats existed have none; go by their start instead
+    const lastActivity = new Date(run.startedAt || run.createdAt).getTime();
+    return Date.now() - lastActivity > getRunStaleAfterSeconds() * 1000;
+};
+
+// Fail a stale run and remove its queued jobs, which would otherwise be counted against a run that has ended
+const recoverStaleRun = async (run) => {
+    const message = `No activity for ${getRunStaleAfterSeconds() / 60} minutes (e.g. the process crashed)`;
+    const staleRun = await finishRun(run.id, "failed", { errors: [...(run.errors || []), { message }] });
+    if (!staleRun) return null;
+
+    const removedJobs = await removePendingJobs(run.id);
+    logErrorToFile(`Run ${run.id} failed as stale: ${message}; removed ${removedJobs} pending job(s).`);
+    return staleRun;
+};
+
+// Fail every stale run, releasing their folders; returns the IDs of the runs failed
+const recoverStaleRuns = async () => {
+    const recoveredRunIds = [];
+    for (const run of await listActiveRuns()) {
+        if ((await isRunStale(run)) && (await recoverStaleRun(run))) recoveredRunIds.push(run.id);
+    }
+    return recoveredRunIds;
+};
+
+// Take the folder for a run. A lock left behind by a run that has finished, no longer exists or is stale is taken over.
+const acquireFolderLock = async (folder, runId) => {
+    const lockKey = `run-folder-lock:${folder}`;
+    if (await redisClient.set(lockKey, runId, { NX: true })) return;
+
+    const ownerId = await redisClient.get(lockKey);
+    const owner = ownerId && await loadRun(ownerId);
+    if (owner && !FINISHED_STATUSES.includes(owner.status)) {
+        if (!(await isRunStale(owner))) throw new Error(`Run ${ownerId} is already in progress for folder ${folder}`);
+        await recoverStaleRun(owner);
+    }
+    await redisClient.set(lockKey, runId);
+};
+
+const releaseFolderLock = async (run) => {
+    if (!run.folder) return;
+    const lockKey = `run-folder-lock:${run.folder}`;
+    if ((await redisClient.get(lockKey)) === run.id) await redisClient.del(lockKey);
+};
+
+const isRunCancelled = async (runId) => (await loadRun(runId))?.status === "cancelled";
+
+const isRunPaused = async (runId) => (await loadRun(runId))?.status === "paused";
+
+const getParkedJobsKey = (runId) => `run-parked-jobs:${runId}`;
+
+// Put the parked jobs of a run back in the queue. Each one is claimed with HDEL first, so a job parked while the run
+// resumes is enqueued once, by whichever of resumeRun and the worker gets to it.
+const requeueParkedJobs = async (runId) => {
+    const parkedJobs = await redisClient.hGetAll(getParkedJobsKey(runId));
+    let requeuedJobs = 0;
+    for (const [jobId, parkedJob] of Object.entries(parkedJobs)) {
+        if (!(await redisClient.hDel(getParkedJobsKey(runId), jobId))) continue;
+
+        // A new job ID: Bull ignores an add under the ID of the completed job it replaces
+        const { data, opts } = JSON.parse(parkedJob);
+        await batchQueue.add(data, { ...opts, jobId: undefined });
+        requeuedJobs++;
+    }
+    return requeuedJobs;
+};
+
+// Set aside a job taken by a worker while its run is paused; resumeRun puts it back in the queue.
+// The run may have resumed in the meantime, in which case the job goes straight back.
+const parkJob = async (job) => {
+    const { runId } = job.data;
+    await redisClient.hSet(getParkedJobsKey(runId), String(job.id), JSON.stringify({ data: job.data, opts: job.opts }));
+    if (!(await isRunPaused(runId))) await requeueParkedJobs(runId);
+};
+
+// Check if every row of a file has been counted as updated, created, failed or skipped
+// A file that is still being streamed from S3 has no final row count yet, so it is never processed
+const isFileProcessed = async (trackingKey) => {
+    if (await redisClient.sIsMember('files-reading', trackingKey)) return false;
+
+    const totalRows = parseInt(await redisClient.get(`total-rows:${trackingKey}`), 10);
+    const successfulUpdates = parseInt(await redisClient.get(`updated-products:${trackingKey}`) || 0, 10);
+    const failedUpdates = parseInt(await redisClient.get(`failed-products:${trackingKey}`) || 0, 10);
+    const skippedUpdates = parseInt(await redisClient.get(`skipped-products:${trackingKey}`) || 0, 10);
+    const createdProducts = parseInt(await redisClient.get(`created-products:${trackingKey}`) || 0, 10);
+
+    // Check if the sum of successful, created, failed, and skipped rows matches total rows
+    return successfulUpdates + createdProducts + failedUpdates + skippedUpdates >= totalRows;
+};
+
+const getFileProgress = async (runId, fileKey) => {
+    const trackingKey = getTrackingKey(fileKey, runId);
+    const readCount = async (counter) => parseInt((await redisClient.get(`${counter}:${trackingKey}`)) || 0, 10);
+
+    const totalRows = parseInt(await redisClient.get(`total-rows:${trackingKey}`), 10) || null;
+    const counts = {
+        updated: await readCount("updated-products"),
+        created: await readCount("created-products"),
+        skipped: await readCount("skipped-products"),
+        failed: await readCount("failed-products"),
+    };
+    const processedRows = counts.updated + counts.created + counts.skipped + counts.failed;
+
+    return {
+        fileKey,
+        reading: await redisClient.sIsMember('files-reading', trackingKey),
+        totalRows,
+        ...counts,
+        progress: totalRows ? Math.round((Math.min(processedRows, totalRows) / totalRows) * 100) : 0,
+    };
+};
+
+// Failed rows of a file in a run per reason code, e.g. { not_found: 3, api_error: 1 }
+const getErrorSummary = async (fileKey, runId) => {
+    const failedRows = await getRowOutcomes(fileKey, { runId, statuses: ["failed"] });
+    return failedRows
+        .reduce((summary, outcome) => ({ ...summary, [outcome.reason || "unknown"]: (summary[outcome.reason || "unknown"] || 0) + 1 }), {});
+};
+
+// Copy the run's current per-file counts into the run history
+const snapshotRunFiles = async (runId) => {
+    const run = await loadRun(runId);
+    if (!run) return;
+
+    const files = [];
+    for (const fileKey of run.fileKeys || []) {
+        const progress = await getFileProgress(runId, fileKey);
+        files.push({ ...progress, errorSummary: await getErrorSummary(fileKey, run.id) });
+    }
+    saveRunFiles(runId, files);
+};
+
+// A run with its per-file progress, or null for an unknown run ID
+const getRun = async (runId) => {
+    const run = await loadRun(runId);
+    if (!run) return null;
+
+    const files = [];
+    for (const fileKey of run.fileKeys || []) {
+        files.push(await getFileProgress(runId, fileKey));
+    }
+    return { ...run, files };
+};
+
+// Mark the run completed once every file it read successfully is fully processed.
+// Called by the worker after each job of the run.
+const checkRunCompletion = async (runId) => {
+    const run = await loadRun(runId);
+    if (!run || run.status !== "running" || !run.filesListed) return false;
+
+    const failedFiles = (run.errors || []).map((error) => error.fileKey);
+    for (const fileKey of run.fileKeys.filter((key) => !failedFiles.includes(key))) {
+        if (!(await isFileProcessed(getTrackingKey(fileKey, runId)))) return false;
+    }
+
+    if (await finishRun(runId, "completed")) {
+        logUpdatesToFile(`Run ${runId} completed: ${run.fileKeys.length} file(s), ${failedFiles.length} failed to read.`);
+    }
+    return true;
+};
+
+// Add a file's rejected rows to its rejection report, uploaded next to the file when the run uploads reports
+const reportRejections = async (run, { fileKey, rejections }) => {
+    const rows = [...rejections.values()].sort((a, b) => a.row - b.row);
+    appendRejectionReportRows(fileKey, run.id, rows);
+    if (rows.length > 0 && run.uploadReport) await uploadRejectionReport(getRunStorage(run), fileKey, run.id);
+};
+
+// Pre-flight check of the run's files on their header and first rows (see input-validation.js). Quarantined and unreadable
+// files are added to errors. Returns Map fileKey -> validator (null with validation off) for the files to read; the validators
+// share the folder's part numbers, so a part number repeated in the folder is kept by the file read first.
+const validateRunFiles = async (run, fileKeys, errors) => {
+    const validators = new Map();
+    const config = loadValidationConfig();
+    if (!config.enabled) {
+        fileKeys.forEach((fileKey) => validators.set(fileKey, null));
+        return validators;
+    }
+
+    const samples = await Promise.all(fileKeys.map(async (fileKey) => {
+        try {
+            return await runWithLogContext({ fileKey }, () => validateInputFile(getRunStorage(run), fileKey, config.sample_rows));
+        } catch (error) {
+            logErrorToFile(`Run ${run.id}: could not validate file "${fileKey}": ${error.message}`, error.stack);
+            errors.push({ fileKey, message: error.message });
+            return null;
+        }
+    }));
+
+    const folderPartNumbers = new Map();
+    for (const sample of samples.filter(Boolean)) {
+        const { quarantined, errorRate, message } = getQuarantineDecision(sample, config);
+        if (quarantined) {
+            logErrorToFile(`Run ${run.id}: quarantined file "${sample.fileKey}": ${message}`);
+            await reportRejections(run, sample);
+            await redisClient.hSet("quarantined-files", sample.fileKey, JSON.stringify({ runId: run.id, message, errorRate, quarantinedAt: new Date().toISOString() }));
+            errors.push({ fileKey: sample.fileKey, message: `Quarantined: ${message}`, quarantined: true });
+        } else {
+            validators.set(sample.fileKey, createFileValidator(sample.fileKey, resolveMappingProfile(sample.fileKey), config, folderPartNumbers));
+        }
+    }
+    return validators;
+};
+
+// List the run's files, validate them and stream each of them into the queue
+const executeRun = async (runId) => {
+    // A run paused before it started stays paused; its files are still read, and the worker parks their jobs
+    const pendingRun = await loadRun(runId);
+    let run = await updateRun(runId, { startedAt: new Date().toISOString(), ...(pendingRun.status === "pending" && { status: "running" }) });
+    await touchRun(runId);
+    const { batchSize, mode, upsert, uploadReport, force } = run;
+    const storage = getRunStorage(run);
+
+    let fileKeys = run.fileKeys;
+    if (!fileKeys || fileKeys.length === 0) {
+        fileKeys = run.folder ? (await listInputFiles(storage, run.folder)).map((file) => file.Key) : [];
+    }
+    run = await updateRun(runId, { fileKeys, filesListed: true });
+    if (fileKeys.length > 0) await notify("run.started", await getRunNotificationData(run));
+
+    if (fileKeys.length === 0) {
+        logErrorToFile(`Run ${runId} failed: no input files found in ${storage.getUri(run.folder || "")}`);
+        await finishRun(runId, "failed", { errors: [{ message: "No input files found" }] });
+        return;
+    }
+
+    const errors = [];
+    const validators = await validateRunFiles(run, fileKeys, errors);
+
+    logInfoToFile(`Run ${runId}: reading ${validators.size} file(s) from ${storage.getUri()} in ${mode} mode`);
+    // One file after another, in key order: the file that sorts first keeps a part number repeated in the folder
+    for (const fileKey of [...validators.keys()].sort((a, b) => a.localeCompare(b))) {
+        const validator = validators.get(fileKey);
+        try {
+            await runWithLogContext({ fileKey }, () => readCSVAndEnqueueJobs(storage, fileKey, batchSize, {
+                dryRun: mode === "dry_run",
+                upsert: mode === "upsert" || Boolean(upsert),
+                uploadReport,
+                force,
+                reportId: runId,
+                runId,
+                isCancelled: () => isRunCancelled(runId),
+                validator,
+            }));
+        } catch (error) {
+            errors.push({ fileKey, message: error.message });
+        }
+        if (validator) await reportRejections(run, validator.result());
+    }
+
+    if (errors.length > 0) run = await updateRun(runId, { errors });
+    if (errors.length === fileKeys.length) {
+        logErrorToFile(`Run ${runId} failed: none of its ${fileKeys.length} file(s) could be read or passed validation.`);
+        await finishRun(runId, "failed");
+        return;
+    }
+
+    // Every job may already be done (e.g. all rows were completed by an earlier run)
+    await checkRunCompletion(runId);
+};
+
+// Resolve with the finished run once it is completed, failed or cancelled (listens on the runs:events channel)
+const waitForRunToFinish = async (runId) => {
+    const subscriber = redisClient.duplicate();
+    await subscriber.connect();
+
+    try {
+        return await new Promise((resolve, reject) => {
+            subscriber.subscribe(RUN_EVENTS_CHANNEL, (message) => {
+                if (JSON.parse(message).runId === runId) loadRun(runId).then(resolve, reject);
+            }).then(async () => {
+                // The run may have finished before the subscription was in place
+                const run = await loadRun(runId);
+                if (!run) reject(new Error(`Run ${runId} not found`));
+                else if (FINISHED_STATUSES.includes(run.status)) resolve(run);
+            }, reject);
+        });
+    } finally {
+        await subscriber.quit();
+    }
+};
+
+// Folder of a file key, e.g. "10-31-2024/parts.csv" -> "10-31-2024/"
+const getFolderOfKey = (fileKey) => (fileKey.includes("/") ? fileKey.slice(0, fileKey.lastIndexOf("/") + 1) : "");
+
+// Create a run and start reading its files in the background.
+// { source?, bucket?, folder?, fileKeys?, batchSize?, mode?, upsert?, uploadReport?, force? }; without folder or fileKeys the latest dated folder is used.
+// source defaults to STORAGE_SOURCE ("s3"); bucket defaults to the source's default location (S3_BUCKET_NAME, LOCAL_SOURCE_DIR).
+// fileKeys may be combined with the folder they are in to process only some of its files.
+// Only one run at a time may be in progress for a folder; a second one is refused.
+const createRun = async (params = {}) => {
+    const { fileKeys = [], batchSize = 20, mode = "update", upsert = false, uploadReport = false, force = false } = params;
+    const source = params.source || getDefaultSource();
+
+    if (!STORAGE_SOURCES.includes(source)) throw new Error(`Unknown source "${source}". Expected one of ${STORAGE_SOURCES.join(", ")}.`);
+    const bucket = params.bucket || getDefaultLocation(source);
+    if (!bucket) throw new Error("bucket is required (or set S3_BUCKET_NAME)");
+    const storage = getStorage(source, bucket);
+    if (!RUN_MODES.includes(mode)) throw new Error(`Unknown mode "${mode}". Expected one of ${RUN_MODES.join(", ")}.`);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 100) throw new Error("batchSize must be an integer between 1 and 100");
+    if (!Array.isArray(fileKeys) || fileKeys.some((key) => typeof key !== "string" || !key)) throw new Error("fileKeys must be an array of file keys");
+
+    let folder = params.folder && !params.folder.endsWith("/") ? `${params.folder}/` : params.folder;
+    const fileFolders = [...new Set(fileKeys.map(getFolderOfKey))];
+    if (folder && fileFolders.some((fileFolder) => fileFolder !== folder)) throw new Error(`fileKeys must all be in folder ${folder}`);
+    if (!folder && fileFolders.length === 1) folder = fileFolders[0];
+    if (!folder && fileKeys.length === 0) {
+        folder = await getLatestFolderKey(storage);
+        if (!folder) throw new Error(`No dated folder found in ${storage.getUri()}`);
+    }
+
+    const run = {
+        id: crypto.randomUUID(),
+        status: "pending",
+        source,
+        bucket,
+        folder: folder || null,
+        fileKeys,
+        batchSize,
+        mode,
+        upsert: Boolean(upsert),
+        uploadReport: Boolean(uploadReport),
+        force: Boolean(force),
+        errors: [],
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+    };
+
+    // Saved before taking the folder, so a concurrent request never mistakes this run's lock for a stale one
+    await redisClient.set(getRunKey(run.id), JSON.stringify(run));
+    if (run.folder) {
+        try {
+            await acquireFolderLock(run.folder, run.id);
+        } catch (error) {
+            await redisClient.del(getRunKey(run.id));
+            throw error;
+        }
+    }
+    await redisClient.sAdd("runs", run.id);
+    saveRunHistory(run);
+    logInfoToFile(`Created run ${run.id}: ${JSON.stringify({ source, bucket, folder: run.folder, fileKeys, batchSize, mode })}`);
+
+    // Every log entry of the run carries its id
+    runWithLogContext({ runId: run.id }, () => executeRun(run.id)).catch(async (error) => {
+        logErrorToFile(`Run ${run.id} failed: ${error.message}`, error.stack);
+        await finishRun(run.id, "failed", { errors: [{ message: error.message }] });
+    }).catch((error) => logErrorToFile(`Failed to mark run ${run.id} as failed: ${error.message}`, error.stack));
+
+    return run;
+};
+
+// Runs that haven't reached a final status yet
+const listActiveRuns = async () => {
+    const activeRuns = [];
+    for (const runId of await redisClient.sMembers("runs")) {
+        const run = await loadRun(runId);
+        if (run && !FINISHED_STATUSES.includes(run.status)) activeRuns.push(run);
+    }
+    return activeRuns;
+};
+
+const requireRun = async (runId, allowedStatuses, action) => {
+    const run = await loadRun(runId);
+    if (!run) return null;
+    if (!allowedStatuses.includes(run.status)) {
+        throw new Error(`Cannot ${action} run ${runId} while it is ${run.status}`);
+    }
+    return run;
+};
+
+// Pausing only holds this run's jobs: the worker parks each one it takes while the run is paused (see parkJob), and
+// the other runs on the shared queue carry on. Jobs already in flight finish first.
+const pauseRun = async (runId) => {
+    if (!(await requireRun(runId, ["pending", "running"], "pause"))) return null;
+
+    const run = await updateRun(runId, { status: "paused" });
+    logInfoToFile(`Paused run ${runId}`);
+    return run;
+};
+
+const resumeRun = async (runId) => {
+    if (!(await requireRun(runId, ["paused"], "resume"))) return null;
+
+    const run = await updateRun(runId, { status: "running" });
+    const requeuedJobs = await requeueParkedJobs(runId);
+    logInfoToFile(`Resumed run ${runId}: requeued ${requeuedJobs} parked job(s).`);
+    await checkRunCompletion(runId);
+    return run;
+};
+
+// Remove the run's jobs that haven't started yet; jobs already running are skipped by the worker
+const removePendingJobs = async (runId) => {
+    const jobs = [];
+    for (let start = 0; ; start += JOB_PAGE_SIZE) {
+        const page = await batchQueue.getJobs(PENDING_JOB_TYPES, start, start + JOB_PAGE_SIZE - 1, true);
+        if (page.length === 0) break;
+        jobs.push(...page.filter((job) => job && job.data.runId === runId));
+    }
+
+    for (const job of jobs) {
+        await job.remove();
+    }
+    return jobs.length;
+};
+
+const cancelRun = async (runId) => {
+    const run = await requireRun(runId, ["pending", "running", "paused"], "cancel");
+    if (!run) return null;
+
+    // Mark the run cancelled first, so the file readers stop adding jobs while the pending ones are removed
+    const cancelledRun = await finishRun(runId, "cancelled");
+    if (!cancelledRun) throw new Error(`Cannot cancel run ${runId}: it has already finished`);
+    const parkedJobs = Object.keys(await redisClient.hGetAll(getParkedJobsKey(runId))).length;
+    await redisClient.del(getParkedJobsKey(runId));
+    const removedJobs = await removePendingJobs(runId) + parkedJobs;
+
+    logUpdatesToFile(`Cancelled run ${runId}: removed ${removedJobs} pending job(s).`);
+    return { ...cancelledRun, removedJobs };
+};
+
+module.exports = {
+    RUN_MODES,
+    RUN_EVENTS_CHANNEL,
+    FINISHED_STATUSES,
+    isFileProcessed,
+    isRunCancelled,
+    isRunPaused,
+    parkJob,
+    getRun,
+    listActiveRuns,
+    createRun,
+    pauseRun,
+    resumeRun,
+    cancelRun,
+    checkRunCompletion,
+    touchRun,
+    recoverStaleRuns,
+    snapshotRunFiles,
+    waitForRunToFinish,
+};
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+const { logErrorToFile, logUpdatesToFile } = require("./logger");
+const { getStorage } = require("./storage-sources");
+const { getRowOutcomes } = require("./outcome-ledger");
+const { getRunReport } = require("./run-history");
+const { toCsvLine, getReportPaths, getDryRunReportName } = require("./report-helpers");
+
+// Results of a finished run, written back to the run's storage (S3 bucket or local directory) so they outlive the worker's local disk:
+//   <S3_RESULTS_PREFIX><runId>/<file key without extension>.summary.json   counts, status and error summary of the file
+//   <S3_RESULTS_PREFIX><runId>/<file key without extension>.results.csv    one line per row (the dry-run report for dry runs)
+// The source files are then marked according to S3_SOURCE_DISPOSITION:
+//   tag (default)  tag the object "import-status": processed | failed and "import-run": <runId> (a local file gets a hidden .<name>.tags.json)
+//   move           move it under S3_PROCESSED_PREFIX or S3_FAILED_PREFIX (e.g. "processed/10-31-2024/parts.csv")
+//   none           leave it as it is
+// Files of a cancelled run and of dry runs are left untouched.
+const getResultsConfig = () => ({
+    resultsPrefix: process.env.S3_RESULTS_PREFIX || "results/",
+    processedPrefix: process.env.S3_PROCESSED_PREFIX || "processed/",
+    failedPrefix: process.env.S3_FAILED_PREFIX || "failed/",
+    disposition: process.env.S3_SOURCE_DISPOSITION || "tag",
+});
+
+const RESULT_COLUMNS = [
+    ["row", (outcome) => outcome.row],
+    ["part_number", (outcome) => outcome.partNumber],
+    ["status", (outcome) => outcome.status],
+    ["product_id", (outcome) => outcome.productId],
+    ["changed_fields", (outcome) => (outcome.changedFields || []).join(";")],
+    ["reason", (outcome) => outcome.reason],
+    ["error_code", (outcome) => outcome.errorCode],
+    ["message", (outcome) => outcome.message],
+];
+
+const getResultKeyBase = (resultsPrefix, runId, fileKey) => `${resultsPrefix}${runId}/${fileKey.replace(/\.[^/.]+$/, "")}`;
+
+// Per-row CSV of a file: the ledger entries written by this run, or the local dry-run report
+const buildResultsCsv = async (run, fileKey) => {
+    if (run.mode === "dry_run") {
+        const reportPath = getReportPaths(getDryRunReportName(fileKey, run.id)).csv;
+        return fs.existsSync(reportPath) ? fs.readFileSync(reportPath) : null;
+    }
+
+    const outcomes = await getRowOutcomes(fileKey, { runId: run.id });
+    return toCsvLine(RESULT_COLUMNS.map(([header]) => header))
+        + outcomes.map((outcome) => toCsvLine(RESULT_COLUMNS.map(([, getValue]) => getValue(outcome)))).join("");
+};
+
+// processed | failed | null (leave the source file alone)
+const getFileDisposition = (run, fileError) => {
+    if (run.mode === "dry_run" || run.status === "cancelled") return null;
+    if (fileError || run.status === "failed") return "failed";
+    return "processed";
+};
+
+const markSourceFile = async (storage, run, fileKey, disposition, config) => {
+    if (!disposition || config.disposition === "none") return null;
+
+    if (config.disposition === "move") {
+        const targetKey = `${disposition === "processed" ? config.processedPrefix : config.failedPrefix}${fileKey}`;
+        await storage.moveFile(fileKey, targetKey);
+        return targetKey;
+    }
+
+    await storage.tagFile(fileKey, { "import-status": disposition, "import-run": run.id });
+    return fileKey;
+};
+
+// Upload the summary and results of every file of a finished run and mark its source files.
+// Best effort: a failure is logged for the file and the other files still go ahead.
+const publishRunResults = async (runId) => {
+    const report = getRunReport(runId);
+    if (!report || !report.bucket) return [];
+
+    const storage = getStorage(report.source, report.bucket);
+    const config = getResultsConfig();
+    const published = [];
+
+    for (const fileKey of report.fileKeys) {
+        try {
+            const counts = report.files.find((file) => file.fileKey === fileKey) || {};
+            const fileError = (report.errors || []).find((error) => error.fileKey === fileKey);
+            const disposition = getFileDisposition(report, fileError);
+            const keyBase = getResultKeyBase(config.resultsPrefix, runId, fileKey);
+
+            const resultsCsv = fileError ? null : await buildResultsCsv(report, fileKey);
+            if (resultsCsv) await storage.writeFile(`${keyBase}.results.csv`, resultsCsv, "text/csv");
+
+            const sourceKey = await markSourceFile(storage, report, fileKey, disposition, config);
+
+            const summary = {
+                runId,
+                fileKey,
+                fileName: path.posix.basename(fileKey),
+                folder: report.folder,
+                source: report.source,
+                mode: report.mode,
+                runStatus: report.status,
+                fileStatus: disposition || (report.mode === "dry_run" ? "dry_run" : report.status),
+                startedAt: report.startedAt,
+                finishedAt: report.finishedAt,
+                totalRows: counts.totalRows ?? null,
+                updated: counts.updated || 0,
+                created: counts.created || 0,
+                skipped: counts.skipped || 0,
+                failed: counts.failed || 0,
+                errorSummary: counts.errorSummary || {},
+                error: fileError ? fileError.message : null,
+                resultsKey: resultsCsv ? `${keyBase}.results.csv` : null,
+                sourceKey: sourceKey || fileKey,
+            };
+            await storage.writeFile(`${keyBase}.summary.json`, JSON.stringify(summary, null, 2), "application/json");
+
+            published.push(summary);
+            logUpdatesToFile(`Published results of "${fileKey}" for run ${runId} to ${storage.getUri(`${keyBase}.summary.json`)}`);
+        } catch (error) {
+            logErrorToFile(`Failed to publish the results of "${fileKey}" for run ${runId}: ${error.message}`, error.stack);
+        }
+    }
+
+    return published;
+};
+
+module.exports = {
+    publishRunResults,
+};
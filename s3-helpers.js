@@ -1,247 +1,327 @@
-const { S3Client, ListObjectsV2Command, GetObjectCommand } = require("@aws-sdk/client-s3");
-const { promisify } = require("util");
-const { Readable, pipeline } = require("stream"); // Promisify the stream pipeline utility
-const streamPipeline = promisify(pipeline); // Use async pipeline with stream promises
-const csvParser = require("csv-parser");
+const fs = require("fs");
 const { logErrorToFile, logUpdatesToFile, logDetailedErrorToFile, logInfoToFile } = require("./logger");
-const { batchQueue, redisClient } = require('./queue');
+const { batchQueue, redisClient, getTrackingKey } = require('./queue');
+const { resolveMappingProfile } = require("./mapping-helpers");
+const { getReportPaths, getDryRunReportName, getDryRunReportS3Keys, getRejectionReportName, getRejectionReportS3Key, isReportKey } = require("./report-helpers");
+const { getCompletedRanges, getMissingRanges, isRowCompleted, clearCompletedRanges } = require("./checkpoint");
+const { isSupportedInputFile, createRowStream } = require("./input-formats");
+const { createFileValidator } = require("./input-validation");
+const { recordRowOutcome, countRows } = require("./outcome-ledger");
 
 const executionMode = process.env.EXECUTION_MODE || 'production';
 
-const initializeFileTracking = async (fileKey, totalRows) => {
-  await redisClient.set(`total-rows:${fileKey}`, totalRows);
-  await redisClient.set(`updated-products:${fileKey}`, 0);  // Initialize if missing
-  await redisClient.set(`skipped-products:${fileKey}`, 0);  // Initialize if missing
-  await redisClient.set(`failed-products:${fileKey}`, 0);   // Initialize if missing
+// The total row count is written once the file has been streamed to the end
+// trackingKey is the file key, prefixed with the run ID for files read by a run (see getTrackingKey)
+const initializeFileTracking = async (trackingKey) => {
+  await redisClient.del(`total-rows:${trackingKey}`);  // Drop a stale total from an earlier version of the file
+  await redisClient.set(`updated-products:${trackingKey}`, 0);  // Initialize if missing
+  await redisClient.set(`skipped-products:${trackingKey}`, 0);  // Initialize if missing
+  await redisClient.set(`failed-products:${trackingKey}`, 0);   // Initialize if missing
+  await redisClient.set(`created-products:${trackingKey}`, 0);  // Initialize if missing
 };
 
-// AWS S3 setup (using AWS SDK v3)
-const s3Client = new S3Client({ 
-  region: process.env.AWS_REGION_NAME,
-  endpoint: "https://s3.us-west-1.amazonaws.com", // Use specific bucket's region
-  forcePathStyle: true, // This helps when using custom endpoints
-  requestTimeout: 300000 // Set timeout to 10 minutes
-});
-
 const pattern = (executionMode === 'production')
                 ? /^\d{2}-\d{2}-\d{4}\/$/
                 : /^\d{2}-\d{2}-\d{4}-test\/$/;
 
+// Every helper below works on a storage (see storage-sources.js): an S3 bucket or a local directory such as ./csvFiles
+
+// Dated folder prefixes of the storage (e.g. "10-31-2024/"), newest first
+const listDatedFolders = async (storage) => {
+  const folders = await storage.listFolders();
+
+  return folders
+    .filter(prefix => pattern.test(prefix)) // Match pattern like "10-31-2024/" for production mode or "10-31-2024-test/" for development mode
+    .sort((a, b) => getFolderDate(b) - getFolderDate(a)); // Sort by date descending
+};
+
+// Date of a dated folder prefix such as "10-31-2024/" or "10-31-2024-test/"
+const getFolderDate = (folder) => new Date(folder.slice(0, 10));
+
 // Get the latest folder key (name) by sorting folders by date
-const getLatestFolderKey = async (bucketName) => {
+const getLatestFolderKey = async (storage) => {
   try {
-    const listParams = { Bucket: bucketName, Delimiter: '/' }; // Delimit by "/" to get folders
-    const listData = await s3Client.send(new ListObjectsV2Command(listParams));
-
-    // Filter for folders and sort by date, ensure CommonPrefixes is defined
-    const folders = (listData.CommonPrefixes || [])
-      .map(prefix => prefix.Prefix)
-      .filter(prefix => pattern.test(prefix)) // Match pattern like "10-31-2024/" for production mode or "10-31-2024-test/" for development mode
-      .sort((a, b) => new Date(b.slice(0, 10)) - new Date(a.slice(0, 10))); // Sort by date descending
+    const folders = await listDatedFolders(storage);
 
     if (folders.length === 0) {
-      logErrorToFile(`No valid folders found in the bucket: ${bucketName}.`);
+      logErrorToFile(`No valid folders found in: ${storage.getUri()}.`);
       return null;
     }
 
     return folders[0]; // Return the latest folder
   } catch (error) {
-    logErrorToFile(`Error in getLatestFolderKey for bucket "${bucketName}": ${error.message}`, error.stack);
+    logErrorToFile(`Error in getLatestFolderKey for "${storage.getUri()}": ${error.message}`, error.stack);
     return null;
   }
 };
 
-// Process CSV files within the latest folder
-const processCSVFilesInLatestFolder = async (bucketName, batchSize) => {
-  try {
-    const latestFolder = await getLatestFolderKey(bucketName);
-    if (!latestFolder) {
-      logErrorToFile("No latest folder found, exiting.");
-      return;
-    }
+// List the supplier files (CSV, XLSX, JSON, NDJSON - see input-formats.js) of a folder, leaving out our own reports
+const listInputFiles = async (storage, folder) => {
+  const contents = await storage.listFiles(folder);
+
+  if (contents.length === 0) {
+    logErrorToFile(`No contents found in folder: ${storage.getUri(folder)}`);
+    return [];
+  }
 
-    logInfoToFile(`Processing files in the latest folder: ${latestFolder}`);
-    const listParams = { Bucket: bucketName, Prefix: latestFolder };
-    const listData = await s3Client.send(new ListObjectsV2Command(listParams));
+  const inputFiles = contents.filter((file) => !isReportKey(file.Key) && isSupportedInputFile(file.Key));
+  logInfoToFile(`Retrieved ${inputFiles.length} input files in folder: ${folder}`);
+  inputFiles.forEach(file => logInfoToFile(`Found file: ${file.Key}`));
 
-    if (!listData.Contents) {
-      logErrorToFile(`No contents found in folder: ${latestFolder} of bucket: ${bucketName}`);
-      return;
+  return inputFiles;
+};
+
+// Read a supplier file from the storage and enqueue jobs
+// The file body is streamed through the file's input-format reader in a single pass (gunzipped first for ".gz" objects). Each enqueue is
+// awaited inside the row loop, so the reader and the download pause while Redis is busy and memory stays flat on large files.
+// The total row count is only known once the stream ends; until then the file sits in the "files-reading" set.
+// Row ranges already completed for the same file version (ETag) are skipped, so a rerun after a crash only enqueues the gaps
+// options.isCancelled (async, optional) is checked before every enqueue so a cancelled run stops reading the file
+// options.validator (optional, see createFileValidator in input-validation.js) checks every row as it is read; rejected rows
+// are recorded as failed ("validation_error") instead of being enqueued
+const readCSVAndEnqueueJobs = async (storage, key, batchSize, options = {}) => {
+  const { dryRun = false, uploadReport = false, upsert = false, force = false, reportId, runId, isCancelled, validator } = options;
+  const trackingKey = getTrackingKey(key, runId);
+  const MAX_RETRIES = 3;
+  let consecutiveErrors = 0;
+  let batch = [];
+  let batchStartRow = 1; // 1-based row number of the first row in the current batch
+  let totalRows = 0;  // Rows parsed so far; the file's total once the stream ends
+  let lastProcessedRow = 0;  // Track the last processed row
+  let skippedCompletedRows = 0;
+  let fileVersion;
+
+  // Enqueue the current batch as one job covering a contiguous row range
+  const enqueueBatch = async () => {
+    const firstRow = batchStartRow;
+    const lastRow = batchStartRow + batch.length - 1;
+    const jobId = `${runId ? `${runId}:` : ""}${key}-${fileVersion}-${firstRow}-${lastRow}`;
+
+    const jobData = {
+      batch,
+      fileKey: key,
+      fileVersion,
+      source: storage.source,
+      bucketName: storage.location,
+      totalProductsInFile: null, // Not known while streaming; the worker reads "total-rows:<file>" instead
+      startRow: firstRow - 1, // 0-based index of the first row in this batch
+      lastProcessedRow: lastRow,
+      batchSize: batch.length,
+      dryRun,
+      uploadReport,
+      upsert,
+      reportId,
+      runId
+    };
+
+    try {
+      // A permanently failed job with the same ID would block the re-add, so drop it first
+      const existingJob = await batchQueue.getJob(jobId);
+      if (existingJob && (await existingJob.isFailed())) await existingJob.remove();
+
+      await batchQueue.add(jobData, { 
+        jobId,
+        attempts: 5, // Number of retry attempts
+        backoff: {
+          type: 'exponential', // Exponential backoff between retries
+          delay: 5000 // Initial delay of 5 seconds between retries
+        },
+        timeout: 300000 // Set a custom timeout (e.g., 3 minutes)
+      });
+      logInfoToFile(`DEBUG: Enqueued batch job with ID: ${jobId} for rows ${firstRow}-${lastRow} in file: ${key}`);
+    } catch (error) {
+      logErrorToFile(`Failed to enqueue job for rows ${firstRow}-${lastRow} in file: ${key}. Error: ${error.message}`, error.stack);
     }
 
-    const csvFiles = listData.Contents.filter((file) => file.Key.toLowerCase().endsWith(".csv"));
-    logInfoToFile(`Retrieved ${csvFiles.length} CSV files in folder: ${latestFolder}`);
-    csvFiles.forEach(file => logInfoToFile(`Found file: ${file.Key}`));
+    batch = [];  // Clear the batch after processing
+  };
 
-    if (csvFiles.length === 0) {
-      logErrorToFile(`No CSV files found in folder: ${latestFolder} of bucket: ${bucketName}`);
-      return;
+  try {
+    // Fail fast when the file has no usable mapping profile
+    const mappingProfile = resolveMappingProfile(key);
+    logInfoToFile(`Using mapping profile "${mappingProfile.name}" for file: ${key}`);
+
+    // Open the file (the body is a stream, nothing is buffered yet)
+    const data = await storage.readFile(key);
+
+    // Dry runs keep their own checkpoints so they never mark rows as done for a real run
+    fileVersion = `${(data.ETag || "").replace(/"/g, "") || "unversioned"}${dryRun ? "-dry-run" : ""}`;
+    if (force) await clearCompletedRanges(key, fileVersion);
+    const completedRanges = await getCompletedRanges(key, fileVersion);
+    const resuming = completedRanges.length > 0;
+    // A new run resuming a file completed in part by an earlier run starts with fresh counters
+    const keepCounters = resuming && (await redisClient.get(`updated-products:${trackingKey}`)) !== null;
+
+    // Initialize tracking in Redis for this file; a resumed file keeps the counters of its completed ranges
+    await redisClient.sAdd('files-reading', trackingKey);
+    if (resuming) {
+      logInfoToFile(`Resuming file ${key} (version ${fileVersion}). Completed rows: ${completedRanges.map(([start, end]) => `${start}-${end}`).join(", ")}; the file is read again and only the other rows are enqueued`);
     }
+    if (!keepCounters) {
+      await initializeFileTracking(trackingKey);
+    }
+
+    // File body -> (gunzip) -> format reader -> normalized rows; an error in any stage ends the row loop below
+    const rowStream = createRowStream(data.Body, key, { contentEncoding: data.ContentEncoding });
 
-    const fileProcessingTasks = csvFiles.map(async (file) => {
+    logInfoToFile(`Starting to stream file: ${key}`);
+    // Iterates over each row of the file asynchronously, allowing us to handle each chunk (row) as it arrives, without waiting for the entire file to load.
+    for await (const chunk of rowStream) {
       try {
-          logInfoToFile(`Processing file: ${file.Key}`);
-          await readCSVAndEnqueueJobs(bucketName, file.Key, batchSize);
+        lastProcessedRow++;
+        totalRows = lastProcessedRow;
+        // Every row goes through the validator, completed ones too, so duplicates are found as in the earlier read
+        if (validator) validator.addRow(chunk, lastProcessedRow);
 
-      } catch (error) {
-          logErrorToFile(`Error processing file ${file.Key}. Error: ${error.message}`, error.stack);
-      }        
-    });
+        if (isCancelled && batch.length === 0 && (await isCancelled())) {
+          throw Object.assign(new Error(`Run ${runId} was cancelled`), { name: 'RunCancelledError' });
+        }
 
-    await Promise.all(fileProcessingTasks); // Wait for all files to process
-    logUpdatesToFile("All CSV files in the latest folder have been read.");
-  } catch (error) {
-    logErrorToFile(`Error in processCSVFilesInLatestFolder for bucket "${bucketName}": ${error.message}`, error.stack);
-  }
-};
+        // Already completed for this file version: close the current batch so every job stays a contiguous range
+        if (isRowCompleted(completedRanges, lastProcessedRow)) {
+          if (batch.length > 0) await enqueueBatch();
+          skippedCompletedRows++;
+          continue;
+        }
 
-// Read CSV from S3 and enqueue jobs
-const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
-  const params = { Bucket: bucketName, Key: key};
-  const MAX_RETRIES = 3;
-  let consecutiveErrors = 0;
-  let batch = [];
-  let totalRows = 0;  // Initialize total rows count
-  let lastProcessedRow = 0;  // Track the last processed row
+        // Rejected by the validation: counted as failed without reaching WooCommerce
+        const rejection = validator && validator.result().rejections.get(lastProcessedRow);
+        if (rejection) {
+          if (batch.length > 0) await enqueueBatch();
+          const { partNumber, errors } = rejection;
+          if (!dryRun) {
+            await recordRowOutcome(key, { runId, row: lastProcessedRow, partNumber, status: "failed", reason: "validation_error", message: errors.map((error) => `${error.code}: ${error.message}`).join("; "), item: chunk });
+          }
+          await countRows(trackingKey, "failed-products", [lastProcessedRow]);
+          continue;
+        }
 
-  try {
-    // Fetch the CSV data from S3
-    const data = await s3Client.send(new GetObjectCommand(params));
-
-    // Convert data.Body to a string or Buffer (adjust based on the SDK version)
-    const bodyContent = await data.Body.transformToString(); // Or use 'await streamToString(data.Body)' if needed
-
-    const rows = bodyContent.split('\n'); // Split CSV content into rows
-    totalRows = rows.length - 1; // Subtract header row
-
-    // Initialize tracking in Redis for this file
-    await initializeFileTracking(key, totalRows);
-    await redisClient.set(`total-rows:${key}`, totalRows); // Store individual file's row count
-    await redisClient.incrBy('overall-total-rows', totalRows); // Increment the overall total row count
-
-    // Create reusable data streams from the cached content
-    const dataStream1 = Readable.from(bodyContent);
-    const dataStream2 = Readable.from(bodyContent);
-
-    // Use dataStream1 for counting rows
-    await streamPipeline(
-      dataStream1,
-      csvParser(),
-      async function* (source) {
-        let count = 0;
-        for await (const row of source) {
-          count++;
+        // Rows arrive with normalized headers from the input-format reader
+        if (batch.length === 0) batchStartRow = lastProcessedRow;
+        batch.push(chunk);
+        //logUpdatesToFile(`Added to batch: ${normalizedData.part_number} at row ${lastProcessedRow}`);
+
+        // Check if the batch size is reached; awaiting the enqueue is what applies back-pressure to the stream
+        if (batch.length >= batchSize) {
+          await enqueueBatch();
+          consecutiveErrors = 0;  // Reset error count
         }
-        await redisClient.set(`total-rows:${key}`, count);
-        totalRows = count; // Set the totalRows variable for further use
-        logUpdatesToFile(`Total rows for file ${key}: ${totalRows}, saved to Redis.`);
-      }
-    );
-
-    // Use dataStream2 for processing rows
-    await streamPipeline(
-      dataStream2,
-      csvParser(),
-      // Iterates over each row in the CSV asynchronously, allowing us to handle each chunk (row) as it arrives, without waiting for the entire file to load.
-      async function* (source) {
-        logInfoToFile(`Starting to process CSV file: ${key}, on row ${lastProcessedRow + 1} / ${totalRows}`);
-        for await (const chunk of source) {
-          try {
-            lastProcessedRow++;
-
-            // Process each row and normalize the data
-            const normalizedData = Object.keys(chunk).reduce((acc, key) => {
-              acc[key.trim().toLowerCase().replace(/\s+/g, "_")] = chunk[key];
-              return acc;
-            }, {});
-  
-            batch.push(normalizedData);
-            //logUpdatesToFile(`Added to batch: ${normalizedData.part_number} at row ${lastProcessedRow}`);
-  
-            // Check if the batch size is reached
-            if (batch.length >= batchSize) {
-
-              // Create a job with the last processed row and total rows
-              const jobData = {
-                batch,
-                fileKey: key,
-                totalProductsInFile: totalRows,
-                //lastProcessedRow,
-                batchSize: batch.length
-              };
-
-              // Before adding a job, check jobData and add detailed logging
-              try {
-                const job = await batchQueue.add(jobData, { 
-                  jobId: `${key}-${lastProcessedRow}`,
-                  attempts: 5, // Number of retry attempts
-                  backoff: {
-                    type: 'exponential', // Exponential backoff between retries
-                    delay: 5000 // Initial delay of 5 seconds between retries
-                  },
-                  timeout: 300000 // Set a custom timeout (e.g., 3 minutes)
-                });
-
-              } catch (error) {
-                  logErrorToFile(`Failed to enqueue job for rows up to ${lastProcessedRow} in file: ${key}. Error: ${error.message}`, error.stack);
-              }
-
-              batch = [];  // Clear the batch after processing
-              consecutiveErrors = 0;  // Reset error count
-            }
-            
-          } catch (error) {
-            // Detailed error logging
-            if (error.code === 'ENOTFOUND' || error.code === 'ECONNRESET') {
-              logErrorToFile(`Network error: ${error.message}`, error.stack);
-            } else if (error.name === 'CSVError') {  // Assuming csv-parser throws errors with name 'CSVError'
-                logErrorToFile(`CSV parsing error at row ${totalRows} in file "${key}": ${error.message}`, error.stack);
-            } else {
-                logDetailedErrorToFile(error, `Error processing row ${totalRows} in file "${key}: ${error.message}"`);
-            }
-
-            // Increment error count and check if max retries are reached
-            consecutiveErrors++;
-            if (consecutiveErrors >= MAX_RETRIES) {
-                throw new Error(`Processing aborted after ${MAX_RETRIES} consecutive row errors.`);
-            }
-          };
+        
+      } catch (error) {
+        if (error.name === 'RunCancelledError') throw error;
+
+        // Detailed error logging
+        if (error.code === 'ENOTFOUND' || error.code === 'ECONNRESET') {
+          logErrorToFile(`Network error: ${error.message}`, error.stack);
+        } else {
+            logDetailedErrorToFile(error, `Error processing row ${lastProcessedRow} in file "${key}: ${error.message}"`);
         }
 
-        // If any remaining rows are in the batch, process them
-        if (batch.length > 0) {
-          // Create a final job for any remaining data with totalRows included
-          const jobData = {
-            batch,
-            fileKey: key,
-            totalProductsInFile: totalRows, // Add totalRows to job data
-            lastProcessedRow,
-            batchSize: batch.length
-          };
-          const job = await batchQueue.add(jobData, { 
-            jobId: `${key}-${lastProcessedRow}`,
-            attempts: 5, // Number of retry attempts
-            backoff: {
-              type: 'exponential', // Exponential backoff between retries
-              delay: 5000 // Initial delay of 5 seconds between retries
-            },
-            timeout: 300000 // Set a custom timeout (e.g., 3 minutes)
-          });
-
-          logInfoToFile(`Enqueued final batch job for rows up to ${lastProcessedRow} in file: ${key}`);
-          logInfoToFile(`DEBUG: Enqueued batch job with ID: ${job.id} for rows up to ${lastProcessedRow} in file: ${key}`);
+        // Increment error count and check if max retries are reached
+        consecutiveErrors++;
+        if (consecutiveErrors >= MAX_RETRIES) {
+            throw new Error(`Processing aborted after ${MAX_RETRIES} consecutive row errors.`);
         }
-      }
-    );
+      };
+    }
+
+    // If any remaining rows are in the batch, process them
+    if (batch.length > 0) {
+      await enqueueBatch();
+      logInfoToFile(`Enqueued final batch job for rows up to ${lastProcessedRow} in file: ${key}`);
+    }
 
+    // The stream has ended, so the row count is exact (quoted multi-line cells count as one row)
+    await redisClient.set(`total-rows:${trackingKey}`, totalRows);
+    if (!keepCounters) await redisClient.incrBy('overall-total-rows', totalRows); // Increment the overall total row count
+    // Rows completed by an earlier run need no work in this one
+    if (resuming && !keepCounters) await redisClient.incrBy(`skipped-products:${trackingKey}`, skippedCompletedRows);
+    await redisClient.sRem('files-reading', trackingKey);
+    logUpdatesToFile(`Total rows for file ${key}: ${totalRows}, saved to Redis.`);
+
+    if (resuming) {
+      // Against the ranges completed when the file was opened, i.e. the rows this read enqueued
+      const missingRanges = getMissingRanges(completedRanges, totalRows);
+      logInfoToFile(`Enqueued rows of ${key} not completed by an earlier read: ${missingRanges.map(([start, end]) => `${start}-${end}`).join(", ") || "none"}`);
+    }
+    if (skippedCompletedRows > 0) {
+      logInfoToFile(`Skipped ${skippedCompletedRows} already completed rows in file: ${key}`);
+    }
     logUpdatesToFile(`Completed reading the file: "${key}", total rows: ${totalRows}`);
   } catch (error) {
-    logErrorToFile(`Error in readCSVAndEnqueueJobs for file "${key}" in bucket "${bucketName}": ${error.message}, error`);
+    await redisClient.sRem('files-reading', trackingKey).catch(() => {});
+    if (error.name === 'RunCancelledError') {
+      logInfoToFile(`Stopped reading file "${key}" after ${lastProcessedRow - 1} rows: run ${runId} was cancelled.`);
+      return;
+    }
+    if (error.name === 'CSVError') {  // Assuming csv-parser throws errors with name 'CSVError'
+      logErrorToFile(`CSV parsing error at row ${lastProcessedRow + 1} in file "${key}": ${error.message}`, error.stack);
+    }
+    logErrorToFile(`Error in readCSVAndEnqueueJobs for file "${storage.getUri(key)}" after ${lastProcessedRow} rows: ${error.message}`, error.stack);
     throw error; // Ensure any error bubbles up to be caught in Promise.all
   }
 };
 
+// Pre-flight check of a file: stream its header and first sampleRows rows through a validator, without enqueuing anything,
+// and stop reading there. The rest of the file is checked as it is enqueued (options.validator of readCSVAndEnqueueJobs).
+// Returns the validator's result, for the quarantine decision.
+const validateInputFile = async (storage, key, sampleRows) => {
+  const validator = createFileValidator(key, resolveMappingProfile(key));
+  const data = await storage.readFile(key);
+
+  let row = 0;
+  try {
+    for await (const chunk of createRowStream(data.Body, key, { contentEncoding: data.ContentEncoding })) {
+      validator.addRow(chunk, ++row);
+      if (row >= sampleRows) break;
+    }
+  } finally {
+    if (data.Body && data.Body.destroy) data.Body.destroy(); // Leaving the loop early ends the reader, not the download
+  }
+
+  const { totalRows, rejections } = validator.result();
+  logInfoToFile(`Validated the first ${totalRows} rows of file "${key}": ${rejections.size} rejected`);
+  return validator.result();
+};
+
+// Upload the rejection report (CSV) next to the source file
+const uploadRejectionReport = async (storage, fileKey, reportId) => {
+  const localPath = getReportPaths(getRejectionReportName(fileKey, reportId)).csv;
+  if (!fs.existsSync(localPath)) return;
+
+  const s3Key = getRejectionReportS3Key(fileKey);
+  try {
+    await storage.writeFile(s3Key, fs.readFileSync(localPath), "text/csv");
+    logUpdatesToFile(`Uploaded rejection report for "${fileKey}" to ${storage.getUri(s3Key)}`);
+  } catch (error) {
+    logErrorToFile(`Failed to upload rejection report for "${fileKey}" to ${storage.getUri(s3Key)}: ${error.message}`, error);
+  }
+};
+
+// Upload the dry-run report files (JSONL and CSV) next to the source file
+const uploadDryRunReport = async (storage, fileKey, reportId) => {
+  const localPaths = getReportPaths(getDryRunReportName(fileKey, reportId));
+  const s3Keys = getDryRunReportS3Keys(fileKey);
+
+  for (const format of ["jsonl", "csv"]) {
+    if (!fs.existsSync(localPaths[format])) continue;
+
+    try {
+      await storage.writeFile(s3Keys[format], fs.readFileSync(localPaths[format]), format === "csv" ? "text/csv" : "application/x-ndjson");
+      logUpdatesToFile(`Uploaded dry-run report for "${fileKey}" to ${storage.getUri(s3Keys[format])}`);
+    } catch (error) {
+      logErrorToFile(`Failed to upload dry-run report for "${fileKey}" to ${storage.getUri(s3Keys[format])}: ${error.message}`, error);
+    }
+  }
+};
+
 module.exports = {
+  listDatedFolders,
+  getFolderDate,
   getLatestFolderKey,
-  processCSVFilesInLatestFolder,
+  listInputFiles,
+  readCSVAndEnqueueJobs,
+  validateInputFile,
+  uploadRejectionReport,
+  uploadDryRunReport,
 };
\ No newline at end of file
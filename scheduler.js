@@ -0,0 +1,108 @@
+const cron = require("node-cron");
+const { logErrorToFile, logInfoToFile, logUpdatesToFile } = require("./logger");
+const { redisClient } = require("./queue");
+const { listDatedFolders, getFolderDate, listInputFiles } = require("./s3-helpers");
+const { createRun, getRun } = require("./run-manager");
+
+// Scheduler mode: poll a storage (S3 bucket or local drop folder) on a cron expression and start a run for the supplier
+// files it hasn't processed yet. Files are keyed by file key and ETag, so a re-uploaded file (new ETag) is picked up again.
+//   scheduler:processed-files  hash  file key -> ETag of the version a completed (or cancelled) run processed
+//   scheduler:runs             hash  run ID -> JSON { fileKey: ETag } of the runs started by the scheduler
+// A failed run (or a file that couldn't be read) stays unprocessed, so it is retried on the next poll.
+// A file quarantined by the pre-flight validation is not retried until it is uploaded again.
+// Every dated folder from the latest one back SCHEDULER_LOOKBACK_DAYS (default 7) is checked, oldest first, one run at a time,
+// so a later folder's values win. Older folders are left alone, so a first poll doesn't replay the whole storage
+// (catch-up mode is there for that).
+const PROCESSED_FILES_KEY = "scheduler:processed-files";
+const SCHEDULER_RUNS_KEY = "scheduler:runs";
+
+const getEtag = (file) => (file.ETag || "").replace(/"/g, "");
+
+// Record the files of finished scheduler runs as processed
+const reconcileSchedulerRuns = async () => {
+    const runs = await redisClient.hGetAll(SCHEDULER_RUNS_KEY);
+
+    for (const [runId, value] of Object.entries(runs || {})) {
+        const run = await getRun(runId);
+        if (run && !run.finishedAt) continue; // Still in progress
+
+        if (run && ["completed", "cancelled"].includes(run.status)) {
+            // Quarantined files count as processed: they are only retried once a corrected version is uploaded
+            const unreadFiles = (run.errors || []).filter((error) => !error.quarantined).map((error) => error.fileKey);
+            for (const [fileKey, etag] of Object.entries(JSON.parse(value)).filter(([key]) => !unreadFiles.includes(key))) {
+                await redisClient.hSet(PROCESSED_FILES_KEY, fileKey, etag);
+            }
+        }
+        await redisClient.hDel(SCHEDULER_RUNS_KEY, runId);
+    }
+};
+
+// Dated folders the scheduler checks, oldest first
+const listSchedulerFolders = async (storage) => {
+    const folders = await listDatedFolders(storage); // Newest first
+    if (folders.length === 0) return [];
+
+    const lookbackDays = parseInt(process.env.SCHEDULER_LOOKBACK_DAYS, 10) || 7;
+    const oldestDate = getFolderDate(folders[0]).getTime() - lookbackDays * 24 * 60 * 60 * 1000;
+    return folders.filter((folder) => getFolderDate(folder).getTime() >= oldestDate).reverse();
+};
+
+// One poll: find the oldest dated folder with new or changed files and start a run for them.
+// Returns the started run, or null when there was nothing to do (or a scheduler run is still in progress).
+const pollForNewFiles = async (storage, runOptions = {}) => {
+    await reconcileSchedulerRuns();
+
+    const runsInProgress = Object.keys((await redisClient.hGetAll(SCHEDULER_RUNS_KEY)) || {});
+    if (runsInProgress.length > 0) {
+        logInfoToFile(`Scheduler: run ${runsInProgress.join(", ")} still in progress; polling again later`);
+        return null;
+    }
+
+    const processedFiles = (await redisClient.hGetAll(PROCESSED_FILES_KEY)) || {};
+    const folders = await listSchedulerFolders(storage);
+    let folder;
+    let newFiles = [];
+    for (folder of folders) {
+        newFiles = (await listInputFiles(storage, folder)).filter((file) => processedFiles[file.Key] !== getEtag(file));
+        if (newFiles.length > 0) break;
+    }
+    if (newFiles.length === 0) {
+        logInfoToFile(`Scheduler: no new files in ${folders.length} dated folder(s)`);
+        return null;
+    }
+
+    try {
+        const run = await createRun({ ...runOptions, source: storage.source, bucket: storage.location, folder, fileKeys: newFiles.map((file) => file.Key) });
+        const fileVersions = Object.fromEntries(newFiles.map((file) => [file.Key, getEtag(file)]));
+        await redisClient.hSet(SCHEDULER_RUNS_KEY, run.id, JSON.stringify(fileVersions));
+
+        logUpdatesToFile(`Scheduler: started run ${run.id} for ${newFiles.length} new file(s) in ${folder}`);
+        return run;
+    } catch (error) {
+        // Most likely a run already in progress for the folder; the files are picked up once it has finished
+        logInfoToFile(`Scheduler: no run started for ${folder}: ${error.message}`);
+        return null;
+    }
+};
+
+// Start polling. SCHEDULER_CRON sets the cron expression (default: every 15 minutes).
+const startScheduler = (storage, runOptions = {}) => {
+    const cronExpression = process.env.SCHEDULER_CRON || "*/15 * * * *";
+    if (!cron.validate(cronExpression)) {
+        throw new Error(`Invalid SCHEDULER_CRON expression: "${cronExpression}"`);
+    }
+
+    logInfoToFile(`Scheduler: polling ${storage.getUri()} on "${cronExpression}"`);
+    return cron.schedule(cronExpression, async () => {
+        try {
+            await pollForNewFiles(storage, runOptions);
+        } catch (error) {
+            logErrorToFile(`Scheduler poll failed for ${storage.getUri()}: ${error.message}`, error.stack);
+        }
+    }, { name: "s3-poll", noOverlap: true });
+};
+
+module.exports = {
+    pollForNewFiles,
+    startScheduler,
+};
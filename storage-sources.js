@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+const { S3Client, ListObjectsV2Command, GetObjectCommand, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, PutObjectTaggingCommand } = require("@aws-sdk/client-s3");
+
+// Storage sources: where supplier files are read from and where reports and results are written back.
+// A source works on a location (S3: a bucket; local: a root directory) and on keys relative to it, "<folder>/<file>":
+//   listFolders(location)                       top-level folder prefixes, e.g. ["10-31-2024/", "results/"]
+//   listFiles(location, prefix)                 [{ Key, ETag, Size, LastModified }] of every file under the prefix
+//   readFile(location, key)                     { Body (stream), ETag, ContentEncoding }, like an S3 GetObject response
+//   writeFile(location, key, body, contentType)
+//   tagFile(location, key, tags)                tags such as { "import-status": "processed" }
+//   moveFile(location, key, targetKey)
+// STORAGE_SOURCE sets the default source ("s3"); a run can pick its own with "source".
+// The local source reads LOCAL_SOURCE_DIR (default ./csvFiles), e.g. ./csvFiles/10-31-2024/parts.csv, which also
+// serves as an SFTP drop folder when the SFTP server writes into that directory.
+const executionMode = process.env.EXECUTION_MODE || 'production';
+
+// AWS S3 setup (using AWS SDK v3)
+// S3_ENDPOINT points the client at another S3-compatible store (e.g. a local MinIO at http://localhost:9000);
+// without it the regional AWS endpoint of AWS_REGION_NAME is used.
+// Path-style URLs (which MinIO needs) are only used with S3_ENDPOINT, unless S3_FORCE_PATH_STYLE=false turns them off.
+const s3Client = new S3Client({
+    region: process.env.AWS_REGION_NAME,
+    ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT) && process.env.S3_FORCE_PATH_STYLE !== "false",
+    requestTimeout: 300000 // Set timeout to 10 minutes
+});
+
+// ListObjectsV2 returns at most 1000 entries per call, so every page is read
+const listS3Pages = async (params, getEntries) => {
+    const entries = [];
+    let continuationToken;
+
+    do {
+        const listData = await s3Client.send(new ListObjectsV2Command({ ...params, ContinuationToken: continuationToken }));
+        entries.push(...getEntries(listData));
+        continuationToken = listData.IsTruncated ? listData.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return entries;
+};
+
+const s3Source = {
+    defaultLocation: () => (executionMode === 'development' ? process.env.S3_TEST_BUCKET_NAME : process.env.S3_BUCKET_NAME),
+    getUri: (bucketName, key = "") => `s3://${bucketName}/${key}`,
+
+    // Delimit by "/" to get folders
+    listFolders: (bucketName) => listS3Pages({ Bucket: bucketName, Delimiter: "/" },
+        (listData) => (listData.CommonPrefixes || []).map((prefix) => prefix.Prefix)),
+
+    listFiles: (bucketName, prefix) => listS3Pages({ Bucket: bucketName, Prefix: prefix },
+        (listData) => listData.Contents || []),
+
+    readFile: (bucketName, key) => s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key })),
+
+    writeFile: (bucketName, key, body, contentType) =>
+        s3Client.send(new PutObjectCommand({ Bucket: bucketName, Key: key, Body: body, ContentType: contentType })),
+
+    // Replaces the object's tags
+    tagFile: (bucketName, key, tags) => s3Client.send(new PutObjectTaggingCommand({
+        Bucket: bucketName,
+        Key: key,
+        Tagging: { TagSet: Object.entries(tags).map(([Key, Value]) => ({ Key, Value: String(Value) })) },
+    })),
+
+    // S3 has no rename: copy the object to its new key, then delete the original
+    moveFile: async (bucketName, key, targetKey) => {
+        await s3Client.send(new CopyObjectCommand({
+            Bucket: bucketName,
+            CopySource: `${bucketName}/${key.split("/").map(encodeURIComponent).join("/")}`,
+            Key: targetKey,
+        }));
+        await s3Client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+    },
+};
+
+// Absolute path of a key, refusing keys that would leave the root directory
+const resolveLocalKey = (rootDir, key) => {
+    const root = path.resolve(rootDir);
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        throw new Error(`Key "${key}" is outside of ${root}`);
+    }
+    return filePath;
+};
+
+// Stands in for the S3 ETag: changes whenever the file is rewritten
+const getLocalEtag = (stats) => `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+
+// Tags of a local file live next to it, in a hidden ".<file name>.tags.json" that listFiles leaves out
+const getLocalTagsPath = (filePath) => path.join(path.dirname(filePath), `.${path.basename(filePath)}.tags.json`);
+
+const listLocalFiles = (rootDir, dir) => fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith("."))
+    .flatMap((entry) => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listLocalFiles(rootDir, entryPath);
+
+        const stats = fs.statSync(entryPath);
+        return [{
+            Key: path.relative(rootDir, entryPath).split(path.sep).join("/"),
+            ETag: getLocalEtag(stats),
+            Size: stats.size,
+            LastModified: stats.mtime,
+        }];
+    });
+
+const localSource = {
+    defaultLocation: () => process.env.LOCAL_SOURCE_DIR || path.join(__dirname, "csvFiles"),
+    getUri: (rootDir, key = "") => resolveLocalKey(rootDir, key),
+
+    listFolders: async (rootDir) => fs.readdirSync(resolveLocalKey(rootDir, ""), { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith("."))
+        .map((entry) => `${entry.name}/`),
+
+    // Like an S3 prefix: "10-31-2024/" lists the folder, "10-31-2024/acme" the files starting with "acme" in it
+    listFiles: async (rootDir, prefix = "") => {
+        const root = resolveLocalKey(rootDir, "");
+        const dir = resolveLocalKey(rootDir, prefix.slice(0, prefix.lastIndexOf("/") + 1));
+        if (!fs.existsSync(dir)) return [];
+        return listLocalFiles(root, dir).filter((file) => file.Key.startsWith(prefix));
+    },
+
+    readFile: async (rootDir, key) => {
+        const filePath = resolveLocalKey(rootDir, key);
+        const stats = await fs.promises.stat(filePath);
+        return { Body: fs.createReadStream(filePath), ETag: getLocalEtag(stats), ContentEncoding: undefined };
+    },
+
+    writeFile: async (rootDir, key, body) => {
+        const filePath = resolveLocalKey(rootDir, key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, body);
+    },
+
+    tagFile: async (rootDir, key, tags) => {
+        const filePath = resolveLocalKey(rootDir, key);
+        await fs.promises.writeFile(getLocalTagsPath(filePath), JSON.stringify(tags, null, 2));
+    },
+
+    moveFile: async (rootDir, key, targetKey) => {
+        const targetPath = resolveLocalKey(rootDir, targetKey);
+        await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+        await fs.promises.rename(resolveLocalKey(rootDir, key), targetPath);
+    },
+};
+
+const STORAGE_SOURCES = {
+    s3: s3Source,
+    local: localSource,
+};
+
+const getDefaultSource = () => process.env.STORAGE_SOURCE || "s3";
+
+const getStorageSource = (source = getDefaultSource()) => {
+    const storageSource = STORAGE_SOURCES[source];
+    if (!storageSource) {
+        throw new Error(`Unknown storage source "${source}" (expected one of: ${Object.keys(STORAGE_SOURCES).join(", ")})`);
+    }
+    return storageSource;
+};
+
+// Default location of a source: the bucket of S3_BUCKET_NAME (S3_TEST_BUCKET_NAME in development) or LOCAL_SOURCE_DIR
+const getDefaultLocation = (source = getDefaultSource()) => getStorageSource(source).defaultLocation();
+
+// A source bound to one location, e.g. getStorage("local", "./csvFiles").readFile("10-31-2024/parts.csv")
+const getStorage = (source = getDefaultSource(), location = getDefaultLocation(source)) => {
+    const storageSource = getStorageSource(source);
+    return {
+        source,
+        location,
+        getUri: (key) => storageSource.getUri(location, key),
+        listFolders: () => storageSource.listFolders(location),
+        listFiles: (prefix) => storageSource.listFiles(location, prefix),
+        readFile: (key) => storageSource.readFile(location, key),
+        writeFile: (key, body, contentType) => storageSource.writeFile(location, key, body, contentType),
+        tagFile: (key, tags) => storageSource.tagFile(location, key, tags),
+        moveFile: (key, targetKey) => storageSource.moveFile(location, key, targetKey),
+    };
+};
+
+module.exports = {
+    STORAGE_SOURCES: Object.keys(STORAGE_SOURCES),
+    getDefaultSource,
+    getDefaultLocation,
+    getStorage,
+};
@@ -0,0 +1,117 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetFakes, waitForHtmlStripper } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+const { getAuditEntries, rollbackChanges } = require("../audit-log");
+const { processBatch } = require("../batch-helpers");
+
+const FILE_KEY = "10-01-2026/parts.csv";
+const OTHER_FILE_KEY = "10-02-2026/parts.csv";
+
+const products = [
+    { id: 1, sku: "P-1", description: "Relay", meta_data: [{ id: 11, key: "spq", value: "50" }] },
+    { id: 2, sku: "P-2", description: "Fuse", meta_data: [] },
+];
+
+// Every test audits its own runs, in the database shared by the tests of this file.
+// Rows go through the default profile: product_description -> description (and the "short_description" meta), spq -> "spq" meta
+const runFile = (runId, rows, fileKey = FILE_KEY) => processBatch(rows, 0, rows.length, fileKey, { runId });
+
+const getAuditedChanges = (scope) => getAuditEntries(scope).map(({ run_id, row, part_number, product_id, field, old_value, new_value }) => ({
+    runId: run_id, row, partNumber: part_number, productId: product_id, field, oldValue: old_value, newValue: new_value,
+}));
+
+describe("field audit log", () => {
+    let store;
+
+    before(waitForHtmlStripper);
+
+    beforeEach(async () => {
+        await resetFakes();
+        store = createFakeWooStore(products);
+    });
+
+    it("records the previous value of every changed field once the update is in, keyed by run", async () => {
+        await runFile("run-1", [{ part_number: "P-1", spq: "100" }, { part_number: "P-2", spq: "" }]);
+
+        assert.deepEqual(getAuditedChanges({ runId: "run-1" }), [
+            { runId: "run-1", row: 1, partNumber: "P-1", productId: 1, field: "meta_data.spq", oldValue: "50", newValue: "100" },
+        ]);
+        assert.deepEqual(getAuditEntries({ runId: "run-2" }), []);
+        assert.throws(() => getAuditEntries({}), /A runId, fileKey or partNumber is required/);
+    });
+
+    it("restores the fields changed by a run through products/batch", async () => {
+        await runFile("run-2", [{ part_number: "P-1", spq: "100", product_description: "Relay, 12 V" }, { part_number: "P-2", spq: "10" }]);
+        assert.equal(store.getProduct(1).description, "Relay, 12 V");
+
+        const result = await rollbackChanges({ runId: "run-2" });
+
+        assert.deepEqual({ products: result.products, restored: result.restored, failed: result.failed }, { products: 2, restored: 2, failed: [] });
+        assert.equal(store.getProduct(1).description, "Relay");
+        assert.equal(store.getProduct(1).meta_data.find(({ key }) => key === "spq").value, "50");
+        assert.equal(store.getProduct(2).meta_data.find(({ key }) => key === "spq").value, "");
+        assert.equal(store.batches.length, 2); // The run's update and the rollback
+    });
+
+    it("restores only the fields changed in scope, to their value before that scope", async () => {
+        await runFile("run-3a", [{ part_number: "P-1", spq: "100" }, { part_number: "P-2", spq: "10" }], OTHER_FILE_KEY);
+        await runFile("run-3b", [{ part_number: "P-1", spq: "200" }, { part_number: "P-2", spq: "20" }], OTHER_FILE_KEY);
+
+        await rollbackChanges({ runId: "run-3b", partNumber: "P-1" });
+
+        assert.equal(store.getProduct(1).meta_data.find(({ key }) => key === "spq").value, "100");
+        assert.equal(store.getProduct(2).meta_data.find(({ key }) => key === "spq").value, "20");
+
+        await rollbackChanges({ fileKey: OTHER_FILE_KEY });
+        assert.equal(store.getProduct(1).meta_data.find(({ key }) => key === "spq").value, "50");
+    });
+
+    it("audits a rollback, so it can be rolled back in turn", async () => {
+        await runFile("run-4", [{ part_number: "P-1", spq: "100" }]);
+
+        const { rollbackId } = await rollbackChanges({ runId: "run-4" });
+        assert.deepEqual(getAuditedChanges({ runId: rollbackId }).map(({ field, oldValue, newValue }) => ({ field, oldValue, newValue })), [
+            { field: "meta_data.spq", oldValue: "100", newValue: "50" },
+        ]);
+
+        await rollbackChanges({ runId: rollbackId });
+        assert.equal(store.getProduct(1).meta_data.find(({ key }) => key === "spq").value, "100");
+    });
+
+    it("previews a rollback without writing it", async () => {
+        await runFile("run-5", [{ part_number: "P-1", spq: "100" }]);
+
+        const result = await rollbackChanges({ runId: "run-5" }, { dryRun: true });
+
+        assert.deepEqual(result.updates, [{ id: 1, meta_data: [{ key: "spq", value: "50" }] }]);
+        assert.equal(store.batches.length, 1);
+        assert.equal(store.getProduct(1).meta_data.find(({ key }) => key === "spq").value, "100");
+    });
+
+    it("reports the products WooCommerce refused to restore", async () => {
+        await runFile("run-6", [{ part_number: "P-1", spq: "100" }, { part_number: "P-2", spq: "10" }]);
+        store.removeProduct(2);
+
+        const result = await rollbackChanges({ runId: "run-6" });
+
+        assert.equal(result.restored, 1);
+        assert.deepEqual(result.failed, [{ productId: 2, partNumber: "P-2", error: "Invalid ID." }]);
+        assert.deepEqual(getAuditedChanges({ runId: result.rollbackId }).map(({ productId }) => productId), [1]);
+    });
+
+    it("leaves the items WooCommerce rejected out of the audit, so a rollback doesn't touch them", async () => {
+        const invalidData = { code: "woocommerce_rest_invalid_product_data", message: "Invalid spq.", data: { status: 400 } };
+        store = createFakeWooStore(products, { rejectItem: (item) => (item.id === 2 ? invalidData : undefined) });
+
+        await runFile("run-7", [{ part_number: "P-1", spq: "100" }, { part_number: "P-2", spq: "10" }]);
+        assert.deepEqual(getAuditedChanges({ runId: "run-7" }).map(({ productId, field }) => ({ productId, field })), [{ productId: 1, field: "meta_data.spq" }]);
+
+        // Set by hand after the run: not the run's change to undo
+        store.getProduct(2).meta_data = [{ id: 21, key: "spq", value: "25" }];
+        const result = await rollbackChanges({ runId: "run-7" });
+
+        assert.equal(result.products, 1);
+        assert.equal(store.getProduct(2).meta_data.find(({ key }) => key === "spq").value, "25");
+    });
+});
@@ -0,0 +1,323 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir, redisClient, resetFakes, waitForHtmlStripper } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+// Every file goes through the "parts" profile
+const configDir = path.join(tempDir, "config");
+fs.mkdirSync(path.join(configDir, "mappings"), { recursive: true });
+fs.writeFileSync(path.join(configDir, "mapping-rules.json"), JSON.stringify({ default_profile: "parts", rules: [] }));
+fs.writeFileSync(path.join(configDir, "mappings", "parts.json"), JSON.stringify({
+    part_number: { source: "part_number", transforms: ["trim"] },
+    fields: [
+        { target: "name", type: "core", source: "name" },
+        { target: "description", type: "core", source: "description", policy: "overwrite_unless_locked" },
+        { target: "regular_price", type: "core", source: "price", transforms: ["trim", { type: "fixed", digits: 2 }], max_change_percent: 50 },
+        { target: "manufacturer", type: "meta", source: "manufacturer", policy: "fill_if_empty" },
+        { target: "series", type: "meta", source: "series", policy: "never" },
+        { target: "spq", type: "meta", source: "spq", compare: "number" },
+        { target: "source_file", type: "meta", source: "source_file", diff: false },
+    ],
+}));
+process.env.MAPPING_CONFIG_DIR = configDir;
+
+const { getReportPaths, getDryRunReportName } = require("../report-helpers");
+const { getRowOutcomes } = require("../outcome-ledger");
+const { resolveMappingProfile } = require("../mapping-helpers");
+const { processBatch, isUpdateNeeded, buildUpdatePayload } = require("../batch-helpers");
+
+const FILE_KEY = "10-01-2026/parts.csv";
+const RUN_ID = "run-1";
+const REPORT_ID = "test";
+
+const getCounter = async (counter, runId = RUN_ID) => parseInt(await redisClient.get(`${counter}:${runId}:${FILE_KEY}`), 10) || 0;
+
+const readReport = (reportName) => fs.readFileSync(getReportPaths(reportName).jsonl, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+
+before(waitForHtmlStripper);
+
+const products = [
+    { id: 1, sku: "P-1", name: "Relay", regular_price: "10.00", meta_data: [{ id: 11, key: "manufacturer", value: "Acme" }, { id: 12, key: "spq", value: "100" }] },
+    { id: 2, sku: "P-2", name: "Fuse", regular_price: "1.00", meta_data: [] },
+];
+
+describe("processBatch in dry-run mode", () => {
+    let store;
+
+    beforeEach(async () => {
+        await resetFakes();
+        store = createFakeWooStore(products);
+    });
+
+    it("reports every row's outcome and diff without writing to WooCommerce", async () => {
+        const batch = [
+            { part_number: "P-1", name: "Relay", price: "12" },
+            { part_number: "P-2", name: "Fuse", price: "1.00" },
+            { part_number: "P-9", name: "Unknown" },
+        ];
+
+        await processBatch(batch, 0, batch.length, FILE_KEY, { dryRun: true, runId: RUN_ID, reportId: REPORT_ID });
+
+        assert.equal(store.requests.filter(({ method }) => method !== "get").length, 0);
+        assert.equal(store.getProduct(1).regular_price, "10.00");
+
+        const report = readReport(getDryRunReportName(FILE_KEY, REPORT_ID));
+        assert.deepEqual(report.map(({ row, partNumber, status }) => ({ row, partNumber, status })).sort((a, b) => a.row - b.row), [
+            { row: 1, partNumber: "P-1", status: "update" },
+            { row: 2, partNumber: "P-2", status: "skipped" },
+            { row: 3, partNumber: "P-9", status: "failed" },
+        ]);
+        assert.deepEqual(report.find(({ row }) => row === 1).changes, [{ field: "regular_price", oldValue: "10.00", newValue: "12.00" }]);
+        assert.equal(report.find(({ row }) => row === 3).reason, "not_found");
+
+        // Progress still adds up, but nothing goes to the outcome ledger of the run
+        assert.deepEqual(
+            [await getCounter("updated-products"), await getCounter("skipped-products"), await getCounter("failed-products")],
+            [1, 1, 1]
+        );
+        assert.deepEqual(await getRowOutcomes(FILE_KEY, { runId: RUN_ID }), []);
+    });
+});
+
+describe("processBatch in upsert mode", () => {
+    let store;
+
+    beforeEach(async () => {
+        await resetFakes();
+        store = createFakeWooStore(products);
+    });
+
+    it("creates draft products for part numbers that aren't found", async () => {
+        const batch = [
+            { part_number: "P-1", name: "Relay", price: "10.00" },
+            { part_number: "NEW-1", name: "", price: "3.5", manufacturer: "Acme", series: "" },
+        ];
+
+        await processBatch(batch, 0, batch.length, FILE_KEY, { upsert: true, runId: RUN_ID });
+
+        assert.equal(store.batches.length, 1);
+        const [created] = store.batches[0].create;
+        assert.deepEqual(
+            { name: created.name, status: created.status, regular_price: created.regular_price, meta_data: created.meta_data },
+            {
+                name: "NEW-1",
+                status: "draft",
+                regular_price: "3.50",
+                // Empty values are left out; the part number is kept so the next lookup finds the product
+                meta_data: [{ key: "manufacturer", value: "Acme" }, { key: "part_number", value: "NEW-1" }],
+            }
+        );
+
+        assert.equal(await getCounter("created-products"), 1);
+        assert.equal(await getCounter("skipped-products"), 1);
+        const [, createdOutcome] = await getRowOutcomes(FILE_KEY, { runId: RUN_ID });
+        assert.deepEqual({ row: createdOutcome.row, status: createdOutcome.status, productId: createdOutcome.productId }, { row: 2, status: "created", productId: 3 });
+    });
+
+    it("counts unknown part numbers as failed without upsert", async () => {
+        await processBatch([{ part_number: "NEW-1", name: "Widget" }], 0, 1, FILE_KEY, { runId: RUN_ID, reportId: REPORT_ID });
+
+        assert.equal(store.batches.length, 0);
+        assert.equal(await getCounter("failed-products"), 1);
+        assert.equal((await getRowOutcomes(FILE_KEY, { runId: RUN_ID }))[0].reason, "not_found");
+    });
+});
+
+describe("processBatch price sync", () => {
+    let store;
+
+    beforeEach(async () => {
+        await resetFakes();
+        store = createFakeWooStore(products);
+    });
+
+    it("compares prices and numeric meta as numbers", async () => {
+        await processBatch([{ part_number: "P-1", name: "Relay", price: "10", spq: "100.0" }], 0, 1, FILE_KEY, { runId: RUN_ID });
+
+        assert.equal(store.batches.length, 0);
+        assert.equal(await getCounter("skipped-products"), 1);
+    });
+
+    it("refuses a price change beyond max_change_percent and still writes the other fields", async () => {
+        await processBatch([{ part_number: "P-1", name: "Relay (RoHS)", price: "25.00" }], 0, 1, FILE_KEY, { runId: RUN_ID });
+
+        assert.deepEqual(store.batches[0].update.map(({ id, name, regular_price }) => ({ id, name, regular_price })), [
+            { id: 1, name: "Relay (RoHS)", regular_price: undefined },
+        ]);
+        assert.equal(store.getProduct(1).regular_price, "10.00");
+    });
+
+    it("skips a row whose only change is a refused price", async () => {
+        await processBatch([{ part_number: "P-1", name: "Relay", price: "1.00" }], 0, 1, FILE_KEY, { runId: RUN_ID });
+
+        assert.equal(store.batches.length, 0);
+        const [outcome] = await getRowOutcomes(FILE_KEY, { runId: RUN_ID });
+        assert.equal(outcome.status, "skipped");
+        assert.equal(outcome.message, "change_refused: regular_price 90%");
+    });
+
+    it("leaves the price alone when the row has none", async () => {
+        await processBatch([{ part_number: "P-2", name: "Fuse 2A", price: "" }], 0, 1, FILE_KEY, { runId: RUN_ID });
+
+        assert.equal("regular_price" in store.batches[0].update[0], false);
+        assert.equal(store.getProduct(2).regular_price, "1.00");
+    });
+});
+
+describe("processBatch field policies", () => {
+    let store;
+
+    beforeEach(async () => {
+        await resetFakes();
+        store = createFakeWooStore([
+            {
+                id: 3,
+                sku: "P-3",
+                description: "Curated by hand",
+                meta_data: [{ id: 31, key: "manufacturer", value: "" }, { id: 32, key: "series", value: "S1" }, { id: 33, key: "_lock_description", value: "yes" }],
+            },
+            {
+                id: 4,
+                sku: "P-4",
+                description: "Old supplier text",
+                meta_data: [{ id: 41, key: "manufacturer", value: "Acme" }, { id: 42, key: "series", value: "S1" }],
+            },
+        ]);
+    });
+
+    it("only sends the fields each product's policies allow", async () => {
+        const batch = [
+            { part_number: "P-3", description: "Supplier text", manufacturer: "Bosch", series: "S2" },
+            { part_number: "P-4", description: "Supplier text", manufacturer: "Bosch", series: "S2" },
+        ];
+
+        await processBatch(batch, 0, batch.length, FILE_KEY, { runId: RUN_ID });
+
+        // P-3: description locked, manufacturer empty (filled), series never written.
+        // P-4: description not locked, manufacturer already set, series never written.
+        assert.deepEqual(store.batches[0].update.map(({ id, description, meta_data }) => ({ id, description, meta_data })), [
+            { id: 3, description: undefined, meta_data: [{ id: 31, key: "manufacturer", value: "Bosch" }] },
+            { id: 4, description: "Supplier text", meta_data: undefined },
+        ]);
+        assert.equal(store.getProduct(3).description, "Curated by hand");
+        assert.equal(store.getProduct(4).meta_data.find(({ key }) => key === "series").value, "S1");
+    });
+
+    it("skips a row whose only changes are held by policy", async () => {
+        await processBatch([{ part_number: "P-3", description: "Supplier text", series: "S2" }], 0, 1, FILE_KEY, { runId: RUN_ID });
+
+        assert.equal(store.batches.length, 0);
+        const [outcome] = await getRowOutcomes(FILE_KEY, { runId: RUN_ID });
+        assert.deepEqual({ status: outcome.status, message: outcome.message }, { status: "skipped", message: "held_by_policy: description, meta_data.series" });
+    });
+
+    it("writes a locked field again once the lock is cleared", async () => {
+        store.getProduct(3).meta_data.find(({ key }) => key === "_lock_description").value = "0";
+
+        await processBatch([{ part_number: "P-3", description: "Supplier text" }], 0, 1, FILE_KEY, { runId: RUN_ID });
+
+        assert.equal(store.getProduct(3).description, "Supplier text");
+        // The lock flag is read, never written
+        assert.deepEqual(store.batches[0].update[0].meta_data, undefined);
+    });
+});
+
+describe("changed-field updates", () => {
+    let store;
+
+    beforeEach(async () => {
+        await resetFakes();
+        store = createFakeWooStore(products);
+    });
+
+    const currentData = {
+        name: "Relay",
+        description: "<p>Coil relay</p>",
+        meta_data: [{ id: 11, key: "manufacturer", value: "Acme" }, { id: 12, key: "spq", value: "100" }],
+    };
+
+    it("returns the fields that changed with the decision", () => {
+        const newData = {
+            id: 1,
+            part_number: "P-1",
+            name: "Relay",
+            description: "Coil relay ",
+            meta_data: [{ key: "manufacturer", value: "Acme" }, { key: "spq", value: "250" }, { key: "series", value: "RX" }],
+        };
+
+        assert.deepEqual(isUpdateNeeded(currentData, newData, 0, 1, "P-1", FILE_KEY, { numericFields: ["meta_data.spq"] }), {
+            updateNeeded: true,
+            fieldsToUpdate: ["meta_data.spq", "meta_data.series"],
+        });
+        assert.deepEqual(isUpdateNeeded(currentData, { id: 1, part_number: "P-1", name: "Relay" }, 0, 1, "P-1", FILE_KEY), { updateNeeded: false, fieldsToUpdate: [] });
+    });
+
+    it("builds the payload from the changed fields, with the meta ids and the fields sent without diffing", () => {
+        const newData = {
+            id: 1,
+            part_number: "P-1",
+            name: "Relay",
+            regular_price: "12.00",
+            meta_data: [{ key: "manufacturer", value: "Acme" }, { key: "spq", value: "250" }, { key: "series", value: "RX" }, { key: "source_file", value: "parts.csv" }],
+        };
+
+        assert.deepEqual(buildUpdatePayload(currentData, newData, ["regular_price", "meta_data.spq", "meta_data.series"], resolveMappingProfile(FILE_KEY)), {
+            id: 1,
+            part_number: "P-1",
+            regular_price: "12.00",
+            meta_data: [{ id: 12, key: "spq", value: "250" }, { key: "series", value: "RX" }, { key: "source_file", value: "parts.csv" }],
+        });
+    });
+
+    it("sends only the changed fields and records them in the row's outcome", async () => {
+        await processBatch([{ part_number: "P-1", name: "Relay", price: "10.00", manufacturer: "Acme", spq: "250" }], 0, 1, FILE_KEY, { runId: RUN_ID });
+
+        const [{ currentIndex, totalProductsInFile, ...update }] = store.batches[0].update;
+        assert.deepEqual(update, { id: 1, part_number: "P-1", meta_data: [{ id: 12, key: "spq", value: "250" }] });
+
+        const [outcome] = await getRowOutcomes(FILE_KEY, { runId: RUN_ID });
+        assert.deepEqual({ status: outcome.status, changedFields: outcome.changedFields }, { status: "updated", changedFields: ["meta_data.spq"] });
+    });
+});
+
+describe("per-item batch errors", () => {
+    const rows = [
+        { part_number: "P-1", name: "Relay 2" },
+        { part_number: "P-2", name: "Fuse 2" },
+    ];
+
+    beforeEach(resetFakes);
+
+    it("counts the items WooCommerce rejected as failed, with its error code and message", async () => {
+        createFakeWooStore(products, {
+            rejectItem: (item) => item.id === 2 && { code: "woocommerce_rest_product_invalid_name", message: "Invalid name.", data: { status: 400 } },
+        });
+
+        const { failedRows } = await processBatch(rows, 0, rows.length, FILE_KEY, { runId: RUN_ID });
+
+        assert.deepEqual(failedRows, [2]);
+        assert.deepEqual([await getCounter("updated-products"), await getCounter("failed-products")], [1, 1]);
+        const outcomes = await getRowOutcomes(FILE_KEY, { runId: RUN_ID });
+        assert.deepEqual(outcomes.map(({ row, status, reason, errorCode, message }) => ({ row, status, reason, errorCode, message })), [
+            { row: 1, status: "updated", reason: null, errorCode: null, message: null },
+            { row: 2, status: "failed", reason: "validation_error", errorCode: "woocommerce_rest_product_invalid_name", message: "Invalid name." },
+        ]);
+        assert.deepEqual(outcomes[1].item, rows[1]); // Kept for a rerun of the failed rows
+    });
+
+    it("retries a transient item error alone", async () => {
+        let rejections = 0;
+        const store = createFakeWooStore(products, {
+            rejectItem: (item) => item.id === 2 && rejections++ === 0 && { code: "internal_server_error", message: "Database busy.", data: { status: 503 } },
+        });
+
+        const { failedRows } = await processBatch(rows, 0, rows.length, FILE_KEY, { runId: RUN_ID });
+
+        assert.deepEqual(store.batches.map(({ update }) => update.map(({ id }) => id)), [[1, 2], [2]]);
+        assert.deepEqual(failedRows, []);
+        assert.deepEqual([await getCounter("updated-products"), await getCounter("failed-products")], [2, 0]);
+        assert.equal(store.getProduct(2).name, "Fuse 2");
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { redisClient, resetFakes, waitForHtmlStripper } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+process.env.CATALOG_CACHE_ENABLED = "true";
+
+const { cacheProduct, uncacheProduct, lookupCachedProduct, buildCatalogIndex, refreshCatalogIndex } = require("../catalog-cache");
+const { processBatch } = require("../batch-helpers");
+
+const FILE_KEY = "10-01-2026/parts.csv";
+
+const withPartNumber = (id, partNumber, fields = {}) => ({ id, sku: "", ...fields, meta_data: [{ key: "part_number", value: partNumber }] });
+
+describe("catalog cache", () => {
+    let store;
+
+    before(waitForHtmlStripper);
+
+    beforeEach(async () => {
+        await resetFakes();
+        store = createFakeWooStore([
+            { id: 1, sku: "P-1", regular_price: "10.00", meta_data: [] },
+            withPartNumber(2, "M-2"),
+        ]);
+        await buildCatalogIndex();
+    });
+
+    it("finds products by SKU and by part_number meta, with their snapshot", async () => {
+        const bySku = await lookupCachedProduct("p-1");
+        assert.deepEqual({ status: bySku.status, productId: bySku.productId }, { status: "matched", productId: 1 });
+        assert.deepEqual({ id: bySku.product.id, sku: bySku.product.sku, regular_price: bySku.product.regular_price }, { id: 1, sku: "P-1", regular_price: "10.00" });
+
+        const byMeta = await lookupCachedProduct("M-2");
+        assert.equal(byMeta.productId, 2);
+
+        assert.equal(await lookupCachedProduct("NONE"), null);
+    });
+
+    it("misses before the first sync", async () => {
+        await redisClient.del("catalog:last-sync");
+        assert.equal(await lookupCachedProduct("P-1"), null);
+    });
+
+    it("keeps every product cached concurrently under the same part number", async () => {
+        await Promise.all([cacheProduct(withPartNumber(5, "DUP")), cacheProduct(withPartNumber(6, "DUP")), cacheProduct(withPartNumber(7, "DUP"))]);
+
+        const resolution = await lookupCachedProduct("DUP");
+        assert.equal(resolution.status, "ambiguous");
+        assert.deepEqual(resolution.candidates.map(({ id }) => id).sort(), [5, 6, 7]);
+    });
+
+    it("moves a product to its new part number", async () => {
+        await cacheProduct({ id: 1, sku: "P-1-NEW", meta_data: [] });
+
+        assert.equal(await lookupCachedProduct("P-1"), null);
+        assert.equal((await lookupCachedProduct("P-1-NEW")).productId, 1);
+    });
+
+    it("drops products trashed since the last sync", async () => {
+        store.getProduct(2).status = "trash";
+        await refreshCatalogIndex();
+
+        assert.equal(await lookupCachedProduct("M-2"), null);
+        assert.equal((await lookupCachedProduct("P-1")).productId, 1);
+    });
+
+    it("drops a product from the snapshots and the index", async () => {
+        await uncacheProduct(1);
+
+        assert.equal(await lookupCachedProduct("P-1"), null);
+        assert.equal(await redisClient.hGet("catalog:products", "1"), null);
+    });
+
+    it("diffs a cached match against its snapshot without fetching the product, and caches what it wrote", async () => {
+        store.requests.length = 0;
+
+        await processBatch([{ part_number: "P-1", unit_price: "12.00" }, { part_number: "M-2" }], 0, 2, FILE_KEY, { runId: "run-1" });
+
+        assert.deepEqual(store.requests.map(({ method, endpoint }) => `${method} ${endpoint}`), ["put products/batch"]);
+        assert.deepEqual(store.batches[0].update.map(({ id, regular_price }) => ({ id, regular_price })), [{ id: 1, regular_price: "12.00" }]);
+        assert.equal(JSON.parse(await redisClient.hGet("catalog:products", "1")).regular_price, "12.00");
+    });
+
+    it("diffs against edits made in WooCommerce once the refresh has picked them up", async () => {
+        store.getProduct(1).regular_price = "12.00";
+        await refreshCatalogIndex();
+
+        await processBatch([{ part_number: "P-1", unit_price: "12.00" }], 0, 1, FILE_KEY, { runId: "run-1" });
+
+        assert.equal(store.batches.length, 0);
+    });
+
+    it("drops a cached match deleted from WooCommerce once its update is rejected", async () => {
+        store.removeProduct(1);
+
+        await processBatch([{ part_number: "P-1", unit_price: "12.00" }], 0, 1, FILE_KEY, { runId: "run-1" });
+
+        assert.equal(store.batches.length, 1);
+        assert.equal(await lookupCachedProduct("P-1"), null);
+    });
+});
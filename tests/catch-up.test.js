@@ -0,0 +1,170 @@
+const { describe, it, before, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { S3Client } = require("@aws-sdk/client-s3");
+const { tempDir, redisClient, resetFakes, waitForHtmlStripper, waitFor, runQueuedJobs } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+process.env.WORKER_EXIT_ON_IDLE = "false";
+
+const { getPendingFolders, getCatchUpState, startCatchUp } = require("../catch-up");
+const { getHistoryDb, saveRunHistory } = require("../run-history");
+const { listDatedFolders } = require("../s3-helpers");
+const { getStorage } = require("../storage-sources");
+require("../worker");
+
+const sourceDir = path.join(tempDir, "drop");
+const storage = getStorage("local", sourceDir);
+
+const writeSourceFile = (fileKey, content) => {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, fileKey)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, fileKey), content);
+};
+
+let historyRunCount = 0;
+const recordCompletedRun = (folder, fields = {}) => saveRunHistory({
+    id: `history-${++historyRunCount}`,
+    status: "completed",
+    source: "local",
+    bucket: sourceDir,
+    folder,
+    mode: "update",
+    createdAt: new Date().toISOString(),
+    ...fields,
+});
+
+// Work through the jobs of each folder's run until the catch-up has finished
+const finishCatchUp = async () => {
+    await waitFor(async () => {
+        await runQueuedJobs();
+        return (await getCatchUpState()).status !== "running";
+    }, 5000);
+    return getCatchUpState();
+};
+
+describe("catch-up", () => {
+    let store;
+
+    before(waitForHtmlStripper);
+
+    beforeEach(async () => {
+        await resetFakes();
+        getHistoryDb().exec("DELETE FROM runs; DELETE FROM run_files;");
+        fs.rmSync(sourceDir, { recursive: true, force: true });
+        store = createFakeWooStore([{ id: 1, sku: "P-1", meta_data: [{ id: 11, key: "spq", value: "5" }] }]);
+
+        writeSourceFile("09-29-2026/parts.csv", "part_number,spq\nP-1,1\n");
+        writeSourceFile("09-30-2026/parts.csv", "part_number,spq\nP-1,2\n");
+        writeSourceFile("10-01-2026/parts.csv", "part_number,spq\nP-1,10\n");
+        writeSourceFile("10-02-2026/parts.csv", "part_number,spq\nP-1,20\n");
+    });
+
+    it("only applies the latest folder when no folder was ever completed", async () => {
+        assert.deepEqual(await getPendingFolders(storage), { lastCompletedFolder: null, pendingFolders: ["10-02-2026/"] });
+    });
+
+    it("applies every folder after the last one a live run of the source completed, oldest first", async () => {
+        recordCompletedRun("09-29-2026/");
+        recordCompletedRun("09-30-2026/");
+        recordCompletedRun("10-01-2026/", { mode: "dry_run" });
+        recordCompletedRun("10-02-2026/", { source: "s3", bucket: "supplier-bucket" });
+
+        assert.deepEqual(await getPendingFolders(storage), { lastCompletedFolder: "09-30-2026/", pendingFolders: ["10-01-2026/", "10-02-2026/"] });
+
+        const state = await startCatchUp(storage, { batchSize: 10 });
+        assert.deepEqual(state.folders.map(({ folder, status }) => ({ folder, status })), [
+            { folder: "10-01-2026/", status: "pending" },
+            { folder: "10-02-2026/", status: "pending" },
+        ]);
+        await assert.rejects(startCatchUp(storage), /A catch-up is already in progress/);
+
+        const finalState = await finishCatchUp();
+        assert.equal(finalState.status, "completed");
+        assert.deepEqual(finalState.folders.map(({ folder, status }) => ({ folder, status })), [
+            { folder: "10-01-2026/", status: "completed" },
+            { folder: "10-02-2026/", status: "completed" },
+        ]);
+
+        // The later folder's value wins
+        assert.deepEqual(store.batches.map(({ update }) => update[0].meta_data), [[{ id: 11, key: "spq", value: "10" }], [{ id: 11, key: "spq", value: "20" }]]);
+        assert.equal(store.getProduct(1).meta_data[0].value, "20");
+
+        // Nothing left to apply
+        assert.deepEqual((await startCatchUp(storage)).folders, []);
+    });
+
+    it("stops at the first folder whose run doesn't complete", async () => {
+        recordCompletedRun("09-30-2026/");
+        fs.rmSync(path.join(sourceDir, "10-01-2026"), { recursive: true });
+        writeSourceFile("10-01-2026/parts.json", '[{"part_number":'); // Can't be read
+
+        await startCatchUp(storage);
+        const finalState = await finishCatchUp();
+
+        assert.equal(finalState.status, "stopped");
+        assert.deepEqual(finalState.folders.map(({ folder, status }) => ({ folder, status })), [
+            { folder: "10-01-2026/", status: "failed" },
+            { folder: "10-02-2026/", status: "pending" },
+        ]);
+        assert.equal(store.batches.length, 0);
+    });
+
+    it("logs a catch-up that can't record its outcome instead of leaving the rejection unhandled", async (t) => {
+        const unhandled = mock.fn();
+        process.on("unhandledRejection", unhandled);
+        const set = redisClient.set;
+        // Redis goes away once the folder has been applied
+        const failingSet = mock.method(redisClient, "set", async (key, ...args) => {
+            const state = key === "catch-up:state" && JSON.parse(args[0]);
+            if (state && state.status !== "running") throw new Error("Connection is closed.");
+            return set.call(redisClient, key, ...args);
+        });
+        const del = redisClient.del;
+        const failingDel = mock.method(redisClient, "del", async (key) => {
+            if (key === "catch-up:lock") throw new Error("Connection is closed.");
+            return del.call(redisClient, key);
+        });
+        t.after(() => {
+            process.off("unhandledRejection", unhandled);
+            failingSet.mock.restore();
+            failingDel.mock.restore();
+        });
+
+        await startCatchUp(storage);
+        await waitFor(async () => {
+            await runQueuedJobs();
+            return failingDel.mock.calls.some(({ arguments: [key] }) => key === "catch-up:lock");
+        });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assert.equal(unhandled.mock.callCount(), 0);
+    });
+});
+
+describe("S3 folder listing", () => {
+    it("reads every page of a bucket with more than 1000 prefixes", async (t) => {
+        // One dated folder per day from 01-01-2022 on
+        const prefixes = Array.from({ length: 1500 }, (_, index) => {
+            const [year, month, day] = new Date(Date.UTC(2022, 0, 1 + index)).toISOString().slice(0, 10).split("-");
+            return `${month}-${day}-${year}/`;
+        });
+        const send = mock.method(S3Client.prototype, "send", async (command) => {
+            const start = Number(command.input.ContinuationToken || 0);
+            const page = prefixes.slice(start, start + 1000);
+            const nextStart = start + page.length;
+            return {
+                CommonPrefixes: page.map((Prefix) => ({ Prefix })),
+                IsTruncated: nextStart < prefixes.length,
+                NextContinuationToken: String(nextStart),
+            };
+        });
+        t.after(() => send.mock.restore());
+
+        const folders = await listDatedFolders(getStorage("s3", "supplier-bucket"));
+
+        assert.equal(send.mock.callCount(), 2);
+        assert.equal(folders.length, 1500);
+        assert.deepEqual([folders[0], folders[1499]], [prefixes[1499], "01-01-2022/"]);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir, redisClient, batchQueue, resetFakes, waitForHtmlStripper } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+process.env.WORKER_EXIT_ON_IDLE = "false";
+
+const { markRowsCompleted, getCompletedRanges, getMissingRanges, isRowCompleted, clearCompletedRanges } = require("../checkpoint");
+const { readCSVAndEnqueueJobs } = require("../s3-helpers");
+const { getStorage } = require("../storage-sources");
+require("../worker");
+
+const FILE_KEY = "10-01-2026/parts.csv";
+
+describe("completed row ranges", () => {
+    beforeEach(resetFakes);
+
+    it("merges the rows of concurrent jobs into ranges", async () => {
+        await Promise.all([
+            markRowsCompleted(FILE_KEY, "v1", [5, 6, 7]),
+            markRowsCompleted(FILE_KEY, "v1", [1, 2, 4]),
+            markRowsCompleted(FILE_KEY, "v1", [10]),
+        ]);
+
+        const completedRanges = await getCompletedRanges(FILE_KEY, "v1");
+        assert.deepEqual(completedRanges, [[1, 2], [4, 7], [10, 10]]);
+        assert.deepEqual(getMissingRanges(completedRanges, 12), [[3, 3], [8, 9], [11, 12]]);
+        assert.equal(isRowCompleted(completedRanges, 6), true);
+        assert.equal(isRowCompleted(completedRanges, 3), false);
+    });
+
+    it("keeps each file version apart", async () => {
+        await markRowsCompleted(FILE_KEY, "v1", [1, 2]);
+
+        assert.deepEqual(await getCompletedRanges(FILE_KEY, "v2"), []);
+        assert.deepEqual(await getCompletedRanges(FILE_KEY, undefined), []);
+    });
+
+    it("expires the ranges of a file version", async () => {
+        await markRowsCompleted(FILE_KEY, "v1", [1]);
+
+        const ttl = await redisClient.ttl(`completed-ranges:${FILE_KEY}:v1`);
+        assert.ok(ttl > 29 * 24 * 60 * 60 && ttl <= 30 * 24 * 60 * 60, `unexpected TTL ${ttl}`);
+    });
+
+    it("ignores invalid row numbers", async () => {
+        await markRowsCompleted(FILE_KEY, "v1", [0, 2]);
+        await markRowsCompleted(FILE_KEY, "v1", [1.5]);
+
+        assert.deepEqual(await getCompletedRanges(FILE_KEY, "v1"), []);
+    });
+
+    it("forgets every range of a cleared file version", async () => {
+        await markRowsCompleted(FILE_KEY, "v1", [1, 2]);
+        await clearCompletedRanges(FILE_KEY, "v1");
+
+        assert.deepEqual(await getCompletedRanges(FILE_KEY, "v1"), []);
+    });
+});
+
+describe("resuming a file", () => {
+    const sourceDir = path.join(tempDir, "drop");
+    const storage = getStorage("local", sourceDir);
+
+    before(waitForHtmlStripper);
+
+    beforeEach(async () => {
+        await resetFakes();
+        fs.mkdirSync(path.join(sourceDir, "10-01-2026"), { recursive: true });
+        fs.writeFileSync(path.join(sourceDir, FILE_KEY), `part_number\n${Array.from({ length: 8 }, (_, index) => `P-${index + 1}`).join("\n")}\n`);
+    });
+
+    const getFileVersion = async () => (await storage.listFiles(FILE_KEY))[0].ETag;
+
+    it("only enqueues the rows that aren't completed", async () => {
+        await markRowsCompleted(FILE_KEY, await getFileVersion(), [1, 2, 3, 6]);
+
+        await readCSVAndEnqueueJobs(storage, FILE_KEY, 2, { runId: "run-1" });
+
+        assert.deepEqual(batchQueue.jobs.map(({ data }) => data.batch.map((row) => row.part_number)), [["P-4", "P-5"], ["P-7", "P-8"]]);
+        assert.deepEqual(batchQueue.jobs.map(({ data }) => data.startRow), [3, 6]);
+        assert.equal(await redisClient.get("total-rows:run-1:10-01-2026/parts.csv"), "8");
+    });
+
+    it("leaves the failed rows of a job out of the checkpoint", async () => {
+        createFakeWooStore([{ id: 1, sku: "P-1", meta_data: [] }, { id: 3, sku: "P-3", meta_data: [] }]);
+        const fileVersion = await getFileVersion();
+
+        await readCSVAndEnqueueJobs(storage, FILE_KEY, 3, { runId: "run-1" });
+        await batchQueue.handler(batchQueue.jobs[0]); // P-1, P-2 (not found), P-3
+
+        assert.deepEqual(await getCompletedRanges(FILE_KEY, fileVersion), [[1, 1], [3, 3]]);
+        assert.equal(await redisClient.get("failed-products:run-1:10-01-2026/parts.csv"), "1");
+    });
+});
@@ -0,0 +1,115 @@
+// In-memory stand-in for the node-redis v4 client, covering the commands the modules use.
+// Values are stored like Redis stores them: strings, Maps for hashes and sorted sets, Sets for sets.
+const createFakeRedis = () => {
+    const store = new Map();
+    const expiries = new Map();
+    const subscribers = [];
+
+    const isExpired = (key) => expiries.has(key) && expiries.get(key) <= Date.now();
+    const read = (key) => {
+        if (isExpired(key)) {
+            store.delete(key);
+            expiries.delete(key);
+        }
+        return store.get(key);
+    };
+    const remove = (key) => {
+        expiries.delete(key);
+        return store.delete(key);
+    };
+    const collection = (key, Type) => {
+        if (!read(key)) store.set(key, new Type());
+        return store.get(key);
+    };
+    const toPattern = (glob) => new RegExp(`^${glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`);
+    const addToCounter = (key, amount) => {
+        const value = (parseInt(read(key), 10) || 0) + amount;
+        store.set(key, String(value));
+        return value;
+    };
+
+    const client = {
+        connect: async () => {},
+        quit: async () => {},
+
+        get: async (key) => read(key) ?? null,
+        set: async (key, value, options = {}) => {
+            if (options.NX && read(key) !== undefined) return null;
+            store.set(key, String(value));
+            expiries.delete(key);
+            if (options.EX) expiries.set(key, Date.now() + options.EX * 1000);
+            if (options.PX) expiries.set(key, Date.now() + options.PX);
+            return "OK";
+        },
+        setNX: async (key, value) => (await client.set(key, value, { NX: true })) === "OK",
+        del: async (keys) => [].concat(keys).filter(remove).length,
+        expire: async (key, seconds) => {
+            if (read(key) === undefined) return false;
+            expiries.set(key, Date.now() + seconds * 1000);
+            return true;
+        },
+        ttl: async (key) => {
+            if (read(key) === undefined) return -2;
+            return expiries.has(key) ? Math.ceil((expiries.get(key) - Date.now()) / 1000) : -1;
+        },
+        keys: async (glob) => [...store.keys()].filter((key) => read(key) !== undefined && toPattern(glob).test(key)),
+        incrBy: async (key, amount) => addToCounter(key, amount),
+        decrBy: async (key, amount) => addToCounter(key, -amount),
+
+        hGet: async (key, field) => read(key)?.get(String(field)) ?? null,
+        hSet: async (key, field, value) => {
+            const entries = typeof field === "object" ? Object.entries(field) : [[field, value]];
+            entries.forEach(([name, entry]) => collection(key, Map).set(String(name), String(entry)));
+            return entries.length;
+        },
+        hDel: async (key, fields) => [].concat(fields).filter((field) => read(key)?.delete(String(field))).length,
+        hGetAll: async (key) => Object.fromEntries(read(key) || []),
+        hIncrBy: async (key, field, amount) => {
+            const hash = collection(key, Map);
+            const value = (parseInt(hash.get(String(field)), 10) || 0) + amount;
+            hash.set(String(field), String(value));
+            return value;
+        },
+
+        sAdd: async (key, members) => {
+            const set = collection(key, Set);
+            return [].concat(members).map(String).filter((member) => !set.has(member) && set.add(member)).length;
+        },
+        sRem: async (key, members) => [].concat(members).filter((member) => read(key)?.delete(String(member))).length,
+        sMembers: async (key) => [...(read(key) || [])],
+        sIsMember: async (key, member) => Boolean(read(key)?.has(String(member))),
+
+        zAdd: async (key, members) => {
+            const sortedSet = collection(key, Map);
+            [].concat(members).forEach(({ score, value }) => sortedSet.set(String(value), score));
+            return [].concat(members).length;
+        },
+        zRange: async (key) => [...(read(key) || [])].sort((a, b) => a[1] - b[1]).map(([member]) => member),
+
+        publish: async (channel, message) => {
+            const listeners = subscribers.filter((subscriber) => subscriber.channel === channel);
+            listeners.forEach(({ listener }) => setImmediate(() => listener(message)));
+            return listeners.length;
+        },
+        duplicate: () => ({
+            connect: async () => {},
+            quit: async () => {},
+            subscribe: async (channel, listener) => {
+                subscribers.push({ channel, listener });
+            },
+        }),
+
+        // Test-only: forget every key and subscriber
+        flushAll: async () => {
+            store.clear();
+            expiries.clear();
+            subscribers.length = 0;
+        },
+    };
+
+    return client;
+};
+
+module.exports = {
+    createFakeRedis,
+};
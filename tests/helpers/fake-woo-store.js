@@ -0,0 +1,82 @@
+const { fakeWooApi } = require("./setup");
+
+// A WooCommerce store in memory behind the fake wooApi: products are listed by sku, by the "part_number" meta (as the
+// store's meta_key / meta_value filter does) or by a search of their name, SKU and descriptions, fetched by ID and
+// written through "products/batch".
+// Products are plain WooCommerce product objects; "status": "trash" marks a trashed one.
+// options.rejectItem(item, action) returns a WooCommerce item error to reject an update or create with, or nothing.
+// options.ignoreMetaFilter lists every product for a meta lookup, as a store without the filter does.
+const createFakeWooStore = (products = [], options = {}) => {
+    const catalog = new Map(products.map((product) => [product.id, structuredClone(product)]));
+    let nextId = Math.max(0, ...catalog.keys()) + 1;
+    const batches = [];
+
+    const metaValue = (product, key) => product.meta_data?.find((meta) => meta.key === key)?.value;
+    const same = (a, b) => String(a ?? "").trim().toUpperCase() === String(b ?? "").trim().toUpperCase();
+
+    // Meta entries replace the entry with the same id or key; others are added
+    const mergeMeta = (currentMeta = [], newMeta = []) => newMeta.reduce((merged, meta) => {
+        const index = merged.findIndex((entry) => (meta.id && entry.id === meta.id) || entry.key === meta.key);
+        const entry = { ...merged[index], ...meta };
+        return index > -1 ? merged.map((current, i) => (i === index ? entry : current)) : [...merged, { id: merged.length + 1000, ...entry }];
+    }, currentMeta);
+
+    // Listings leave trashed products out unless they ask for status "trash"
+    const listProducts = (params = {}) => {
+        const all = [...catalog.values()].filter((product) => (params.status === "trash") === (product.status === "trash"));
+        if (params.sku !== undefined) return all.filter((product) => same(product.sku, params.sku));
+        if (params.meta_key && !options.ignoreMetaFilter) return all.filter((product) => same(metaValue(product, params.meta_key), params.meta_value));
+        if (params.search) {
+            const term = params.search.toLowerCase();
+            return all.filter((product) => [product.name, product.sku, product.description, product.short_description].some((text) => String(text ?? "").toLowerCase().includes(term)));
+        }
+        return all;
+    };
+
+    const writeBatch = ({ update = [], create = [] }) => {
+        batches.push({ update, create });
+        const write = (item, action) => {
+            const error = options.rejectItem && options.rejectItem(item, action);
+            if (error) return { id: item.id ?? 0, error };
+
+            if (action === "update" && !catalog.has(item.id)) {
+                return { id: item.id, error: { code: "woocommerce_rest_product_invalid_id", message: "Invalid ID.", data: { status: 400 } } };
+            }
+
+            const { currentIndex, totalProductsInFile, part_number, ...fields } = item;
+            const id = action === "create" ? nextId++ : item.id;
+            const current = catalog.get(id) || { id, meta_data: [] };
+
+            const product = { ...current, ...fields, id, meta_data: mergeMeta(current.meta_data, fields.meta_data) };
+            catalog.set(id, product);
+            return structuredClone(product);
+        };
+        return {
+            ...(update.length > 0 && { update: update.map((item) => write(item, "update")) }),
+            ...(create.length > 0 && { create: create.map((item) => write(item, "create")) }),
+        };
+    };
+
+    const requests = fakeWooApi({
+        get: async (endpoint, params) => {
+            if (endpoint === "products") return structuredClone(listProducts(params));
+
+            const product = catalog.get(Number(endpoint.replace("products/", "")));
+            if (!product) throw Object.assign(new Error("Request failed with status code 404"), { response: { status: 404 } });
+            return structuredClone(product);
+        },
+        put: async (endpoint, data) => writeBatch(data),
+    });
+
+    return {
+        requests,
+        batches,
+        getProduct: (id) => catalog.get(id),
+        getProducts: () => [...catalog.values()],
+        removeProduct: (id) => catalog.delete(id),
+    };
+};
+
+module.exports = {
+    createFakeWooStore,
+};
@@ -0,0 +1,156 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeRedis } = require("./fake-redis");
+
+// Require this before any module under test: it points the environment at throwaway locations and replaces queue.js
+// (Bull queue and Redis client) with in-memory fakes, so the tests run without Redis or WooCommerce.
+// Each test file runs in its own process (node --test), so every file starts from an empty fake.
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "woo-sync-tests-"));
+process.on("exit", () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
+process.env.LOG_PRETTY = "false";
+process.env.OUTPUT_DIR = path.join(tempDir, "output-files");
+process.env.LOG_DIR = path.join(tempDir, "logs");
+process.env.LIMITER_CLUSTERED = "false";
+process.env.RUN_HISTORY_DB_PATH = path.join(tempDir, "run-history.db");
+process.env.WOO_API_BASE_URL = "http://woocommerce.test";
+process.env.WOO_API_CONSUMER_KEY = "ck_test";
+process.env.WOO_API_CONSUMER_SECRET = "cs_test";
+
+const redisClient = createFakeRedis();
+
+// Jobs added to the fake queue stay in `jobs` until a test takes them
+const jobs = [];
+const createJob = (data, options = {}) => {
+    const job = {
+        id: options.jobId || String(jobs.length + 1),
+        data,
+        opts: options,
+        isFailed: async () => false,
+        remove: async () => {
+            jobs.splice(jobs.indexOf(job), 1);
+        },
+    };
+    return job;
+};
+
+// The worker's job handler and event listeners are kept, so a test can run a job the way Bull would
+const batchQueue = {
+    jobs,
+    paused: false,
+    handler: null,
+    listeners: {},
+    add: async (data, options) => {
+        const job = createJob(data, options);
+        jobs.push(job);
+        return job;
+    },
+    getJob: async (jobId) => jobs.find((job) => job.id === jobId) || null,
+    getJobs: async (types, start = 0, end = -1) => jobs.slice(start, end < 0 ? undefined : end + 1),
+    getJobCounts: async () => ({ waiting: jobs.length, active: 0, delayed: 0, paused: 0 }),
+    pause: async () => {
+        batchQueue.paused = true;
+    },
+    resume: async () => {
+        batchQueue.paused = false;
+    },
+    process: (concurrency, handler) => {
+        batchQueue.handler = handler;
+    },
+    on: (event, listener) => {
+        batchQueue.listeners[event] = listener;
+    },
+    close: async () => {},
+};
+
+const queuePath = require.resolve("../../queue");
+require.cache[queuePath] = {
+    id: queuePath,
+    filename: queuePath,
+    loaded: true,
+    exports: {
+        redisConnection: { host: "127.0.0.1", port: 6379 },
+        batchQueue,
+        redisClient,
+        getTrackingKey: (fileKey, runId) => (runId ? `${runId}:${fileKey}` : fileKey),
+    },
+};
+
+// Reset the fakes between tests
+const resetFakes = async () => {
+    await redisClient.flushAll();
+    jobs.length = 0;
+    batchQueue.paused = false;
+};
+
+// mapping-helpers.js and batch-helpers.js load the (ESM) HTML stripper asynchronously; wait until that import has settled
+const waitForHtmlStripper = async () => {
+    await import("string-strip-html");
+    await new Promise((resolve) => setImmediate(resolve));
+};
+
+// Poll until condition() resolves truthy, for work a module starts in the background (e.g. a run reading its files)
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) throw new Error(`Condition not met within ${timeoutMs}ms: ${condition}`);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+};
+
+// Take the queued jobs one at a time and run them through the worker's handler (require worker.js first), like Bull would
+const runQueuedJobs = async () => {
+    while (jobs.length > 0) {
+        await batchQueue.handler(jobs.shift());
+    }
+};
+
+// Wait until a run has listed its files and read each one into the queue (or given up on it), or has already finished
+const waitForFilesRead = (runId) => waitFor(async () => {
+    const { getRun } = require("../../run-manager");
+    const { finishedAt, filesListed, files, errors = [] } = await getRun(runId);
+    const unreadable = errors.map(({ fileKey }) => fileKey);
+    return finishedAt || (filesListed && files.every((file) => !file.reading && (file.totalRows !== null || unreadable.includes(file.fileKey))));
+});
+
+// Read a run's files, run every queued job through the worker (require worker.js first) and wait for the run to finish
+const completeRun = async (runId) => {
+    const { waitForRunToFinish } = require("../../run-manager");
+    await waitForFilesRead(runId);
+    await runQueuedJobs();
+    return waitForRunToFinish(runId);
+};
+
+// Replace the WooCommerce client's HTTP calls with handlers: { get(path, params), put(path, data), post(path, data) }.
+// Each handler returns the response data, or { data, headers } when headers matter. Returns the recorded requests.
+const fakeWooApi = (handlers = {}) => {
+    const { wooApi, limiter } = require("../../woo-helpers");
+    const requests = [];
+
+    limiter.updateSettings({ minTime: 0, maxConcurrent: null });
+    ["get", "put", "post"].forEach((method) => {
+        wooApi[method] = async (endpoint, params) => {
+            requests.push({ method, endpoint, params });
+            if (!handlers[method]) throw new Error(`Unexpected ${method.toUpperCase()} ${endpoint}`);
+
+            const result = await handlers[method](endpoint, params);
+            return result && result.data !== undefined ? { headers: {}, ...result } : { data: result, headers: {} };
+        };
+    });
+    return requests;
+};
+
+module.exports = {
+    tempDir,
+    redisClient,
+    batchQueue,
+    resetFakes,
+    waitForHtmlStripper,
+    waitFor,
+    runQueuedJobs,
+    waitForFilesRead,
+    completeRun,
+    fakeWooApi,
+};
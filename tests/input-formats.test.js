@@ -0,0 +1,119 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const XLSX = require("xlsx");
+const { tempDir } = require("./helpers/setup");
+
+// One folder reads its workbooks from the "Prices" sheet, another reads ".txt" files as semicolon-separated CSV
+const configDir = path.join(tempDir, "config");
+fs.mkdirSync(configDir, { recursive: true });
+fs.writeFileSync(path.join(configDir, "input-formats.json"), JSON.stringify({
+    extensions: { ".tsv": "tsv" },
+    rules: [
+        { folder: "^10-02-2026/$", file_pattern: "acme", sheet: "Prices" },
+        { folder: "^10-03-2026/$", format: "csv", separator: ";" },
+    ],
+}));
+process.env.MAPPING_CONFIG_DIR = configDir;
+
+const { normalizeRow, resolveInputFormat, isSupportedInputFile, createRowStream } = require("../input-formats");
+const { listInputFiles } = require("../s3-helpers");
+const { getStorage } = require("../storage-sources");
+
+const readRows = async (body, fileKey, options) => {
+    const rows = [];
+    for await (const row of createRowStream(Readable.from([body]), fileKey, options)) rows.push(row);
+    return rows;
+};
+
+const createWorkbook = (sheets) => {
+    const workbook = XLSX.utils.book_new();
+    Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name));
+    return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+};
+
+const EXPECTED_ROWS = [
+    { part_number: "P-1", unit_price: "12.5", description: "Relay" },
+    { part_number: "P-2", unit_price: "3", description: "" },
+];
+
+describe("resolveInputFormat", () => {
+    it("picks the reader by extension, ignoring a .gz suffix", () => {
+        assert.deepEqual(resolveInputFormat("10-01-2026/parts.CSV"), { format: "csv" });
+        assert.deepEqual(resolveInputFormat("10-01-2026/parts.ndjson.gz"), { format: "ndjson" });
+        assert.deepEqual(resolveInputFormat("10-01-2026/parts.xls"), { format: "xlsx" });
+        assert.equal(resolveInputFormat("10-01-2026/readme.pdf"), null);
+    });
+
+    it("lets a folder rule override the format or only the reader options", () => {
+        assert.deepEqual(resolveInputFormat("10-02-2026/acme-parts.xlsx"), { format: "xlsx", sheet: "Prices", separator: undefined });
+        assert.deepEqual(resolveInputFormat("10-02-2026/other.xlsx"), { format: "xlsx" });
+        assert.deepEqual(resolveInputFormat("10-03-2026/parts.txt"), { format: "csv", sheet: undefined, separator: ";" });
+    });
+
+    it("only supports files whose format has a reader", () => {
+        assert.equal(isSupportedInputFile("10-01-2026/parts.jsonl"), true);
+        assert.equal(isSupportedInputFile("10-01-2026/parts.tsv"), false);
+        assert.equal(isSupportedInputFile("10-01-2026/parts.txt"), false);
+    });
+});
+
+describe("createRowStream", () => {
+    it("normalizes headers and values the same way for every format", async () => {
+        const csv = "Part Number ,Unit  Price,Description\nP-1,12.5,Relay\nP-2,3,\n";
+        const records = [{ "Part Number ": "P-1", "Unit  Price": 12.5, Description: "Relay" }, { "Part Number ": "P-2", "Unit  Price": 3, Description: null }];
+        const workbook = createWorkbook({ Sheet1: [["Part Number ", "Unit  Price", "Description"], ["P-1", 12.5, "Relay"], ["P-2", 3, ""]] });
+
+        assert.deepEqual(await readRows(Buffer.from(csv), "10-01-2026/parts.csv"), EXPECTED_ROWS);
+        assert.deepEqual(await readRows(Buffer.from(JSON.stringify(records)), "10-01-2026/parts.json"), EXPECTED_ROWS);
+        assert.deepEqual(await readRows(Buffer.from(records.map((record) => JSON.stringify(record)).join("\n")), "10-01-2026/parts.ndjson"), EXPECTED_ROWS);
+        assert.deepEqual(await readRows(workbook, "10-01-2026/parts.xlsx"), EXPECTED_ROWS);
+    });
+
+    it("reads the sheet of the folder rule", async () => {
+        const workbook = createWorkbook({ Notes: [["Note"], ["Prices valid in October"]], Prices: [["Part Number"], ["P-1"]] });
+
+        assert.deepEqual(await readRows(workbook, "10-02-2026/acme-parts.xlsx"), [{ part_number: "P-1" }]);
+        await assert.rejects(readRows(createWorkbook({ Sheet1: [["Part Number"]] }), "10-02-2026/acme-parts.xlsx"), /Sheet "Prices" not found. Available sheets: Sheet1/);
+    });
+
+    it("reads with the separator of the folder rule", async () => {
+        assert.deepEqual(await readRows(Buffer.from("part_number;unit_price\nP-1;12,50\n"), "10-03-2026/parts.txt"), [{ part_number: "P-1", unit_price: "12,50" }]);
+    });
+
+    it("gunzips compressed files of any format", async () => {
+        const body = zlib.gzipSync('{"part_number":"P-1"}\n\n{"part_number":"P-2"}\n');
+
+        assert.deepEqual(await readRows(body, "10-01-2026/parts.ndjson.gz"), [{ part_number: "P-1" }, { part_number: "P-2" }]);
+    });
+
+    it("reports malformed JSON input", async () => {
+        await assert.rejects(readRows(Buffer.from('{"part_number":"P-1"}\n{"part_number":\n'), "10-01-2026/parts.ndjson"), /Invalid JSON on line 2/);
+        await assert.rejects(readRows(Buffer.from('{"part_number":"P-1"}'), "10-01-2026/parts.json"), /JSON input must be an array of row objects/);
+    });
+
+    it("refuses files without a reader", () => {
+        assert.throws(() => createRowStream(Readable.from([]), "10-01-2026/parts.tsv"), /No input format for file "10-01-2026\/parts.tsv" \(unknown format "tsv"\)/);
+    });
+});
+
+describe("normalizeRow", () => {
+    it("keeps nested values as JSON text", () => {
+        assert.deepEqual(normalizeRow({ Specs: { voltage: 12 }, Stock: 0 }), { specs: '{"voltage":12}', stock: "0" });
+    });
+});
+
+describe("listInputFiles", () => {
+    before(() => {
+        fs.mkdirSync(path.join(tempDir, "drop", "10-01-2026"), { recursive: true });
+        ["parts.csv", "acme.xlsx", "feed.ndjson.gz", "readme.pdf", "parts.dry-run-report.csv", "parts.rejections.csv"].forEach((file) => fs.writeFileSync(path.join(tempDir, "drop", "10-01-2026", file), ""));
+    });
+
+    it("lists the supplier files of every supported format, leaving out our reports", async () => {
+        const files = await listInputFiles(getStorage("local", path.join(tempDir, "drop")), "10-01-2026/");
+        assert.deepEqual(files.map(({ Key }) => Key).sort(), ["10-01-2026/acme.xlsx", "10-01-2026/feed.ndjson.gz", "10-01-2026/parts.csv"]);
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir, redisClient, batchQueue, waitForHtmlStripper, waitForFilesRead } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+const { resolveMappingProfile } = require("../mapping-helpers");
+const { loadValidationConfig, createFileValidator, getQuarantineDecision } = require("../input-validation");
+const { getRowOutcomes } = require("../outcome-ledger");
+const { getRun, createRun } = require("../run-manager");
+
+const sourceDir = path.join(tempDir, "drop");
+const writeSourceFile = (fileKey, content) => {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, fileKey)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, fileKey), content);
+};
+
+// Validate rows of a file read through the default profile (config/validation.json)
+const validate = (rows, fileKey = "10-01-2026/parts.csv", folderPartNumbers = null) => {
+    const validator = createFileValidator(fileKey, resolveMappingProfile(fileKey), loadValidationConfig(), folderPartNumbers);
+    rows.forEach((item, index) => validator.addRow(item, index + 1));
+    return validator;
+};
+
+const getErrorCodes = ({ rejections }) => Object.fromEntries([...rejections.values()].map(({ row, errors }) => [row, errors.map(({ code }) => code)]));
+
+describe("pre-flight validation", () => {
+    before(waitForHtmlStripper);
+
+    it("rejects rows with a missing part number, bad URLs or numbers, mis-encoded text or too long fields", () => {
+        const validator = validate([
+            { part_number: "P-1", spq: "1,000", image_url: "https://cdn.example.com/p-1.jpg", regular_price: "$1.20" },
+            { part_number: " ", spq: "10" },
+            { part_number: "P-3", image_url: "cdn.example.com/p-3.jpg", datasheet_url: "ftp://example.com/p-3.pdf" },
+            { part_number: "P-4", spq: "ten", quantity: "5 pcs", regular_price: "call us" },
+            { part_number: "P-5", product_description: "Relay¬Æ 12 V" },
+            { part_number: "P".repeat(101) },
+        ]);
+
+        assert.deepEqual(getErrorCodes(validator.result()), {
+            2: ["missing_part_number"],
+            3: ["invalid_url", "invalid_url"],
+            4: ["invalid_number", "invalid_number", "invalid_number"],
+            5: ["encoding_error"],
+            6: ["too_long"],
+        });
+        assert.equal(validator.result().rejections.get(3).errors[0].message, 'image_url is not an http(s) URL: "cdn.example.com/p-3.jpg"');
+    });
+
+    it("keeps the first row of a part number repeated in a file, and the file read first of one repeated in a folder", () => {
+        const folderPartNumbers = new Map();
+        const acme = validate([{ part_number: "P-1" }, { part_number: "P-2" }, { part_number: "P-4", spq: "ten" }], "10-02-2026/acme.csv", folderPartNumbers);
+        const parts = validate([{ part_number: "p-2" }, { part_number: "P-3" }, { part_number: "P-3 " }, { part_number: "P-4" }], "10-02-2026/parts.csv", folderPartNumbers);
+
+        // A rejected row doesn't claim its part number for the folder
+        assert.deepEqual(getErrorCodes(acme.result()), { 3: ["invalid_number"] });
+        assert.deepEqual([...parts.result().rejections.values()].map(({ row, errors }) => ({ row, errors: errors.map(({ code, message }) => ({ code, message })) })), [
+            { row: 1, errors: [{ code: "duplicate_part_number_in_folder", message: "Also in 10-02-2026/acme.csv row 2" }] },
+            { row: 3, errors: [{ code: "duplicate_part_number", message: "Duplicate of row 2" }] },
+        ]);
+    });
+
+    it("quarantines a file above the error rate threshold or without a required column", () => {
+        const config = { ...loadValidationConfig(), required_columns: ["description"] };
+        const validator = createFileValidator("10-01-2026/parts.csv", resolveMappingProfile("10-01-2026/parts.csv"), config);
+        validator.addRow({ part_number: "P-1", spq: "10" }, 1);
+
+        assert.deepEqual(getQuarantineDecision(validator.result(), config), { quarantined: true, errorRate: 0, message: "Missing required column(s): product_description" });
+
+        const fiveRows = (rejected) => ({ totalRows: 5, missingColumns: [], rejections: new Map(Array.from({ length: rejected }, (_, index) => [index + 1, {}])) });
+        assert.deepEqual(getQuarantineDecision(fiveRows(1)), { quarantined: false, errorRate: 0.2 });
+        assert.deepEqual(getQuarantineDecision(fiveRows(2)), { quarantined: true, errorRate: 0.4, message: "2 of 5 rows invalid (40.0%, max 20%)" });
+    });
+
+    it("counts the rejected rows of a run as failed, writes the rejection report and quarantines the invalid files", async () => {
+        createFakeWooStore([]);
+        writeSourceFile("10-03-2026/acme.csv", "part_number,spq\nP-1,10\n");
+        writeSourceFile("10-03-2026/parts.csv", `part_number,spq\nP-1,10\n${Array.from({ length: 9 }, (_, index) => `P-${index + 2},10`).join("\n")}\n`);
+        writeSourceFile("10-03-2026/broken.csv", "part_number,spq\nP-20,ten\nP-21,10\n");
+
+        const run = await createRun({ source: "local", bucket: sourceDir, folder: "10-03-2026/", batchSize: 20, uploadReport: true });
+        await waitForFilesRead(run.id);
+
+        const { errors, files } = await getRun(run.id);
+        assert.deepEqual(errors, [{ fileKey: "10-03-2026/broken.csv", message: "Quarantined: 1 of 2 rows invalid (50.0%, max 20%)", quarantined: true }]);
+        assert.equal(JSON.parse(await redisClient.hGet("quarantined-files", "10-03-2026/broken.csv")).runId, run.id);
+
+        // parts.csv: row 1 is already in acme.csv, so 1 of its 10 rows is rejected
+        assert.equal(files.find(({ fileKey }) => fileKey === "10-03-2026/parts.csv").failed, 1);
+        assert.deepEqual(batchQueue.jobs.map(({ data }) => [data.fileKey, data.batch.length]).sort(), [["10-03-2026/acme.csv", 1], ["10-03-2026/parts.csv", 9]]);
+        assert.deepEqual((await getRowOutcomes("10-03-2026/parts.csv", { runId: run.id })).map(({ row, reason, message }) => ({ row, reason, message })), [
+            { row: 1, reason: "validation_error", message: "duplicate_part_number_in_folder: Also in 10-03-2026/acme.csv row 1" },
+        ]);
+
+        assert.deepEqual(fs.readFileSync(path.join(sourceDir, "10-03-2026/parts.rejections.csv"), "utf-8").trim().split("\n"), [
+            "file,row,part_number,error_codes,columns,messages",
+            "10-03-2026/parts.csv,1,P-1,duplicate_part_number_in_folder,part_number,Also in 10-03-2026/acme.csv row 1",
+        ]);
+    });
+
+    it("quarantines on the first rows of a file and rejects the later invalid rows as the file is read", async (t) => {
+        const config = loadValidationConfig();
+        const sampleRows = config.sample_rows;
+        config.sample_rows = 2;
+        t.after(() => { config.sample_rows = sampleRows; });
+
+        createFakeWooStore([]);
+        writeSourceFile("10-04-2026/parts.csv", "part_number,spq\nP-1,10\nP-2,10\nP-3,ten\nP-1,10\n");
+
+        const run = await createRun({ source: "local", bucket: sourceDir, folder: "10-04-2026/", batchSize: 20 });
+        await waitForFilesRead(run.id);
+
+        // Half the rows are invalid, but not in the two rows checked before reading
+        const { errors, files } = await getRun(run.id);
+        assert.deepEqual(errors, []);
+        assert.equal(files[0].failed, 2);
+        assert.deepEqual(batchQueue.jobs.filter(({ data }) => data.fileKey === "10-04-2026/parts.csv").map(({ data }) => data.batch.map(({ part_number }) => part_number)), [["P-1", "P-2"]]);
+        assert.deepEqual((await getRowOutcomes("10-04-2026/parts.csv", { runId: run.id })).map(({ row, message }) => ({ row, message })), [
+            { row: 3, message: 'invalid_number: spq is not a number: "ten"' },
+            { row: 4, message: "duplicate_part_number: Duplicate of row 1" },
+        ]);
+    });
+});
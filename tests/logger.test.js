@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+process.env.LOG_LEVEL = "info";
+const { tempDir, redisClient, resetFakes } = require("./helpers/setup");
+
+const { runWithLogContext, logInfoToFile, logErrorToFile, logUpdatesToFile, logFileProgress, getOutputFilePath } = require("../logger");
+const { createRotatingFileStream } = require("../log-rotation");
+
+const logDir = process.env.LOG_DIR;
+
+// The entries logged by fn, read back from the files of a log
+const captureLog = async (name, fn) => {
+    const readEntries = () => fs.readdirSync(logDir)
+        .filter((fileName) => fileName.startsWith(`${name}-`))
+        .flatMap((fileName) => fs.readFileSync(path.join(logDir, fileName), "utf-8").split("\n").filter(Boolean));
+    const entryCount = readEntries().length;
+
+    await fn();
+    return readEntries().slice(entryCount).map((line) => JSON.parse(line));
+};
+
+const getCorrelation = ({ runId, jobId, fileKey, row, partNumber }) => ({ runId, jobId, fileKey, row, partNumber });
+
+describe("structured logs", () => {
+    // Hold back the console copy of each entry, and let the test runner's own output through
+    let consoleWrite;
+    before(() => {
+        const write = process.stdout.write;
+        consoleWrite = mock.method(process.stdout, "write", (chunk, ...args) => String(chunk).startsWith('{"level":') || write.call(process.stdout, chunk, ...args));
+    });
+    after(() => consoleWrite.mock.restore());
+
+    beforeEach(resetFakes);
+
+    it("writes one JSON entry per line, with empty correlation fields outside of any context", async () => {
+        const [entry] = await captureLog("log-info", () => logInfoToFile("Fetched product", { productId: 7 }));
+
+        assert.deepEqual({ level: entry.level, log: entry.log, msg: entry.msg, productId: entry.productId }, { level: "info", log: "log-info", msg: "Fetched product", productId: 7 });
+        assert.deepEqual(getCorrelation(entry), { runId: null, jobId: null, fileKey: null, row: null, partNumber: null });
+        assert.ok(!isNaN(Date.parse(entry.time)));
+    });
+
+    it("adds the run, job, file and row of the current context to every entry, across awaits", async () => {
+        const entries = await captureLog("updated-products", () => runWithLogContext({ runId: "run-1", jobId: "4", fileKey: "10-02-2026/parts.csv" }, async () => {
+            logUpdatesToFile("Job started");
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await runWithLogContext({ row: 3, partNumber: "P-3" }, async () => logUpdatesToFile("Updated product"));
+            logUpdatesToFile("Job done", { row: 20 });
+        }));
+
+        assert.deepEqual(entries.map((entry) => ({ msg: entry.msg, ...getCorrelation(entry) })), [
+            { msg: "Job started", runId: "run-1", jobId: "4", fileKey: "10-02-2026/parts.csv", row: null, partNumber: null },
+            { msg: "Updated product", runId: "run-1", jobId: "4", fileKey: "10-02-2026/parts.csv", row: 3, partNumber: "P-3" },
+            { msg: "Job done", runId: "run-1", jobId: "4", fileKey: "10-02-2026/parts.csv", row: 20, partNumber: null },
+        ]);
+    });
+
+    it("logs errors with their stack, to the error log", async () => {
+        const error = Object.assign(new Error("Request failed with status code 500"), { code: "ERR_BAD_RESPONSE" });
+        const entries = await captureLog("error-log", () => {
+            logErrorToFile("Batch update failed", error, { fileKey: "parts.csv" });
+            logErrorToFile("Job failed", "Error: timeout\n    at processJob");
+        });
+
+        assert.deepEqual(entries.map(({ level, msg, fileKey }) => ({ level, msg, fileKey })), [
+            { level: "error", msg: "Batch update failed", fileKey: "parts.csv" },
+            { level: "error", msg: "Job failed", fileKey: null },
+        ]);
+        assert.deepEqual({ message: entries[0].err.message, code: entries[0].err.code }, { message: error.message, code: "ERR_BAD_RESPONSE" });
+        assert.match(entries[0].err.stack, /^Error: Request failed with status code 500\n/);
+        assert.equal(entries[1].stack, "Error: timeout\n    at processJob");
+    });
+
+    it("keeps the progress counts of a file as JSON and logs them as fields", async () => {
+        await redisClient.set("total-rows:run-1:parts.csv", "4");
+        await redisClient.set("updated-products:run-1:parts.csv", "2");
+        await redisClient.set("failed-products:run-1:parts.csv", "1");
+
+        const [entry] = await captureLog("updated-products", () => logFileProgress("run-1:parts.csv"));
+
+        const counts = { updatedCount: 2, createdCount: 0, skippedCount: 0, failedCount: 1, totalCount: 4, progress: 75 };
+        assert.deepEqual(JSON.parse(fs.readFileSync(getOutputFilePath("update-progress.json"), "utf-8"))["run-1:parts.csv"], counts);
+        assert.deepEqual({ trackingKey: entry.trackingKey, updatedCount: entry.updatedCount, failedCount: entry.failedCount, progress: entry.progress }, {
+            trackingKey: "run-1:parts.csv", updatedCount: 2, failedCount: 1, progress: 75,
+        });
+    });
+});
+
+describe("log rotation", () => {
+    const rotationDir = path.join(tempDir, "rotation");
+    const listFiles = () => fs.readdirSync(rotationDir).sort();
+
+    beforeEach(() => {
+        fs.rmSync(rotationDir, { recursive: true, force: true });
+        process.env.LOG_MAX_SIZE_MB = String(100 / (1024 * 1024)); // 100 bytes
+        process.env.LOG_RETENTION_DAYS = "2";
+    });
+
+    afterEach(() => {
+        delete process.env.LOG_MAX_SIZE_MB;
+        delete process.env.LOG_RETENTION_DAYS;
+    });
+
+    it("starts a new file of the day once the current one is full", () => {
+        const stream = createRotatingFileStream(rotationDir, "error-log");
+        const line = `${JSON.stringify({ msg: "x".repeat(50) })}\n`;
+        for (let i = 0; i < 5; i++) stream.write(line);
+
+        const day = listFiles()[0].match(/\d{4}-\d{2}-\d{2}/)[0];
+        const files = [`error-log-${day}.ndjson`, `error-log-${day}.1.ndjson`, `error-log-${day}.2.ndjson`];
+        assert.deepEqual(listFiles(), [...files].sort());
+        assert.deepEqual(files.map((fileName) => fs.readFileSync(path.join(rotationDir, fileName), "utf-8").split("\n").filter(Boolean).length), [2, 2, 1]);
+    });
+
+    it("continues the latest file of the day and deletes the files past the retention period", () => {
+        createRotatingFileStream(rotationDir, "error-log").write("{}\n");
+        const [today] = listFiles();
+        const day = today.match(/\d{4}-\d{2}-\d{2}/)[0];
+        fs.writeFileSync(path.join(rotationDir, today.replace(".ndjson", ".1.ndjson")), "{}\n");
+        fs.writeFileSync(path.join(rotationDir, "error-log-2020-01-01.ndjson"), "{}\n");
+        fs.writeFileSync(path.join(rotationDir, "log-info-2020-01-01.ndjson"), "{}\n");
+
+        createRotatingFileStream(rotationDir, "error-log").write('{"msg":"next"}\n');
+
+        assert.deepEqual(listFiles(), [`error-log-${day}.1.ndjson`, `error-log-${day}.ndjson`, "log-info-2020-01-01.ndjson"]);
+        assert.equal(fs.readFileSync(path.join(rotationDir, `error-log-${day}.1.ndjson`), "utf-8"), '{}\n{"msg":"next"}\n');
+    });
+});
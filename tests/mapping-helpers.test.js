@@ -0,0 +1,190 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir, waitForHtmlStripper } = require("./helpers/setup");
+
+// A config directory of its own: the shipped default profile plus the profiles and rules below
+const configDir = path.join(tempDir, "config");
+fs.mkdirSync(path.join(configDir, "mappings"), { recursive: true });
+fs.copyFileSync(path.join(__dirname, "..", "config", "mappings", "default.json"), path.join(configDir, "mappings", "default.json"));
+const writeConfig = (fileName, content) => fs.writeFileSync(path.join(configDir, fileName), JSON.stringify(content, null, 4));
+
+writeConfig("mapping-rules.json", {
+    default_profile: "default",
+    rules: [
+        { folder: "^acme/", profile: "acme" },
+        { file_pattern: "^metric-.*\\.csv$", profile: "metric" },
+    ],
+});
+writeConfig("mappings/acme.json", {
+    part_number: { source: ["mpn", "part_number"], transforms: ["trim"] },
+    fields: [
+        { target: "name", type: "core", source: "title", transforms: ["trim", { type: "default", value: "Unnamed part" }] },
+        { target: "brand", type: "meta", source: "maker" },
+        { target: "notes", type: "meta", source: "notes", diff: false },
+    ],
+});
+writeConfig("mappings/metric.json", {
+    part_number: { source: "part_number" },
+    fields: [
+        { target: "weight", type: "core", source: "weight_lb", transforms: [{ type: "unit", from: "lb", to: "kg", precision: 3 }] },
+        { target: "length_mm", type: "meta", source: "length_in", transforms: [{ type: "unit", from: "in", to: "mm" }] },
+    ],
+});
+writeConfig("mappings/no-fields.json", { part_number: { source: "part_number" }, fields: [] });
+writeConfig("mappings/bad-policy.json", {
+    part_number: { source: "part_number" },
+    fields: [{ target: "sku", type: "core", source: "sku", policy: "sometimes" }],
+});
+process.env.MAPPING_CONFIG_DIR = configDir;
+
+const {
+    applyTransform,
+    convertUnit,
+    loadMappingProfile,
+    resolveMappingProfile,
+    getPartNumber,
+    mapRowToProductData,
+    getProfileFields,
+    getNumericFields,
+    pickDiffFields,
+} = require("../mapping-helpers");
+
+describe("mapping profiles", () => {
+    it("picks the profile by folder, then by file name, then the default", () => {
+        assert.equal(resolveMappingProfile("acme/10-31-2024/parts.csv").name, "acme");
+        assert.equal(resolveMappingProfile("10-31-2024/metric-parts.csv").name, "metric");
+        assert.equal(resolveMappingProfile("10-31-2024/parts.csv").name, "default");
+    });
+
+    it("rejects profiles without fields or with an unknown policy", () => {
+        assert.throws(() => loadMappingProfile("no-fields"), /has no fields/);
+        assert.throws(() => loadMappingProfile("bad-policy"), /Unknown policy "sometimes"/);
+        assert.throws(() => loadMappingProfile("missing"), /not found/);
+    });
+
+    it("reads the part number from the first non-empty source column", () => {
+        const profile = loadMappingProfile("acme");
+        assert.equal(getPartNumber({ mpn: "  ABC-1 ", part_number: "XYZ" }, profile), "ABC-1");
+        assert.equal(getPartNumber({ mpn: "", part_number: "XYZ" }, profile), "XYZ");
+        assert.equal(getPartNumber({}, profile), "");
+    });
+
+    it("maps a row to core fields and meta_data, leaving absent columns out", () => {
+        const data = mapRowToProductData({ mpn: "ABC-1", title: "  Relay ", maker: "Acme" }, loadMappingProfile("acme"));
+        assert.deepEqual(data, {
+            name: "Relay",
+            meta_data: [{ key: "brand", value: "Acme" }],
+        });
+    });
+
+    it("applies a default for an empty column", () => {
+        const data = mapRowToProductData({ title: "", maker: "Acme", notes: "" }, loadMappingProfile("acme"));
+        assert.equal(data.name, "Unnamed part");
+        assert.deepEqual(data.meta_data, [{ key: "brand", value: "Acme" }, { key: "notes", value: "" }]);
+    });
+
+    it("maps the default supplier layout", () => {
+        const data = mapRowToProductData({
+            part_number: "P-1",
+            product_description: "Op amp",
+            operating_temp: "-40°C ~ 85°C",
+            supply_voltage: "3.3V",
+        }, loadMappingProfile("default"));
+
+        assert.equal(data.description, "Op amp");
+        assert.deepEqual(data.meta_data, [
+            { key: "operating_temperature", value: "-40°C ~ 85°C" },
+            { key: "voltage", value: "3.3V" },
+            { key: "short_description", value: "Op amp" },
+        ]);
+    });
+
+    it("leaves fields marked diff: false out of the comparison", () => {
+        const profile = loadMappingProfile("acme");
+        assert.deepEqual(getProfileFields(profile, { diffOnly: true }), { coreFields: ["name"], metaKeys: ["brand"], lockMetaKeys: [] });
+
+        const diffData = pickDiffFields({ id: 7, name: "Relay", meta_data: [{ key: "brand", value: "Acme" }, { key: "notes", value: "x" }] }, profile);
+        assert.deepEqual(diffData, { id: 7, name: "Relay", meta_data: [{ key: "brand", value: "Acme" }] });
+    });
+});
+
+describe("transforms", () => {
+    before(waitForHtmlStripper);
+
+    it("trims strings and strips HTML", () => {
+        assert.equal(applyTransform("  a  ", "trim"), "a");
+        assert.equal(applyTransform(42, "trim"), 42);
+        assert.equal(applyTransform("<p>Low <b>noise</b></p>", "strip_html"), "Low noise");
+    });
+
+    it("converts units within a dimension", () => {
+        assert.equal(convertUnit("2 lb", "lb", "kg", 3), 0.907);
+        assert.equal(convertUnit("1", "in", "mm"), 25.4);
+        assert.equal(convertUnit("212", "F", "C"), 100);
+        assert.throws(() => convertUnit("1", "kg", "mm"), /Unsupported unit conversion/);
+    });
+
+    it("maps unit columns through the profile", () => {
+        const data = mapRowToProductData({ part_number: "P-1", weight_lb: "2", length_in: "" }, loadMappingProfile("metric"));
+        assert.deepEqual(data, { weight: 0.907, meta_data: [] });
+    });
+
+    it("rejects unknown transforms", () => {
+        assert.throws(() => applyTransform("x", "shout"), /Unknown transform "shout"/);
+    });
+});
+
+describe("price transforms", () => {
+    it("formats prices and leaves missing or non-numeric values out", () => {
+        const fixed = { type: "fixed", digits: 2 };
+        assert.equal(applyTransform("$1,234.5", fixed), "1234.50");
+        assert.equal(applyTransform("", fixed), undefined);
+        assert.equal(applyTransform(undefined, fixed), undefined);
+        assert.equal(applyTransform("call", fixed), undefined);
+        assert.equal(applyTransform("12.6 pcs", "integer"), 13);
+        assert.equal(applyTransform("", "number"), undefined);
+        assert.equal(applyTransform("", "present"), undefined);
+        assert.equal(applyTransform("0", "present"), true);
+    });
+
+    it("never clears the price of a row without one", () => {
+        const data = mapRowToProductData({ part_number: "P-1", regular_price: "", unit_price: "" }, loadMappingProfile("default"));
+        assert.equal("regular_price" in data, false);
+        assert.equal("sale_price" in data, false);
+    });
+
+    it("takes the first price column with a value", () => {
+        const data = mapRowToProductData({ part_number: "P-1", regular_price: "", unit_price: "4.2", price_1: "5" }, loadMappingProfile("default"));
+        assert.equal(data.regular_price, "4.20");
+    });
+
+    it("collects quantity price breaks sorted by quantity", () => {
+        const data = mapRowToProductData({ part_number: "P-1", price_100: "0.80", price_1: "1.25", price_10: "$0.95", price_1000: "" }, loadMappingProfile("default"));
+        assert.deepEqual(data.meta_data.find(({ key }) => key === "price_breaks").value, [
+            { quantity: 1, price: 1.25 },
+            { quantity: 10, price: 0.95 },
+            { quantity: 100, price: 0.8 },
+        ]);
+    });
+
+    it("syncs the stock of a row with a stock_quantity, as a whole number that turns stock management on", () => {
+        const profile = loadMappingProfile("default");
+
+        const data = mapRowToProductData({ part_number: "P-1", stock_quantity: " 1,200 " }, profile);
+        assert.deepEqual({ stock_quantity: data.stock_quantity, manage_stock: data.manage_stock }, { stock_quantity: 1200, manage_stock: true });
+        assert.equal(mapRowToProductData({ part_number: "P-1", stock_quantity: "0" }, profile).stock_quantity, 0);
+        assert.ok(getNumericFields(profile).includes("stock_quantity"));
+    });
+
+    it("leaves the stock alone when the row has none", () => {
+        const profile = loadMappingProfile("default");
+
+        for (const row of [{ part_number: "P-1" }, { part_number: "P-1", stock_quantity: " " }]) {
+            const data = mapRowToProductData(row, profile);
+            assert.equal("stock_quantity" in data, false);
+            assert.equal("manage_stock" in data, false);
+        }
+    });
+});
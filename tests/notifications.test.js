@@ -0,0 +1,117 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { tempDir, redisClient, resetFakes, waitForHtmlStripper, completeRun } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+process.env.WORKER_EXIT_ON_IDLE = "false";
+process.env.NOTIFY_CAPTURE_FILE = path.join(tempDir, "notifications.jsonl");
+
+const { renderTemplate, notify, checkFailedRowsThreshold } = require("../notifications");
+const { createRun } = require("../run-manager");
+require("../worker");
+
+const sourceDir = path.join(tempDir, "drop");
+
+// Notifications written to the capture file (config/notifications.json templates)
+const readCaptured = () => (fs.existsSync(process.env.NOTIFY_CAPTURE_FILE)
+    ? fs.readFileSync(process.env.NOTIFY_CAPTURE_FILE, "utf-8").trim().split("\n").map((line) => JSON.parse(line))
+    : []);
+
+describe("notifications", () => {
+    before(waitForHtmlStripper);
+
+    beforeEach(async () => {
+        await resetFakes();
+        fs.rmSync(process.env.NOTIFY_CAPTURE_FILE, { force: true });
+    });
+
+    afterEach(() => {
+        delete process.env.NOTIFY_WEBHOOK_URL;
+        delete process.env.SMTP_HOST;
+        delete process.env.NOTIFY_EMAIL_TO;
+    });
+
+    it("renders templates from the event data, dotted paths included", () => {
+        const data = { runId: "run-1", totals: { failed: 0, updated: 3 }, files: [{ fileKey: "parts.csv" }] };
+
+        assert.equal(renderTemplate("Run {{runId}}: {{ totals.updated }} updated, {{totals.failed}} failed", data), "Run run-1: 3 updated, 0 failed");
+        assert.equal(renderTemplate("{{files}}|{{missing}}|{{totals.missing.deeper}}", data), '[{"fileKey":"parts.csv"}]||');
+        assert.equal(renderTemplate(undefined, data), "");
+    });
+
+    it("notifies the start and completion of a run, and a file crossing the failed rows threshold once", async () => {
+        createFakeWooStore([{ id: 1, sku: "P-1", meta_data: [] }]);
+        fs.mkdirSync(path.join(sourceDir, "10-02-2026"), { recursive: true });
+        fs.writeFileSync(path.join(sourceDir, "10-02-2026/parts.csv"), "part_number,spq\nP-1,10\nP-2,10\n");
+
+        const run = await createRun({ source: "local", bucket: sourceDir, folder: "10-02-2026/", batchSize: 1 });
+        await completeRun(run.id);
+
+        // Checked after every job: the threshold is only notified once per file and run
+        await checkFailedRowsThreshold(`${run.id}:10-02-2026/parts.csv`, { runId: run.id, fileKey: "10-02-2026/parts.csv" });
+
+        const captured = readCaptured();
+        assert.deepEqual(captured.map(({ event }) => event), ["run.started", "failed_rows.threshold", "run.completed"]);
+        assert.deepEqual(captured.slice(0, 2).map(({ title, text }) => ({ title, text })), [
+            {
+                title: "Product import started (10-02-2026/)",
+                text: `Run ${run.id} started in update mode: 1 file(s) from ${path.join(sourceDir, "10-02-2026")}.`,
+            },
+            {
+                title: "Failed rows above 10% (10-02-2026/parts.csv)",
+                text: `1 of 2 rows (50%) of 10-02-2026/parts.csv have failed in run ${run.id}.`,
+            },
+        ]);
+
+        const completed = captured[2];
+        assert.equal(completed.title, "Product import completed (10-02-2026/)");
+        assert.match(completed.text, new RegExp(`^Run ${run.id} completed in [\\d.]+ min: 1 updated, 0 created, 0 skipped, 1 failed, out of 2 rows.\\n- 10-02-2026/parts.csv: 1 updated`));
+        assert.deepEqual(completed.data.totals, { totalRows: 2, updated: 1, created: 0, skipped: 0, failed: 1 });
+    });
+
+    it("leaves files below the threshold and files still being read alone", async () => {
+        await redisClient.set("total-rows:run-2:parts.csv", "20");
+        await redisClient.set("failed-products:run-2:parts.csv", "1");
+        await redisClient.set("failed-products:run-2:acme.csv", "5");
+
+        await checkFailedRowsThreshold("run-2:parts.csv", { runId: "run-2", fileKey: "parts.csv" });
+        await checkFailedRowsThreshold("run-2:acme.csv", { runId: "run-2", fileKey: "acme.csv" });
+
+        assert.deepEqual(readCaptured(), []);
+    });
+
+    it("sends to the webhook and by email, and keeps going when a channel fails", async (t) => {
+        process.env.NOTIFY_WEBHOOK_URL = "https://hooks.example.com/services/T000";
+        process.env.SMTP_HOST = "smtp.example.com";
+        process.env.NOTIFY_EMAIL_TO = "ops@example.com";
+        const fetch = mock.method(globalThis, "fetch", async () => ({ ok: false, status: 500, statusText: "Internal Server Error" }));
+        const sendMail = mock.fn(async () => ({}));
+        const createTransport = mock.method(nodemailer, "createTransport", () => ({ sendMail }));
+        t.after(() => {
+            fetch.mock.restore();
+            createTransport.mock.restore();
+        });
+
+        const data = { jobId: "7", runId: "run-3", fileKey: "parts.csv", rowRange: "rows 1-20", attempts: 3, error: "Request failed with status code 500" };
+        await notify("job.failed", data);
+
+        const [url, request] = fetch.mock.calls[0].arguments;
+        assert.equal(url, "https://hooks.example.com/services/T000");
+        const expected = {
+            title: "Product import job failed (parts.csv)",
+            text: "Job 7 of run run-3 (parts.csv, rows 1-20) failed permanently after 3 attempt(s): Request failed with status code 500",
+        };
+        assert.deepEqual(JSON.parse(request.body), { ...expected, event: "job.failed", data });
+        assert.deepEqual(sendMail.mock.calls[0].arguments[0], { from: undefined, to: "ops@example.com", subject: expected.title, text: expected.text });
+        assert.deepEqual(readCaptured().map(({ event }) => event), ["job.failed"]);
+    });
+
+    it("ignores events the configuration doesn't list", async () => {
+        await notify("run.paused", { runId: "run-4" });
+
+        assert.deepEqual(readCaptured(), []);
+    });
+});
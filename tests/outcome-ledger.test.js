@@ -0,0 +1,103 @@
+const { describe, it, before, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { redisClient, batchQueue, resetFakes, waitForHtmlStripper, fakeWooApi } = require("./helpers/setup");
+const { recordRowOutcome, getRowOutcomes, countRows, rerunFailedRows } = require("../outcome-ledger");
+
+// A match without the product, so processBatch fetches it by ID (mocked before batch-helpers takes the function)
+mock.method(require("../catalog-cache"), "lookupCachedProduct", async () => ({ status: "matched", productId: 1, product: null, candidates: [], cached: true }));
+const { processBatch } = require("../batch-helpers");
+
+const FILE_KEY = "10-01-2026/parts.csv";
+
+const fail = (runId, row, reason) => recordRowOutcome(FILE_KEY, { runId, row, partNumber: `P-${row}`, status: "failed", reason, item: { part_number: `P-${row}` } });
+
+describe("outcome ledger", () => {
+    beforeEach(resetFakes);
+
+    it("keeps the outcomes of each run apart", async () => {
+        await fail("run-1", 2, "not_found");
+        await recordRowOutcome(FILE_KEY, { runId: "run-1", row: 1, partNumber: "P-1", status: "updated", productId: 7, changedFields: ["regular_price"] });
+        await fail("run-2", 3, "api_error");
+
+        const outcomes = await getRowOutcomes(FILE_KEY, { runId: "run-1" });
+        assert.deepEqual(outcomes.map(({ row, status }) => ({ row, status })), [{ row: 1, status: "updated" }, { row: 2, status: "failed" }]);
+        assert.deepEqual(outcomes[0].changedFields, ["regular_price"]);
+        assert.equal(outcomes[0].item, undefined); // Only failed rows keep their source row
+
+        assert.deepEqual((await getRowOutcomes(FILE_KEY, { runId: "run-2" })).map(({ row }) => row), [3]);
+        assert.deepEqual(await getRowOutcomes(FILE_KEY), []);
+    });
+
+    it("filters by status and reason", async () => {
+        await fail("run-1", 1, "not_found");
+        await fail("run-1", 2, "api_error");
+        await recordRowOutcome(FILE_KEY, { runId: "run-1", row: 3, status: "skipped" });
+
+        assert.deepEqual((await getRowOutcomes(FILE_KEY, { runId: "run-1", statuses: ["failed"] })).map(({ row }) => row), [1, 2]);
+        assert.deepEqual((await getRowOutcomes(FILE_KEY, { runId: "run-1", reasons: ["api_error"] })).map(({ row }) => row), [2]);
+    });
+});
+
+describe("rerunFailedRows", () => {
+    beforeEach(resetFakes);
+
+    it("re-enqueues only the failed rows of the run, keeping their row numbers and the run's mode", async () => {
+        for (const row of [2, 5, 6]) await fail("run-1", row, row === 5 ? "api_error" : "not_found");
+        await fail("run-2", 9, "not_found");
+        await countRows(`run-1:${FILE_KEY}`, "failed-products", [2, 5, 6]);
+        await redisClient.set(`total-rows:run-1:${FILE_KEY}`, "10");
+
+        const result = await rerunFailedRows(FILE_KEY, { batchSize: 2, jobData: { runId: "run-1", upsert: true } });
+
+        assert.equal(result.rowCount, 3);
+        assert.deepEqual(batchQueue.jobs.map(({ data }) => data.rowNumbers), [[2, 5], [6]]);
+        assert.deepEqual(batchQueue.jobs[0].data.batch, [{ part_number: "P-2" }, { part_number: "P-5" }]);
+        assert.deepEqual(
+            batchQueue.jobs.map(({ data }) => ({ runId: data.runId, upsert: data.upsert, rerun: data.rerun, totalProductsInFile: data.totalProductsInFile })),
+            [{ runId: "run-1", upsert: true, rerun: true, totalProductsInFile: 10 }, { runId: "run-1", upsert: true, rerun: true, totalProductsInFile: 10 }]
+        );
+
+        // The rerun jobs count the rows again
+        assert.equal(await redisClient.get(`failed-products:run-1:${FILE_KEY}`), "0");
+    });
+
+    it("reruns only the given reason codes", async () => {
+        await fail("run-1", 1, "not_found");
+        await fail("run-1", 2, "api_error");
+
+        const result = await rerunFailedRows(FILE_KEY, { reasons: ["api_error"], jobData: { runId: "run-1" } });
+
+        assert.equal(result.rowCount, 1);
+        assert.deepEqual(batchQueue.jobs[0].data.rowNumbers, [2]);
+    });
+
+    it("rejects unknown reason codes", async () => {
+        await assert.rejects(rerunFailedRows(FILE_KEY, { reasons: ["bad_luck"], jobData: { runId: "run-1" } }), /Unknown reason code\(s\): bad_luck/);
+    });
+
+    it("never takes a counter below the rows it counted", async () => {
+        await fail("run-1", 1, "not_found");
+        await redisClient.set(`failed-products:run-1:${FILE_KEY}`, "0"); // Counted before rows were tracked
+
+        await rerunFailedRows(FILE_KEY, { jobData: { runId: "run-1" } });
+
+        assert.equal(await redisClient.get(`failed-products:run-1:${FILE_KEY}`), "0");
+    });
+});
+
+describe("rows whose product can't be fetched", () => {
+    before(waitForHtmlStripper);
+    beforeEach(resetFakes);
+
+    it("fails them as api_error, so a rerun of the failures picks them up", async () => {
+        fakeWooApi({ get: async () => { throw new Error("Request failed with status code 500"); } });
+
+        await processBatch([{ part_number: "P-1", spq: "10" }], 0, 1, FILE_KEY, { runId: "run-1" });
+
+        assert.deepEqual((await getRowOutcomes(FILE_KEY, { runId: "run-1" })).map(({ row, status, reason, productId }) => ({ row, status, reason, productId })), [
+            { row: 1, status: "failed", reason: "api_error", productId: 1 },
+        ]);
+        assert.equal(await redisClient.get(`failed-products:run-1:${FILE_KEY}`), "1");
+        assert.equal((await rerunFailedRows(FILE_KEY, { reasons: ["api_error"], jobData: { runId: "run-1" } })).rowCount, 1);
+    });
+});
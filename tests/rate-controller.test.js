@@ -0,0 +1,149 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const EventEmitter = require("events");
+const os = require("os");
+const { redisClient, waitFor } = require("./helpers/setup");
+
+process.env.RATE_LIMIT_MAX_CONCURRENT = "4";
+process.env.RATE_LIMIT_MAX_TIME_MS = "5000";
+process.env.RATE_LIMIT_TARGET_LATENCY_MS = "50";
+
+const { getRetryAfterMs, startRateController, getRateLimitStatus } = require("../rate-controller");
+
+const ADJUST_INTERVAL_MS = 15000;
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// Stands in for an in-process Bottleneck limiter: emits its job events and records the settings it is given
+const createFakeLimiter = () => {
+    const limiter = new EventEmitter();
+    limiter.datastore = "local";
+    limiter.settings = [];
+    limiter.updateSettings = async (settings) => {
+        limiter.settings.push(settings);
+    };
+    return limiter;
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("getRetryAfterMs", () => {
+    it("reads a Retry-After header in seconds or as an HTTP date", () => {
+        const retryAfter = (header) => getRetryAfterMs({ response: { status: 429, headers: { "retry-after": header } } });
+
+        assert.equal(retryAfter("30"), 30000);
+        assert.ok(Math.abs(retryAfter(new Date(Date.now() + 60000).toUTCString()) - 60000) <= 1000);
+        assert.equal(retryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+        assert.equal(retryAfter("soon"), null);
+        assert.equal(getRetryAfterMs(new Error("socket hang up")), null);
+    });
+});
+
+describe("adaptive rate controller", () => {
+    const limiter = createFakeLimiter();
+    let jobCount = 0;
+
+    // One request through the limiter: "done" after latencyMs, or "failed" with the error
+    const observeRequest = async ({ latencyMs = 0, error } = {}) => {
+        const info = { options: { id: `job-${++jobCount}` }, retryCount: 0 };
+        limiter.emit("executing", info);
+        if (latencyMs) await new Promise((resolve) => setTimeout(resolve, latencyMs));
+        if (error) limiter.emit("failed", error, info);
+        limiter.emit("done", info);
+        await flush();
+    };
+
+    // Run the controller's next interval, after the previous interval's adjusting lock has expired
+    const adjust = async () => {
+        await redisClient.del("rate-limits:adjusting");
+        mock.timers.tick(ADJUST_INTERVAL_MS);
+        await flush();
+        return getRateLimitStatus();
+    };
+
+    const getLimits = ({ limits }) => ({ maxConcurrent: limits.maxConcurrent, minTime: limits.minTime });
+    const getCounts = ({ window }) => ({ requests: window.requests, throttled: window.throttled, errors: window.errors });
+
+    before(async () => {
+        mock.timers.enable({ apis: ["setInterval"] });
+        await redisClient.hSet("rate-limits:workers", "other-host:1", String(Date.now()));
+        await startRateController(limiter);
+    });
+
+    after(() => mock.timers.reset());
+
+    it("starts from the former fixed limits and applies this process's share of them", async () => {
+        const status = await getRateLimitStatus();
+
+        assert.deepEqual(getLimits(status), { maxConcurrent: 2, minTime: 1000 });
+        assert.equal(status.limits.reason, "idle");
+        assert.deepEqual(status.workers.sort(), ["other-host:1", workerId].sort());
+        assert.deepEqual(limiter.settings, [{ maxConcurrent: 1, minTime: 2000, reservoir: null }]);
+    });
+
+    it("raises the limits while the store answers fast, up to the ceiling", async () => {
+        for (let i = 0; i < 5; i++) await observeRequest();
+        assert.deepEqual(getCounts(await getRateLimitStatus()), { requests: "5", throttled: undefined, errors: undefined });
+
+        let status = await adjust();
+        assert.deepEqual(getLimits(status), { maxConcurrent: 3, minTime: 800 });
+        assert.deepEqual(status.window, {});
+        assert.deepEqual(status.local.applied, { maxConcurrent: 1, minTime: 1600, reservoir: null });
+
+        for (const expected of [{ maxConcurrent: 4, minTime: 640 }, { maxConcurrent: 4, minTime: 512 }]) {
+            await observeRequest();
+            status = await adjust();
+            assert.deepEqual(getLimits(status), expected);
+        }
+    });
+
+    it("keeps the limits of an idle interval and lowers them on slow responses", async () => {
+        assert.deepEqual(getLimits(await adjust()), { maxConcurrent: 4, minTime: 512 });
+
+        await observeRequest({ latencyMs: 80 });
+        const status = await adjust();
+
+        assert.deepEqual(getLimits(status), { maxConcurrent: 3, minTime: 768 });
+        assert.match(status.limits.reason, /^average latency \d+ ms$/);
+    });
+
+    it("backs off hard on 429s and pauses every process for the Retry-After delay", async () => {
+        const throttled = Object.assign(new Error("Request failed with status code 429"), { response: { status: 429, headers: { "retry-after": "1" } } });
+        await observeRequest({ error: throttled });
+        await observeRequest({ error: new Error("Request failed with status code 503") });
+
+        // This process pauses at once; the others on their next update
+        assert.deepEqual(limiter.settings.at(-1), { reservoir: 0 });
+        let status = await getRateLimitStatus();
+        assert.deepEqual(getCounts(status), { requests: "2", throttled: "1", errors: "1" });
+        assert.deepEqual({ paused: status.limits.paused, reason: status.limits.reason }, { paused: true, reason: "retry-after 1s" });
+
+        status = await adjust();
+        assert.deepEqual(getLimits(status), { maxConcurrent: 1, minTime: 1536 });
+        assert.equal(status.limits.reason, "1 throttled, 1 server errors in 2 requests");
+        assert.deepEqual(status.local.applied, { maxConcurrent: 1, minTime: 3072, reservoir: 0 });
+
+        // Resumed once the delay is over
+        await waitFor(async () => (await getRateLimitStatus()).local.applied?.reservoir === null);
+        assert.deepEqual(limiter.settings.at(-1), { maxConcurrent: 1, minTime: 3072, reservoir: null });
+    });
+
+    it("never lowers the limits past the floor and ceiling", async () => {
+        for (let i = 0; i < 3; i++) {
+            await observeRequest({ error: new Error("Request failed with status code 502") });
+            await adjust();
+        }
+
+        assert.deepEqual(getLimits(await getRateLimitStatus()), { maxConcurrent: 1, minTime: 5000 });
+    });
+
+    it("leaves the adjustment to the process holding the lock", async () => {
+        await observeRequest();
+        await redisClient.set("rate-limits:adjusting", "other-host:1", { PX: ADJUST_INTERVAL_MS });
+        mock.timers.tick(ADJUST_INTERVAL_MS);
+        await flush();
+
+        const status = await getRateLimitStatus();
+        assert.deepEqual(getLimits(status), { maxConcurrent: 1, minTime: 5000 });
+        assert.equal(status.window.requests, "1");
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Database = require("better-sqlite3");
+require("./helpers/setup");
+
+// A history database written before storage sources existed: its runs table has no "source" column
+const legacyDb = new Database(process.env.RUN_HISTORY_DB_PATH);
+legacyDb.exec(`
+    CREATE TABLE runs (
+        id TEXT PRIMARY KEY, status TEXT NOT NULL, bucket TEXT, folder TEXT, mode TEXT, batch_size INTEGER,
+        file_keys TEXT, errors TEXT, created_at TEXT, started_at TEXT, finished_at TEXT
+    );
+    INSERT INTO runs (id, status, bucket, folder, mode, file_keys, created_at)
+    VALUES ('legacy-run', 'completed', 'supplier-bucket', '09-30-2026/', 'update', '["09-30-2026/parts.csv"]', '2026-09-30T08:00:00.000Z');
+`);
+legacyDb.close();
+
+const { saveRunHistory, saveRunFiles, listRunHistory, getRunReport, listCompletedFolders, toRunReportCsv } = require("../run-history");
+
+const createRunRecord = (id, fields = {}) => ({
+    id,
+    status: "running",
+    source: "s3",
+    bucket: "supplier-bucket",
+    folder: "10-01-2026/",
+    fileKeys: ["10-01-2026/parts.csv"],
+    batchSize: 20,
+    mode: "update",
+    errors: [],
+    createdAt: "2026-10-01T08:00:00.000Z",
+    startedAt: "2026-10-01T08:00:01.000Z",
+    finishedAt: null,
+    ...fields,
+});
+
+describe("run history", () => {
+    it("keeps the runs of a database created before storage sources, as S3 runs", () => {
+        const legacyRun = getRunReport("legacy-run");
+        assert.deepEqual({ source: legacyRun.source, folder: legacyRun.folder, fileKeys: legacyRun.fileKeys, files: legacyRun.files }, {
+            source: "s3",
+            folder: "09-30-2026/",
+            fileKeys: ["09-30-2026/parts.csv"],
+            files: [],
+        });
+    });
+
+    it("updates a run on every state change and keeps its final counts per file", () => {
+        saveRunHistory(createRunRecord("run-1"));
+        saveRunFiles("run-1", [{ fileKey: "10-01-2026/parts.csv", totalRows: 3, updated: 1, skipped: 1, failed: 1, errorSummary: { not_found: 1 } }]);
+        saveRunHistory(createRunRecord("run-1", { status: "completed", finishedAt: "2026-10-01T08:10:00.000Z" }));
+        saveRunFiles("run-1", [{ fileKey: "10-01-2026/parts.csv", totalRows: 3, updated: 2, failed: 1, errorSummary: { api_error: 1 } }]);
+
+        const report = getRunReport("run-1");
+        assert.deepEqual({ status: report.status, finishedAt: report.finishedAt }, { status: "completed", finishedAt: "2026-10-01T08:10:00.000Z" });
+        assert.deepEqual(report.files.map(({ recordedAt, ...file }) => file), [
+            { fileKey: "10-01-2026/parts.csv", totalRows: 3, updated: 2, created: 0, skipped: 0, failed: 1, errorSummary: { api_error: 1 } },
+        ]);
+        assert.equal(getRunReport("no-such-run"), null);
+    });
+
+    it("lists the most recent runs first, filtered by status and folder", () => {
+        saveRunHistory(createRunRecord("run-2", { status: "failed", folder: "10-02-2026/", createdAt: "2026-10-02T08:00:00.000Z" }));
+        saveRunHistory(createRunRecord("run-3", { status: "completed", folder: "10-03-2026/", mode: "dry_run", createdAt: "2026-10-03T08:00:00.000Z" }));
+
+        assert.deepEqual(listRunHistory().map(({ id }) => id), ["run-3", "run-2", "run-1", "legacy-run"]);
+        assert.deepEqual(listRunHistory({ limit: 2 }).map(({ id }) => id), ["run-3", "run-2"]);
+        assert.deepEqual(listRunHistory({ status: "completed" }).map(({ id }) => id), ["run-3", "run-1", "legacy-run"]);
+        assert.deepEqual(listRunHistory({ folder: "10-02-2026/" }).map(({ id }) => id), ["run-2"]);
+    });
+
+    it("lists the folders completed by a live run of a source", () => {
+        saveRunHistory(createRunRecord("run-4", { status: "completed", source: "local", bucket: "/srv/drop", folder: "10-04-2026/" }));
+
+        // run-2 failed and run-3 was a dry run
+        assert.deepEqual(listCompletedFolders("s3").sort(), ["09-30-2026/", "10-01-2026/"]);
+        assert.deepEqual(listCompletedFolders("local"), ["10-04-2026/"]);
+    });
+
+    it("renders one CSV line per file of a run", () => {
+        const report = {
+            ...createRunRecord("run-5", { status: "completed" }),
+            files: [
+                { fileKey: "10-01-2026/parts.csv", totalRows: 3, updated: 1, created: 0, skipped: 1, failed: 1, errorSummary: { not_found: 1, api_error: 2 } },
+                { fileKey: "10-01-2026/acme, inc.xlsx", totalRows: null, updated: 0, created: 0, skipped: 0, failed: 0, errorSummary: {} },
+            ],
+        };
+
+        assert.deepEqual(toRunReportCsv(report).trim().split("\n"), [
+            "run_id,status,folder,mode,started_at,finished_at,file,total_rows,updated,created,skipped,failed,errors",
+            "run-5,completed,10-01-2026/,update,2026-10-01T08:00:01.000Z,,10-01-2026/parts.csv,3,1,0,1,1,not_found: 1; api_error: 2",
+            'run-5,completed,10-01-2026/,update,2026-10-01T08:00:01.000Z,,"10-01-2026/acme, inc.xlsx",,0,0,0,0,',
+        ]);
+    });
+});
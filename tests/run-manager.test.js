@@ -0,0 +1,156 @@
+const { describe, it, before, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir, redisClient, batchQueue, resetFakes, waitForHtmlStripper, waitFor, runQueuedJobs, waitForFilesRead, completeRun } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+process.env.WORKER_EXIT_ON_IDLE = "false";
+
+const { getRun, createRun, pauseRun, resumeRun, cancelRun, waitForRunToFinish } = require("../run-manager");
+require("../worker");
+
+const sourceDir = path.join(tempDir, "drop");
+const writeSourceFile = (fileKey, partNumbers) => {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, fileKey)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, fileKey), `part_number,spq\n${partNumbers.map((partNumber) => `${partNumber},100`).join("\n")}\n`);
+};
+
+const startRun = (params = {}) => createRun({ source: "local", bucket: sourceDir, batchSize: 2, ...params });
+
+const getCounts = async (runId) => (await getRun(runId)).files.map(({ fileKey, totalRows, updated, skipped, failed }) => ({ fileKey, totalRows, updated, skipped, failed }));
+
+describe("import runs", () => {
+    before(async () => {
+        await waitForHtmlStripper();
+        writeSourceFile("10-01-2026/old.csv", ["P-1"]);
+        writeSourceFile("10-02-2026/parts.csv", ["P-1", "P-2", "P-3"]);
+    });
+
+    beforeEach(async () => {
+        await resetFakes();
+        createFakeWooStore([
+            { id: 1, sku: "P-1", meta_data: [{ id: 11, key: "spq", value: "50" }] },
+            { id: 2, sku: "P-2", meta_data: [{ id: 12, key: "spq", value: "100" }] },
+        ]);
+    });
+
+    it("reads the latest dated folder, tags every job with the run and completes once every row is counted", async () => {
+        const run = await startRun();
+        assert.equal(run.folder, "10-02-2026/");
+        assert.equal(run.status, "pending");
+
+        await waitForFilesRead(run.id);
+        assert.deepEqual(batchQueue.jobs.map(({ data }) => data.runId), [run.id, run.id]);
+
+        await runQueuedJobs();
+
+        assert.equal((await waitForRunToFinish(run.id)).status, "completed");
+        assert.deepEqual(await getCounts(run.id), [{ fileKey: "10-02-2026/parts.csv", totalRows: 3, updated: 1, skipped: 1, failed: 1 }]);
+    });
+
+    it("keeps the counters of two runs of the same file apart", async () => {
+        const firstRun = await startRun({ folder: "10-02-2026" });
+        await completeRun(firstRun.id);
+        const firstCounts = await getCounts(firstRun.id);
+
+        // The folder is free again once the first run has finished
+        const secondRun = await startRun({ folder: "10-02-2026", mode: "dry_run" });
+        await completeRun(secondRun.id);
+
+        // P-1 was updated by the first run
+        assert.deepEqual(await getCounts(secondRun.id), [{ fileKey: "10-02-2026/parts.csv", totalRows: 3, updated: 0, skipped: 2, failed: 1 }]);
+        assert.deepEqual(await getCounts(firstRun.id), firstCounts);
+    });
+
+    it("refuses a second run for a folder while the first one is in progress", async () => {
+        const run = await startRun({ fileKeys: ["10-02-2026/parts.csv"] });
+        await waitForFilesRead(run.id);
+
+        await assert.rejects(startRun({ folder: "10-02-2026/" }), new RegExp(`Run ${run.id} is already in progress for folder 10-02-2026/`));
+        await cancelRun(run.id);
+    });
+
+    it("holds only the jobs of a paused run, and puts them back in the queue when it resumes", async () => {
+        const run = await startRun({ folder: "10-02-2026/" });
+        const otherRun = await startRun({ folder: "10-01-2026/" });
+        await waitForFilesRead(run.id);
+        await waitForFilesRead(otherRun.id);
+
+        assert.equal((await pauseRun(run.id)).status, "paused");
+        assert.equal(batchQueue.paused, false);
+
+        // The other run goes on; the paused run's jobs are parked as the worker takes them
+        await runQueuedJobs();
+        assert.equal((await waitForRunToFinish(otherRun.id)).status, "completed");
+        assert.equal((await getRun(run.id)).status, "paused");
+        assert.deepEqual(await getCounts(run.id), [{ fileKey: "10-02-2026/parts.csv", totalRows: 3, updated: 0, skipped: 0, failed: 0 }]);
+
+        assert.equal((await resumeRun(run.id)).status, "running");
+        assert.deepEqual(batchQueue.jobs.map(({ data }) => data.runId), [run.id, run.id]);
+        await runQueuedJobs();
+        assert.equal((await waitForRunToFinish(run.id)).status, "completed");
+        // P-1 was updated by the other run
+        assert.deepEqual(await getCounts(run.id), [{ fileKey: "10-02-2026/parts.csv", totalRows: 3, updated: 0, skipped: 2, failed: 1 }]);
+
+        await assert.rejects(resumeRun(run.id), new RegExp(`Cannot resume run ${run.id} while it is completed`));
+        assert.equal(await pauseRun("no-such-run"), null);
+    });
+
+    it("drops the parked jobs of a paused run that is cancelled", async () => {
+        const run = await startRun({ folder: "10-02-2026/" });
+        await waitForFilesRead(run.id);
+        await pauseRun(run.id);
+        await batchQueue.handler(batchQueue.jobs.shift()); // Parked
+
+        assert.equal((await cancelRun(run.id)).removedJobs, 2);
+        assert.deepEqual(batchQueue.jobs, []);
+    });
+
+    it("removes only the pending jobs of a cancelled run and drops its jobs already taken", async () => {
+        const run = await startRun({ folder: "10-02-2026/" });
+        const otherRun = await startRun({ folder: "10-01-2026/" });
+        await waitForFilesRead(run.id);
+        await waitForFilesRead(otherRun.id);
+        const takenJob = batchQueue.jobs.shift(); // Already taken by a worker
+
+        const cancelledRun = await cancelRun(run.id);
+        assert.equal(cancelledRun.status, "cancelled");
+        assert.equal(cancelledRun.removedJobs, 1);
+        assert.deepEqual(batchQueue.jobs.map(({ data }) => data.runId), [otherRun.id]);
+        assert.equal((await waitForRunToFinish(run.id)).status, "cancelled");
+
+        await batchQueue.handler(takenJob);
+        assert.deepEqual((await getCounts(run.id)).map(({ updated, skipped, failed }) => updated + skipped + failed), [0]);
+
+        await assert.rejects(cancelRun(run.id), new RegExp(`Cannot cancel run ${run.id} while it is cancelled`));
+        await cancelRun(otherRun.id);
+    });
+
+    it("logs a run that can't be marked failed instead of leaving the rejection unhandled", async (t) => {
+        const unhandled = mock.fn();
+        process.on("unhandledRejection", unhandled);
+        const setNX = mock.method(redisClient, "setNX", async () => {
+            throw new Error("READONLY You can't write against a read only replica.");
+        });
+        t.after(() => {
+            process.off("unhandledRejection", unhandled);
+            setNX.mock.restore();
+        });
+
+        // No input files: the run fails, and so does marking it failed
+        const run = await startRun({ folder: "10-09-2026/" });
+        await waitFor(() => setNX.mock.callCount() === 2);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        assert.equal(unhandled.mock.callCount(), 0);
+        assert.equal((await getRun(run.id)).status, "running");
+    });
+
+    it("rejects invalid parameters", async () => {
+        await assert.rejects(startRun({ mode: "replace" }), /Unknown mode "replace". Expected one of update, upsert, dry_run./);
+        await assert.rejects(startRun({ batchSize: 0 }), /batchSize must be an integer between 1 and 100/);
+        await assert.rejects(startRun({ source: "ftp" }), /Unknown source "ftp"/);
+        await assert.rejects(startRun({ folder: "10-01-2026/", fileKeys: ["10-02-2026/parts.csv"] }), /fileKeys must all be in folder 10-01-2026\//);
+    });
+});
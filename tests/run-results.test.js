@@ -0,0 +1,144 @@
+const { describe, it, before, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { S3Client } = require("@aws-sdk/client-s3");
+const { tempDir, resetFakes, waitForHtmlStripper, completeRun } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+process.env.WORKER_EXIT_ON_IDLE = "false";
+process.env.S3_ENDPOINT = "http://localhost:9000";
+
+const { publishRunResults } = require("../run-results");
+const { createRun } = require("../run-manager");
+const { saveRunHistory, saveRunFiles } = require("../run-history");
+const { recordRowOutcome } = require("../outcome-ledger");
+require("../worker");
+
+const sourceDir = path.join(tempDir, "drop");
+const writeSourceFile = (fileKey, content) => {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, fileKey)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, fileKey), content);
+};
+const readSourceFile = (key) => fs.readFileSync(path.join(sourceDir, key), "utf-8");
+const sourceFileExists = (key) => fs.existsSync(path.join(sourceDir, key));
+
+// Run a folder of the local source through the worker until the run has finished
+const runFolder = async (params) => completeRun((await createRun({ source: "local", bucket: sourceDir, batchSize: 10, ...params })).id);
+
+describe("run results", () => {
+    before(waitForHtmlStripper);
+
+    beforeEach(async () => {
+        await resetFakes();
+        fs.rmSync(sourceDir, { recursive: true, force: true });
+        createFakeWooStore([{ id: 1, sku: "P-1", meta_data: [{ id: 11, key: "spq", value: "50" }] }]);
+        writeSourceFile("10-02-2026/parts.csv", "part_number,spq\nP-1,100\nP-2,10\n");
+    });
+
+    afterEach(() => {
+        delete process.env.S3_SOURCE_DISPOSITION;
+    });
+
+    it("writes a summary and per-row results of every file under results/ and tags the source files", async () => {
+        const run = await runFolder({ folder: "10-02-2026/" });
+        assert.equal(run.status, "completed");
+
+        const summary = JSON.parse(readSourceFile(`results/${run.id}/10-02-2026/parts.summary.json`));
+        assert.deepEqual({ ...summary, startedAt: undefined, finishedAt: undefined }, {
+            runId: run.id,
+            fileKey: "10-02-2026/parts.csv",
+            fileName: "parts.csv",
+            folder: "10-02-2026/",
+            source: "local",
+            mode: "update",
+            runStatus: "completed",
+            fileStatus: "processed",
+            startedAt: undefined,
+            finishedAt: undefined,
+            totalRows: 2,
+            updated: 1,
+            created: 0,
+            skipped: 0,
+            failed: 1,
+            errorSummary: { not_found: 1 },
+            error: null,
+            resultsKey: `results/${run.id}/10-02-2026/parts.results.csv`,
+            sourceKey: "10-02-2026/parts.csv",
+        });
+
+        const resultLines = readSourceFile(summary.resultsKey).trim().split("\n");
+        assert.equal(resultLines[0], "row,part_number,status,product_id,changed_fields,reason,error_code,message");
+        assert.match(resultLines[1], /^1,P-1,updated,1,meta_data.spq,,,$/);
+        assert.match(resultLines[2], /^2,P-2,failed,,,not_found,,/);
+
+        assert.deepEqual(JSON.parse(readSourceFile("10-02-2026/.parts.csv.tags.json")), { "import-status": "processed", "import-run": run.id });
+    });
+
+    it("moves the source files under processed/ or failed/ with S3_SOURCE_DISPOSITION=move", async () => {
+        process.env.S3_SOURCE_DISPOSITION = "move";
+        writeSourceFile("10-02-2026/broken.json", '[{"part_number":'); // Can't be read
+
+        const run = await runFolder({ folder: "10-02-2026/" });
+
+        assert.equal(sourceFileExists("10-02-2026/parts.csv"), false);
+        assert.equal(readSourceFile("processed/10-02-2026/parts.csv"), "part_number,spq\nP-1,100\nP-2,10\n");
+        assert.equal(sourceFileExists("failed/10-02-2026/broken.json"), true);
+
+        const summary = JSON.parse(readSourceFile(`results/${run.id}/10-02-2026/broken.summary.json`));
+        assert.deepEqual({ fileStatus: summary.fileStatus, sourceKey: summary.sourceKey, resultsKey: summary.resultsKey }, {
+            fileStatus: "failed",
+            sourceKey: "failed/10-02-2026/broken.json",
+            resultsKey: null,
+        });
+        assert.ok(summary.error);
+    });
+
+    it("publishes the dry-run report of a dry run and leaves its source files alone", async () => {
+        process.env.S3_SOURCE_DISPOSITION = "move";
+
+        const run = await runFolder({ folder: "10-02-2026/", mode: "dry_run" });
+
+        const summary = JSON.parse(readSourceFile(`results/${run.id}/10-02-2026/parts.summary.json`));
+        assert.deepEqual({ fileStatus: summary.fileStatus, sourceKey: summary.sourceKey }, { fileStatus: "dry_run", sourceKey: "10-02-2026/parts.csv" });
+        assert.match(readSourceFile(summary.resultsKey), /^file,row,part_number,/);
+        assert.equal(sourceFileExists("10-02-2026/parts.csv"), true);
+        assert.equal(sourceFileExists("10-02-2026/.parts.csv.tags.json"), false);
+    });
+});
+
+describe("S3 run results", () => {
+    it("uploads the results and tags the source object through the configured S3 endpoint", async (t) => {
+        const requests = [];
+        const send = mock.method(S3Client.prototype, "send", async function (command) {
+            const { hostname, port } = await this.config.endpoint();
+            requests.push({ command: command.constructor.name, endpoint: `${hostname}:${port}`, forcePathStyle: this.config.forcePathStyle, ...command.input });
+            return {};
+        });
+        t.after(() => send.mock.restore());
+
+        saveRunHistory({
+            id: "s3-run",
+            status: "completed",
+            source: "s3",
+            bucket: "supplier-bucket",
+            folder: "10-05-2026/",
+            fileKeys: ["10-05-2026/parts.csv"],
+            mode: "update",
+            createdAt: new Date().toISOString(),
+        });
+        saveRunFiles("s3-run", [{ fileKey: "10-05-2026/parts.csv", totalRows: 1, updated: 1 }]);
+        await recordRowOutcome("10-05-2026/parts.csv", { runId: "s3-run", row: 1, partNumber: "P-1", status: "updated", productId: 1, changedFields: ["meta_data.spq"] });
+
+        const [summary] = await publishRunResults("s3-run");
+
+        assert.equal(summary.resultsKey, "results/s3-run/10-05-2026/parts.results.csv");
+        assert.deepEqual(requests.map(({ command, endpoint, forcePathStyle, Bucket, Key }) => ({ command, endpoint, forcePathStyle, Bucket, Key })), [
+            { command: "PutObjectCommand", endpoint: "localhost:9000", forcePathStyle: true, Bucket: "supplier-bucket", Key: "results/s3-run/10-05-2026/parts.results.csv" },
+            { command: "PutObjectTaggingCommand", endpoint: "localhost:9000", forcePathStyle: true, Bucket: "supplier-bucket", Key: "10-05-2026/parts.csv" },
+            { command: "PutObjectCommand", endpoint: "localhost:9000", forcePathStyle: true, Bucket: "supplier-bucket", Key: "results/s3-run/10-05-2026/parts.summary.json" },
+        ]);
+        assert.deepEqual(requests[1].Tagging.TagSet, [{ Key: "import-status", Value: "processed" }, { Key: "import-run", Value: "s3-run" }]);
+        assert.equal(requests[0].Body, "row,part_number,status,product_id,changed_fields,reason,error_code,message\n1,P-1,updated,1,meta_data.spq,,,\n");
+    });
+});
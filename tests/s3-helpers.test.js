@@ -0,0 +1,100 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { redisClient, batchQueue, resetFakes, waitForHtmlStripper } = require("./helpers/setup");
+const { readCSVAndEnqueueJobs } = require("../s3-helpers");
+
+const FILE_KEY = "10-01-2026/parts.csv";
+
+// A storage source serving one object, like an S3 GetObject response
+const createObjectStorage = (getObject) => ({
+    source: "s3",
+    location: "supplier-bucket",
+    getUri: (key) => `s3://supplier-bucket/${key}`,
+    readFile: async () => ({ ETag: '"etag-1"', ...getObject() }),
+});
+
+const getEnqueuedPartNumbers = () => batchQueue.jobs.map(({ data }) => data.batch.map((row) => row.part_number));
+
+describe("readCSVAndEnqueueJobs", () => {
+    before(waitForHtmlStripper);
+    beforeEach(resetFakes);
+
+    it("counts quoted multi-line cells as one row and finalizes the total when the stream ends", async () => {
+        const csv = 'Part Number,Description\nP-1,"Relay\nwith two lines"\nP-2,Fuse\nP-3,"Diode, ""fast""\n\nrecovery"\n';
+        const storage = createObjectStorage(() => ({ Body: Readable.from([Buffer.from(csv)]) }));
+
+        await readCSVAndEnqueueJobs(storage, FILE_KEY, 2, { runId: "run-1" });
+
+        assert.deepEqual(getEnqueuedPartNumbers(), [["P-1", "P-2"], ["P-3"]]);
+        assert.equal(batchQueue.jobs[1].data.batch[0].description, 'Diode, "fast"\n\nrecovery');
+        assert.deepEqual(batchQueue.jobs.map(({ data }) => [data.startRow, data.lastProcessedRow]), [[0, 2], [2, 3]]);
+        assert.equal(await redisClient.get(`total-rows:run-1:${FILE_KEY}`), "3");
+        assert.equal(await redisClient.get("overall-total-rows"), "3");
+        assert.deepEqual(await redisClient.sMembers("files-reading"), []);
+    });
+
+    it("gunzips .csv.gz objects and objects with a gzip Content-Encoding", async () => {
+        const gzipped = zlib.gzipSync("part_number\nP-1\nP-2\n");
+
+        await readCSVAndEnqueueJobs(createObjectStorage(() => ({ Body: Readable.from([gzipped]) })), "10-01-2026/parts.csv.gz", 10, { runId: "run-1" });
+        await readCSVAndEnqueueJobs(createObjectStorage(() => ({ Body: Readable.from([gzipped]), ContentEncoding: "gzip" })), FILE_KEY, 10, { runId: "run-2" });
+
+        assert.deepEqual(getEnqueuedPartNumbers(), [["P-1", "P-2"], ["P-1", "P-2"]]);
+        assert.equal(await redisClient.get("total-rows:run-1:10-01-2026/parts.csv.gz"), "2");
+    });
+
+    it("stops reading the body while an enqueue is pending", async () => {
+        const totalLines = 20000;
+        let linesRead = 0;
+        const body = Readable.from((function* () {
+            yield "part_number\n";
+            for (let line = 1; line <= totalLines; line++) {
+                linesRead++;
+                yield `P-${line}\n`;
+            }
+        })());
+
+        let releaseQueue;
+        const queueBlocked = new Promise((resolve) => {
+            releaseQueue = resolve;
+        });
+        const add = batchQueue.add;
+        batchQueue.add = async (data, options) => {
+            await queueBlocked;
+            return add(data, options);
+        };
+
+        try {
+            const reading = readCSVAndEnqueueJobs(createObjectStorage(() => ({ Body: body })), FILE_KEY, 100, { runId: "run-1" });
+            await new Promise((resolve) => setTimeout(resolve, 100));
+
+            // Only what the stream buffers was read while the first job waited for the queue
+            assert.ok(linesRead < totalLines / 4, `read ${linesRead} of ${totalLines} lines while the queue was blocked`);
+
+            releaseQueue();
+            await reading;
+        } finally {
+            batchQueue.add = add;
+        }
+
+        assert.equal(linesRead, totalLines);
+        assert.equal(batchQueue.jobs.length, totalLines / 100);
+        assert.equal(await redisClient.get(`total-rows:run-1:${FILE_KEY}`), String(totalLines));
+    });
+
+    it("enqueues nothing and clears the reading flag when the body fails", async () => {
+        const body = new Readable({
+            read() {
+                this.destroy(new Error("Connection closed by the object store"));
+            },
+        });
+
+        await assert.rejects(readCSVAndEnqueueJobs(createObjectStorage(() => ({ Body: body })), FILE_KEY, 10, { runId: "run-1" }), /Connection closed/);
+
+        assert.equal(batchQueue.jobs.length, 0);
+        assert.deepEqual(await redisClient.sMembers("files-reading"), []);
+        assert.equal(await redisClient.get(`total-rows:run-1:${FILE_KEY}`), null);
+    });
+});
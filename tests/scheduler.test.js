@@ -0,0 +1,105 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir, redisClient, batchQueue, resetFakes, waitForHtmlStripper, waitFor, completeRun } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+process.env.WORKER_EXIT_ON_IDLE = "false";
+
+const { pollForNewFiles, startScheduler } = require("../scheduler");
+const { getRun, createRun, recoverStaleRuns } = require("../run-manager");
+const { getStorage } = require("../storage-sources");
+require("../worker");
+
+const sourceDir = path.join(tempDir, "drop");
+const storage = getStorage("local", sourceDir);
+
+const writeSourceFile = (fileKey, content) => {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, fileKey)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, fileKey), content);
+};
+
+describe("scheduler", () => {
+    before(waitForHtmlStripper);
+
+    beforeEach(async () => {
+        await resetFakes();
+        fs.rmSync(sourceDir, { recursive: true, force: true });
+        createFakeWooStore([{ id: 1, sku: "P-1", meta_data: [] }]);
+
+        writeSourceFile("09-20-2026/parts.csv", "part_number\nP-1\n"); // More than 7 days before the latest folder
+        writeSourceFile("09-30-2026/parts.csv", "part_number\nP-1\n");
+        writeSourceFile("10-02-2026/parts.csv", "part_number\nP-1\n");
+        writeSourceFile("10-02-2026/acme.csv", "part_number\nP-2\n");
+    });
+
+    it("processes the recent dated folders oldest first, one run at a time", async () => {
+        const firstRun = await pollForNewFiles(storage);
+        assert.deepEqual({ folder: firstRun.folder, fileKeys: firstRun.fileKeys }, { folder: "09-30-2026/", fileKeys: ["09-30-2026/parts.csv"] });
+
+        // The next folder waits for the first run to finish
+        assert.equal(await pollForNewFiles(storage), null);
+        await completeRun(firstRun.id);
+
+        const secondRun = await pollForNewFiles(storage);
+        assert.deepEqual({ folder: secondRun.folder, fileKeys: secondRun.fileKeys.sort() }, { folder: "10-02-2026/", fileKeys: ["10-02-2026/acme.csv", "10-02-2026/parts.csv"] });
+        await completeRun(secondRun.id);
+
+        assert.equal(await pollForNewFiles(storage), null);
+        assert.deepEqual(Object.keys(await redisClient.hGetAll("scheduler:processed-files")).sort(), ["09-30-2026/parts.csv", "10-02-2026/acme.csv", "10-02-2026/parts.csv"]);
+    });
+
+    it("picks up a processed file again once it is re-uploaded", async () => {
+        for (const expectedFolder of ["09-30-2026/", "10-02-2026/"]) {
+            const run = await pollForNewFiles(storage);
+            assert.equal(run.folder, expectedFolder);
+            await completeRun(run.id);
+        }
+
+        writeSourceFile("10-02-2026/acme.csv", "part_number\nP-2\nP-3\n");
+
+        const run = await pollForNewFiles(storage, { mode: "dry_run" });
+        assert.deepEqual({ fileKeys: run.fileKeys, mode: run.mode }, { fileKeys: ["10-02-2026/acme.csv"], mode: "dry_run" });
+    });
+
+    it("retries the files of a failed run on the next poll", async () => {
+        fs.rmSync(path.join(sourceDir, "09-30-2026"), { recursive: true });
+        fs.rmSync(path.join(sourceDir, "10-02-2026"), { recursive: true });
+        writeSourceFile("10-02-2026/acme.json", '[{"part_number":'); // Can't be read
+
+        const failedRun = await pollForNewFiles(storage);
+        assert.equal((await completeRun(failedRun.id)).status, "failed");
+
+        writeSourceFile("10-02-2026/acme.json", '[{"part_number":"P-1"}]');
+        const retry = await pollForNewFiles(storage);
+        assert.deepEqual(retry.fileKeys, ["10-02-2026/acme.json"]);
+    });
+
+    it("fails a stale run, so the next run can take its folder", async () => {
+        const staleRun = await createRun({ source: "local", bucket: sourceDir, folder: "10-02-2026/" });
+        await waitFor(async () => batchQueue.jobs.length === 2);
+        await assert.rejects(createRun({ source: "local", bucket: sourceDir, folder: "10-02-2026/" }), /already in progress/);
+
+        // Left behind by a crashed process: no heartbeat for more than RUN_STALE_AFTER_MINUTES (60)
+        await redisClient.del(`run-heartbeat:${staleRun.id}`);
+        const run = JSON.parse(await redisClient.get(`run:${staleRun.id}`));
+        await redisClient.set(`run:${staleRun.id}`, JSON.stringify({ ...run, startedAt: new Date(Date.now() - 61 * 60 * 1000).toISOString() }));
+
+        assert.deepEqual(await recoverStaleRuns(), [staleRun.id]);
+        assert.equal((await getRun(staleRun.id)).status, "failed");
+        assert.equal(batchQueue.jobs.length, 0);
+
+        const nextRun = await createRun({ source: "local", bucket: sourceDir, folder: "10-02-2026/" });
+        assert.equal(nextRun.folder, "10-02-2026/");
+    });
+
+    it("refuses an invalid cron expression", () => {
+        process.env.SCHEDULER_CRON = "every day";
+        try {
+            assert.throws(() => startScheduler(storage), /Invalid SCHEDULER_CRON expression: "every day"/);
+        } finally {
+            delete process.env.SCHEDULER_CRON;
+        }
+    });
+});
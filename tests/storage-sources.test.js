@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { S3Client } = require("@aws-sdk/client-s3");
+const { tempDir } = require("./helpers/setup");
+
+const { STORAGE_SOURCES, getStorage } = require("../storage-sources");
+const { getLatestFolderKey, listInputFiles } = require("../s3-helpers");
+
+const sourceDir = path.join(tempDir, "csvFiles");
+const storage = getStorage("local", sourceDir);
+
+const writeSourceFile = (fileKey, content) => {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, fileKey)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, fileKey), content);
+};
+
+const readBody = async (body) => {
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    return Buffer.concat(chunks).toString("utf-8");
+};
+
+describe("local storage source", () => {
+    beforeEach(() => {
+        fs.rmSync(sourceDir, { recursive: true, force: true });
+        writeSourceFile("10-01-2026/parts.csv", "part_number\nP-1\n");
+        writeSourceFile("10-02-2026/parts.csv", "part_number\nP-2\n");
+        writeSourceFile("10-02-2026/acme/prices.csv", "part_number\nP-3\n");
+        writeSourceFile("10-02-2026/.parts.csv.tags.json", "{}");
+        writeSourceFile("notes.txt", "not a folder");
+        fs.mkdirSync(path.join(sourceDir, ".trash"));
+    });
+
+    it("finds the latest dated folder of a directory, like a bucket", async () => {
+        assert.deepEqual((await storage.listFolders()).sort(), ["10-01-2026/", "10-02-2026/"]);
+        assert.equal(await getLatestFolderKey(storage), "10-02-2026/");
+    });
+
+    it("lists the files under a prefix with S3-style keys, leaving hidden files out", async () => {
+        assert.deepEqual((await storage.listFiles("10-02-2026/")).map(({ Key }) => Key).sort(), ["10-02-2026/acme/prices.csv", "10-02-2026/parts.csv"]);
+        assert.deepEqual((await storage.listFiles("10-02-2026/acme")).map(({ Key }) => Key), ["10-02-2026/acme/prices.csv"]);
+        assert.deepEqual(await storage.listFiles("10-09-2026/"), []);
+        assert.deepEqual((await listInputFiles(storage, "10-01-2026/")).map(({ Key }) => Key), ["10-01-2026/parts.csv"]);
+    });
+
+    it("reads and writes files, with an ETag that changes when a file is rewritten", async () => {
+        const file = await storage.readFile("10-01-2026/parts.csv");
+        assert.equal(await readBody(file.Body), "part_number\nP-1\n");
+        assert.equal(file.ETag, (await storage.listFiles("10-01-2026/"))[0].ETag);
+
+        await storage.writeFile("results/run-1/10-01-2026/parts.summary.json", "{}");
+        assert.equal(fs.readFileSync(path.join(sourceDir, "results/run-1/10-01-2026/parts.summary.json"), "utf-8"), "{}");
+
+        writeSourceFile("10-01-2026/parts.csv", "part_number\nP-1\nP-2\n");
+        assert.notEqual((await storage.readFile("10-01-2026/parts.csv")).ETag, file.ETag);
+    });
+
+    it("refuses keys outside of its directory", async () => {
+        await assert.rejects(storage.readFile("../outside.csv"), /Key "..\/outside.csv" is outside of/);
+        await assert.rejects(storage.writeFile("10-01-2026/../../outside.csv", "x"), /is outside of/);
+        await assert.rejects(storage.moveFile("10-01-2026/parts.csv", "/tmp/parts.csv"), /is outside of/);
+        assert.equal(fs.existsSync(path.join(sourceDir, "10-01-2026/parts.csv")), true);
+    });
+
+    it("refuses an unknown source", () => {
+        assert.deepEqual(STORAGE_SOURCES, ["s3", "local"]);
+        assert.throws(() => getStorage("ftp", "/srv/drop"), /Unknown storage source "ftp" \(expected one of: s3, local\)/);
+    });
+});
+
+describe("S3 storage source", () => {
+    it("lists, reads and moves objects of a bucket through the same operations", async (t) => {
+        const requests = [];
+        const send = mock.method(S3Client.prototype, "send", async (command) => {
+            requests.push({ command: command.constructor.name, ...command.input });
+            if (command.constructor.name === "ListObjectsV2Command" && command.input.Delimiter) {
+                return { CommonPrefixes: [{ Prefix: "10-01-2026/" }, { Prefix: "10-02-2026/" }, { Prefix: "archive/" }] };
+            }
+            if (command.constructor.name === "ListObjectsV2Command") {
+                return { Contents: [{ Key: "10-02-2026/parts.csv", ETag: '"abc"' }] };
+            }
+            return {};
+        });
+        t.after(() => send.mock.restore());
+        const bucket = getStorage("s3", "supplier-bucket");
+
+        assert.equal(await getLatestFolderKey(bucket), "10-02-2026/");
+        assert.deepEqual((await bucket.listFiles("10-02-2026/")).map(({ Key }) => Key), ["10-02-2026/parts.csv"]);
+        await bucket.readFile("10-02-2026/parts.csv");
+        await bucket.moveFile("10-02-2026/parts list.csv", "processed/10-02-2026/parts list.csv");
+
+        assert.deepEqual(requests.map(({ command, Bucket, Key, Prefix, CopySource }) => ({ command, Bucket, Key, Prefix, CopySource })), [
+            { command: "ListObjectsV2Command", Bucket: "supplier-bucket", Key: undefined, Prefix: undefined, CopySource: undefined },
+            { command: "ListObjectsV2Command", Bucket: "supplier-bucket", Key: undefined, Prefix: "10-02-2026/", CopySource: undefined },
+            { command: "GetObjectCommand", Bucket: "supplier-bucket", Key: "10-02-2026/parts.csv", Prefix: undefined, CopySource: undefined },
+            { command: "CopyObjectCommand", Bucket: "supplier-bucket", Key: "processed/10-02-2026/parts list.csv", Prefix: undefined, CopySource: "supplier-bucket/10-02-2026/parts%20list.csv" },
+            { command: "DeleteObjectCommand", Bucket: "supplier-bucket", Key: "10-02-2026/parts list.csv", Prefix: undefined, CopySource: undefined },
+        ]);
+        assert.equal(bucket.getUri("10-02-2026/parts.csv"), "s3://supplier-bucket/10-02-2026/parts.csv");
+    });
+});
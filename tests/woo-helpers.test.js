@@ -0,0 +1,119 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetFakes, fakeWooApi } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+const { resolveProductByPartNumber, productHasPartNumber } = require("../woo-helpers");
+
+const FILE_KEY = "10-01-2026/parts.csv";
+const resolve = (partNumber) => resolveProductByPartNumber(partNumber, 0, 1, FILE_KEY);
+
+const withPartNumber = (id, partNumber, sku = "") => ({ id, sku, meta_data: [{ key: "part_number", value: partNumber }] });
+
+describe("resolveProductByPartNumber", () => {
+    beforeEach(resetFakes);
+
+    it("matches the SKU exactly, ignoring case and surrounding spaces", async () => {
+        const store = createFakeWooStore([{ id: 1, sku: "ABC-1" }, withPartNumber(2, "ABC-1")]);
+
+        const resolution = await resolve(" abc-1 ");
+        assert.equal(resolution.status, "matched");
+        assert.equal(resolution.productId, 1);
+        assert.equal(store.requests.length, 1); // No meta lookup once the SKU matched
+    });
+
+    it("falls back to the part_number meta through the meta_key / meta_value filter", async () => {
+        const store = createFakeWooStore([{ id: 1, sku: "OTHER" }, withPartNumber(2, "ABC-1")]);
+
+        const resolution = await resolve("ABC-1");
+        assert.equal(resolution.status, "matched");
+        assert.equal(resolution.productId, 2);
+        assert.deepEqual(store.requests[1].params, { meta_key: "part_number", meta_value: "ABC-1", per_page: 100, page: 1 });
+    });
+
+    it("reports zero and several matches instead of guessing", async () => {
+        createFakeWooStore([withPartNumber(1, "DUP"), withPartNumber(2, "DUP")]);
+
+        const ambiguous = await resolve("DUP");
+        assert.equal(ambiguous.status, "ambiguous");
+        assert.deepEqual(ambiguous.candidates.map(({ id }) => id), [1, 2]);
+
+        const notFound = await resolve("NONE");
+        assert.deepEqual({ status: notFound.status, productId: notFound.productId }, { status: "not_found", productId: null });
+    });
+
+    it("reads every page of a lookup", async () => {
+        const pages = [[withPartNumber(1, "ABC-1")], [withPartNumber(2, "ABC-1")]];
+        const requests = fakeWooApi({
+            get: async (endpoint, params) => (params.sku
+                ? []
+                : { data: pages[params.page - 1], headers: { "x-wp-totalpages": String(pages.length) } }),
+        });
+
+        const resolution = await resolve("ABC-1");
+        assert.equal(resolution.status, "ambiguous");
+        assert.deepEqual(requests.map(({ params }) => params.page), [1, 1, 2]);
+    });
+
+    it("reports a failed request as an error for the row", async () => {
+        fakeWooApi({ get: async () => { throw new Error("Request failed with status code 500"); } });
+
+        const resolution = await resolve("ABC-1");
+        assert.equal(resolution.status, "error");
+        assert.equal(resolution.error.message, "Request failed with status code 500");
+    });
+});
+
+// Last: once the store has ignored the meta filter, the module skips it for the rest of the process
+describe("resolveProductByPartNumber on a store without the meta filter", () => {
+    beforeEach(resetFakes);
+
+    const products = [
+        { id: 1, sku: "KIT-1", name: "Relay kit for ABC-1", meta_data: [] },
+        { ...withPartNumber(2, "ABC-1"), name: "Relay ABC-1" },
+        { ...withPartNumber(3, "ABC-10"), name: "Relay ABC-10" },
+        { ...withPartNumber(4, "DUP"), name: "Fuse DUP" },
+        { ...withPartNumber(5, "DUP"), name: "Fuse DUP, bulk" },
+    ];
+
+    it("falls back to a search and keeps only the products carrying the part number", async () => {
+        const store = createFakeWooStore(products, { ignoreMetaFilter: true });
+
+        const resolution = await resolve("ABC-1");
+        assert.deepEqual({ status: resolution.status, productId: resolution.productId }, { status: "matched", productId: 2 });
+        assert.deepEqual(store.requests.map(({ params }) => Object.keys(params)[0]), ["sku", "meta_key", "search"]);
+
+        // The meta filter isn't tried again
+        store.requests.length = 0;
+        assert.equal((await resolve("ABC-10")).productId, 3);
+        assert.deepEqual(store.requests.map(({ params }) => params), [{ sku: "ABC-10", per_page: 100, page: 1 }, { search: "ABC-10", per_page: 100, page: 1 }]);
+    });
+
+    it("reports zero and several search matches as not found and ambiguous", async () => {
+        createFakeWooStore(products, { ignoreMetaFilter: true });
+
+        const ambiguous = await resolve("DUP");
+        assert.deepEqual({ status: ambiguous.status, candidates: ambiguous.candidates.map(({ id }) => id) }, { status: "ambiguous", candidates: [4, 5] });
+        assert.equal((await resolve("Relay")).status, "not_found");
+    });
+
+    it("reads every page of the search", async () => {
+        const pages = [[{ id: 7, sku: "", name: "Relay ABC-1, red" }], [withPartNumber(8, "ABC-1")]];
+        const requests = fakeWooApi({
+            get: async (endpoint, params) => (params.search
+                ? { data: pages[params.page - 1], headers: { "x-wp-totalpages": String(pages.length) } }
+                : []),
+        });
+
+        const resolution = await resolve("ABC-1");
+        assert.deepEqual({ status: resolution.status, productId: resolution.productId }, { status: "matched", productId: 8 });
+        assert.deepEqual(requests.map(({ params }) => params.page), [1, 1, 2]);
+    });
+});
+
+describe("productHasPartNumber", () => {
+    it("checks the SKU and the part_number meta", () => {
+        assert.equal(productHasPartNumber({ sku: "abc-1" }, "ABC-1"), true);
+        assert.equal(productHasPartNumber(withPartNumber(1, "ABC-1 "), "abc-1"), true);
+        assert.equal(productHasPartNumber({ sku: "ABC-10" }, "ABC-1"), false);
+    });
+});
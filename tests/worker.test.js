@@ -0,0 +1,85 @@
+const { describe, it, before, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { tempDir, batchQueue, waitForHtmlStripper, waitFor, waitForFilesRead, completeRun } = require("./helpers/setup");
+const { createFakeWooStore } = require("./helpers/fake-woo-store");
+
+// The worker exits once the last run has finished; record the exit instead
+const exit = mock.method(process, "exit", () => {});
+const close = mock.method(batchQueue, "close");
+
+const { getTrackingKey } = require("../queue");
+const { countRows, getRowOutcomes } = require("../outcome-ledger");
+const { getRun, createRun, waitForRunToFinish } = require("../run-manager");
+require("../worker");
+
+const sourceDir = path.join(tempDir, "drop");
+const writeSourceFile = (fileKey, partNumbers) => {
+    fs.mkdirSync(path.dirname(path.join(sourceDir, fileKey)), { recursive: true });
+    fs.writeFileSync(path.join(sourceDir, fileKey), `part_number,spq\n${partNumbers.map((partNumber) => `${partNumber},100`).join("\n")}\n`);
+};
+
+const startRun = async (folder) => {
+    const run = await createRun({ source: "local", bucket: sourceDir, folder, batchSize: 3 });
+    await waitForFilesRead(run.id);
+    return run;
+};
+
+const getCounts = async (runId) => (await getRun(runId)).files.map(({ totalRows, updated, failed }) => ({ totalRows, updated, failed }));
+
+// Let the published run events reach the worker's subscriber
+const flushEvents = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+// One process for the whole file: the worker shuts down (once) when the last run finishes, so the tests run in order
+describe("worker", () => {
+    let otherRun;
+
+    before(async () => {
+        await waitForHtmlStripper();
+        createFakeWooStore([{ id: 1, sku: "P-1", meta_data: [{ id: 11, key: "spq", value: "50" }] }]);
+        writeSourceFile("10-01-2026/parts.csv", ["P-1"]);
+        writeSourceFile("10-02-2026/parts.csv", ["P-1", "P-2", "P-3"]);
+        otherRun = await startRun("10-01-2026/");
+    });
+
+    it("counts the rows a job left uncounted as failed once it runs out of attempts, so its run completes", async () => {
+        const run = await startRun("10-02-2026/");
+        const job = batchQueue.jobs.find(({ data }) => data.runId === run.id);
+        batchQueue.jobs.splice(batchQueue.jobs.indexOf(job), 1);
+        const error = new Error("Request failed with status code 500");
+
+        // An earlier attempt already counted row 1
+        await countRows(getTrackingKey("10-02-2026/parts.csv", run.id), "updated-products", [1]);
+
+        // Bull retries it: nothing is counted yet
+        batchQueue.listeners.failed({ ...job, attemptsMade: 2, opts: { attempts: 3 } }, error);
+        await flushEvents();
+        assert.deepEqual(await getCounts(run.id), [{ totalRows: 3, updated: 1, failed: 0 }]);
+
+        batchQueue.listeners.failed({ ...job, attemptsMade: 3, opts: { attempts: 3 } }, error);
+
+        assert.equal((await waitForRunToFinish(run.id)).status, "completed");
+        assert.deepEqual(await getCounts(run.id), [{ totalRows: 3, updated: 1, failed: 2 }]);
+        assert.deepEqual((await getRowOutcomes("10-02-2026/parts.csv", { runId: run.id })).map(({ row, partNumber, reason, message }) => ({ row, partNumber, reason, message })), [
+            { row: 2, partNumber: "P-2", reason: "api_error", message: error.message },
+            { row: 3, partNumber: "P-3", reason: "api_error", message: error.message },
+        ]);
+    });
+
+    it("keeps running while another run is in progress", async () => {
+        await flushEvents();
+
+        assert.equal((await getRun(otherRun.id)).status, "running");
+        assert.equal(exit.mock.callCount(), 0);
+        assert.equal(close.mock.callCount(), 0);
+    });
+
+    it("closes the queue and exits once the last run has finished", async () => {
+        assert.equal((await completeRun(otherRun.id)).status, "completed");
+
+        await waitFor(() => exit.mock.callCount() > 0);
+        assert.deepEqual(exit.mock.calls.map(({ arguments: args }) => args), [[0]]);
+        assert.equal(close.mock.callCount(), 1);
+    });
+});
@@ -4,6 +4,8 @@ dotenv.config();
 const WooCommerceRestApi = require("woocommerce-rest-ts-api").default;
 const Bottleneck = require("bottleneck");
 const { logger, logErrorToFile } = require("./logger");
+const { getRetryAfterMs } = require("./rate-controller");
+const { redisConnection } = require("./queue");
 
 // WooCommerce API credentials
 const wooApi = new WooCommerceRestApi({
@@ -14,10 +16,24 @@ const wooApi = new WooCommerceRestApi({
     timeout: 300000, // Set a longer timeout (in milliseconds)
 });
   
-// Create a Bottleneck instance with appropriate settings
+// Create a Bottleneck instance with appropriate settings.
+// These are starting values; the rate controller (rate-controller.js) adjusts them at runtime.
+// The limiter is clustered through Redis, so every worker process draws from the same limits
+// (LIMITER_CLUSTERED=false keeps it in-process).
+const limiterClustered = process.env.LIMITER_CLUSTERED !== "false";
 const limiter = new Bottleneck({
     maxConcurrent: 2, // Number of concurrent requests allowed - Limit to 2 concurrent 100-item requests at once
     minTime: 1000, // Minimum time between requests (in milliseconds) - 500ms between each request
+    ...(limiterClustered && {
+        id: "woo-api",
+        datastore: "ioredis",
+        clearDatastore: false, // Keep the limits and running jobs of the other workers
+        clientOptions: { ...redisConnection },
+    }),
+});
+
+limiter.on("error", (error) => {
+    logErrorToFile(`Rate limiter error: ${error.message}`, error.stack);
 });
 
 // Define a set to keep track of products that were retried
@@ -37,7 +53,7 @@ limiter.on("failed", async (error, jobInfo) => {
     if (part) retriedProducts.add(part);
 
     if (retryCount < 5 && /(ECONNRESET|socket hang up|502|504|429)/.test(error.message)) {
-        const retryDelay = 1000 * Math.pow(2, jobInfo.retryCount); // Exponential backoff
+        const retryDelay = Math.max(1000 * Math.pow(2, jobInfo.retryCount), getRetryAfterMs(error) || 0); // Exponential backoff, or the server's Retry-After
         logger.warn(`Applying delay of ${retryDelay / 1000}s before retrying job ${jobId}`);
         logErrorToFile(`Retrying job due to ${error.message}. Retry count: ${retryCount + 1}`);
         return retryDelay;
@@ -77,44 +93,110 @@ const getProductById = async (productId, fileKey) => {
     }
 };
   
-// Find product ID by custom field "part_number"
-const getProductIdByPartNumber = async (partNumber, currentIndex, totalProducts, fileKey) => {
-    try {
-        // Schedule with a unique job ID and log details
-        const jobId = `getProductIdByPartNumber-${partNumber}-${fileKey}-${currentIndex}`;
+// Part numbers are compared trimmed and case-insensitively
+const normalizePartNumber = (value) => String(value ?? "").trim().toUpperCase();
+
+const getMetaPartNumber = (product) => product.meta_data?.find((meta) => meta.key === "part_number")?.value;
+
+// A product really carries the part number when its SKU or its "part_number" meta equals it exactly
+const productHasPartNumber = (product, partNumber) => {
+    const target = normalizePartNumber(partNumber);
+    return normalizePartNumber(product.sku) === target || normalizePartNumber(getMetaPartNumber(product)) === target;
+};
+
+const LOOKUP_PAGE_SIZE = 100;
+
+// Every product matching the listing params, page after page. An exact lookup (SKU or meta filter) stops at the first
+// product without the part number: the store didn't filter the listing, so it would page through the whole catalog.
+const findProducts = async (params, partNumber, fileKey, currentIndex, lookup, { exact = true } = {}) => {
+    const products = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
         const response = await limiter.schedule(
-            { 
-                id: jobId,
-                context: { 
-                    file: "woo-helpers.js", 
-                    function: "getProductIdByPartNumber", 
+            {
+                id: `resolveProductByPartNumber-${lookup}-${partNumber}-${fileKey}-${currentIndex}-${page}`,
+                context: {
+                    file: "woo-helpers.js",
+                    functionName: "resolveProductByPartNumber",
                     part: `${partNumber}`
                 }
-            }, 
-            () =>
-            wooApi.get("products", {
-                search: partNumber,
-                per_page: 1,
-            })
+            },
+            () => wooApi.get("products", { ...params, per_page: LOOKUP_PAGE_SIZE, page })
         );
 
-        if (response.data.length) {
-            logger.info(`${currentIndex} / ${totalProducts} - Product ID ${response.data[0].id} found for Part Number ${partNumber} in file "${fileKey}"`);
-            return response.data[0].id;
-        } else {
-            logErrorToFile(`${currentIndex} / ${totalProducts} - No product found for Part Number ${partNumber} in file "${fileKey}"`)
-            return null;
+        const pageProducts = response.data || [];
+        products.push(...pageProducts);
+
+        if (exact && pageProducts.some((product) => !productHasPartNumber(product, partNumber))) return { products, filtered: false };
+
+        totalPages = parseInt(response.headers?.["x-wp-totalpages"], 10) || (pageProducts.length === LOOKUP_PAGE_SIZE ? page + 1 : page);
+        page++;
+    } while (page <= totalPages);
+
+    return { products, filtered: true };
+};
+
+// Set once the products endpoint has ignored the meta filter, so later rows go straight to the search lookup
+let metaFilterIgnored = false;
+
+// Resolve a part number to exactly one product: by SKU first, then by the "part_number" meta key.
+// The WooCommerce REST API has no meta filter of its own; a store can expose one for "meta_key" / "meta_value" with:
+//   add_filter("woocommerce_rest_product_object_query", function ($args, $request) {
+//       if ($request["meta_key"] && isset($request["meta_value"])) {
+//           $args["meta_query"][] = ["key" => $request["meta_key"], "value" => $request["meta_value"]];
+//       }
+//       return $args;
+//   }, 10, 2);
+// Without it the lookup falls back to the products matching a "search" for the part number, every page of them; the catalog
+// index (CATALOG_CACHE_ENABLED, see catalog-cache.js) finds meta-only part numbers the search misses. Only products whose
+// SKU or "part_number" meta equals the part number are kept either way.
+// Returns { status: "matched" | "not_found" | "ambiguous" | "error", productId, product, candidates }
+const resolveProductByPartNumber = async (partNumber, currentIndex, totalProducts, fileKey) => {
+    try {
+        const skuLookup = await findProducts({ sku: partNumber }, partNumber, fileKey, currentIndex, "sku");
+        let matches = skuLookup.products.filter((product) => normalizePartNumber(product.sku) === normalizePartNumber(partNumber));
+
+        if (matches.length === 0 && !metaFilterIgnored) {
+            const metaLookup = await findProducts({ meta_key: "part_number", meta_value: partNumber }, partNumber, fileKey, currentIndex, "meta");
+            if (metaLookup.filtered) {
+                matches = metaLookup.products;
+            } else {
+                metaFilterIgnored = true;
+                logger.warn(`The products endpoint ignored the "meta_key" / "meta_value" filter; looking part numbers up by search instead`);
+            }
         }
+
+        if (matches.length === 0 && metaFilterIgnored) {
+            const searchLookup = await findProducts({ search: partNumber }, partNumber, fileKey, currentIndex, "search", { exact: false });
+            matches = searchLookup.products.filter((product) => productHasPartNumber(product, partNumber));
+        }
+
+        if (matches.length === 1) {
+            logger.info(`${currentIndex} / ${totalProducts} - Product ID ${matches[0].id} found for Part Number ${partNumber} in file "${fileKey}"`);
+            return { status: "matched", productId: matches[0].id, product: matches[0], candidates: matches };
+        }
+
+        if (matches.length > 1) {
+            logErrorToFile(`${currentIndex} / ${totalProducts} - ${matches.length} products (IDs ${matches.map((p) => p.id).join(", ")}) carry Part Number ${partNumber} in file "${fileKey}". Skipping ambiguous row.`);
+            return { status: "ambiguous", productId: null, product: null, candidates: matches };
+        }
+
+        logErrorToFile(`${currentIndex} / ${totalProducts} - No product found for Part Number ${partNumber} in file "${fileKey}"`);
+        return { status: "not_found", productId: null, product: null, candidates: [] };
     } catch (error) {
         logErrorToFile(`Error fetching product with Part Number ${partNumber} in file "${fileKey}": ${error.message}`, error.stack);
-        return null;
+        return { status: "error", productId: null, product: null, candidates: [], error };
     }
 };
 
 
   module.exports = {
     wooApi,
-    getProductIdByPartNumber,
+    resolveProductByPartNumber,
+    productHasPartNumber,
+    normalizePartNumber,
     getProductById,
     limiter,
     retriedProducts
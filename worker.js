@@ -1,44 +1,51 @@
 require("dotenv").config();
 const { performance } = require("perf_hooks");
-const { logger, logErrorToFile, logUpdatesToFile, logInfoToFile, logFileProgress } = require("./logger");
-const { batchQueue, redisClient } = require('./queue'); // Importing batchQueue directly
-const { processBatch } = require('./batch-helpers'); 
-const { saveCheckpoint, getCheckpoint } = require('./checkpoint'); 
-
-// Check if all files have been processed
-const checkAllFilesProcessed = async () => {
-    const fileKeys = await redisClient.keys('total-rows:*'); // Get all file keys for processing
-
-    for (const key of fileKeys) {
-        const fileKey = key.split(":")[1];
-        const totalRows = parseInt(await redisClient.get(`total-rows:${fileKey}`), 10);
-        const successfulUpdates = parseInt(await redisClient.get(`updated-products:${fileKey}`) || 0, 10);
-        const failedUpdates = parseInt(await redisClient.get(`failed-products:${fileKey}`) || 0, 10);
-        const skippedUpdates = parseInt(await redisClient.get(`skipped-products:${fileKey}`) || 0, 10);
-
-        // Check if the sum of successful, failed, and skipped updates matches total rows
-        if (successfulUpdates + failedUpdates + skippedUpdates < totalRows) {
-            return false; // Still processing rows in this file
-        }
+const { logger, runWithLogContext, logErrorToFile, logUpdatesToFile, logInfoToFile, logFileProgress } = require("./logger");
+const { batchQueue, redisClient, getTrackingKey } = require('./queue'); // Importing batchQueue directly
+const { processBatch, failUncountedRows } = require('./batch-helpers');
+const { uploadDryRunReport } = require('./s3-helpers');
+const { getStorage } = require('./storage-sources');
+const { markRowsCompleted } = require('./checkpoint');
+const { isFileProcessed, isRunCancelled, isRunPaused, parkJob, checkRunCompletion, listActiveRuns, touchRun, RUN_EVENTS_CHANNEL } = require('./run-manager');
+const { limiter } = require('./woo-helpers');
+const { startRateController } = require('./rate-controller');
+const { notify, checkFailedRowsThreshold } = require('./notifications');
+
+// Follow the shared adaptive rate limits for every WooCommerce call of this worker
+startRateController(limiter).catch(error => logErrorToFile(`Rate controller failed to start: ${error.message}`, error));
+
+// Several worker processes can share the queue; WORKER_CONCURRENCY sets the jobs processed at once by each of them
+const workerConcurrency = parseInt(process.env.WORKER_CONCURRENCY, 10) || 2;
+
+// Correlation fields of a job's log entries
+const getJobLogFields = (job) => ({ runId: job.data.runId || null, jobId: job.id, fileKey: job.data.fileKey });
+
+// Upload the dry-run report once the last row of the file has been diffed
+const uploadDryRunReportIfDone = async ({ fileKey, source = 's3', bucketName, dryRun, uploadReport, reportId }, trackingKey) => {
+    if (dryRun && uploadReport && bucketName && (await isFileProcessed(trackingKey))) {
+        const firstToFinish = await redisClient.setNX(`dry-run-report-uploaded:${fileKey}:${reportId}`, "1");
+        if (firstToFinish) await uploadDryRunReport(getStorage(source, bucketName), fileKey, reportId);
     }
-    return true; // All files fully processed
 };
 
-const shutdownCheckInterval = setInterval(async () => {
-    const allProcessed = await checkAllFilesProcessed();
-    if (allProcessed) {
-        clearInterval(shutdownCheckInterval); // Stop checking
-        console.log("All products across all files processed. Shutting down gracefully...");
-        process.exit(0); // Shut down the process
-    }
-}, 5000); 
-
-// Define the worker (queue) to process each job (batch)
-batchQueue.process( 2, async (job) => { // This will allow up to 2 concurrent job processes
+// Process each job (batch)
+const processJob = async (job) => {
     const queueStartTime = performance.now();
     logger.info(`Starting job ID ${job.id} for file ${job.data.fileKey}`);
 
-    const { batch, fileKey, totalProductsInFile, batchSize } = job.data;
+    const { batch, fileKey, batchSize, fileVersion, startRow = 0, rowNumbers, dryRun, upsert, reportId, runId } = job.data;
+    const trackingKey = getTrackingKey(fileKey, runId); // Counter keys of this file (per run)
+
+    // Row range (1-based, inclusive) this job covers
+    const firstRow = startRow + 1;
+    const lastRow = startRow + (batch ? batch.length : 0);
+    const rowRange = rowNumbers ? `rows ${rowNumbers.join(", ")} (rerun)` : `rows ${firstRow}-${lastRow}`;
+
+    // Jobs enqueued while the file is still streaming carry no total; fall back to the total written at the end of the
+    // stream, or to this job's last row while the file is still being read
+    const totalProductsInFile = job.data.totalProductsInFile
+        || parseInt(await redisClient.get(`total-rows:${trackingKey}`), 10)
+        || (rowNumbers ? Math.max(...rowNumbers) : lastRow);
 
     if (!batch || !fileKey || !totalProductsInFile || !batchSize) {
         logErrorToFile(`Job data or batch is missing for job ID: ${job.id}.`);
@@ -47,52 +54,68 @@ batchQueue.process( 2, async (job) => { // This will allow up to 2 concurrent jo
         return;
     }
 
-     // Fetch the checkpoint or start from 0 if this is the first run
-     let lastProcessedRow = (await getCheckpoint(fileKey)) || 0; // Fallback to 0 if undefined
-     logInfoToFile(`Last processed row for file ${fileKey} is ${lastProcessedRow}. Starting job.`);
+    logInfoToFile(`Processing job ID: ${job.id} for file: ${job.data.fileKey} | ${rowRange}`);
+    logInfoToFile(`Total products in file: ${totalProductsInFile}`);
 
-    logInfoToFile(`Processing job ID: ${job.id} for file: ${job.data.fileKey}`);
-    logInfoToFile(`Total products in file: ${job.data.totalProductsInFile}`);
-    logInfoToFile(`Last processed row: ${lastProcessedRow}`);
+    // Jobs of a cancelled run that were already taken by a worker are dropped without being counted
+    if (runId && (await isRunCancelled(runId))) {
+        logInfoToFile(`Skipping job ID: ${job.id}: run ${runId} was cancelled.`);
+        return;
+    }
+    // Jobs of a paused run are set aside until it resumes, so the other runs on the queue keep going
+    if (runId && (await isRunPaused(runId))) {
+        await parkJob(job);
+        logInfoToFile(`Parked job ID: ${job.id} until run ${runId} resumes.`);
+        return;
+    }
+    if (runId) await touchRun(runId); // The run is still making progress
 
     try {
         logger.info(`Processing batch for job ID: ${job.id} | File: ${fileKey}`);
 
         // *** Process the batch ***
-        await processBatch(batch, lastProcessedRow, totalProductsInFile, fileKey);
+        const { failedRows } = await processBatch(batch, startRow, totalProductsInFile, fileKey, { dryRun, upsert, rowNumbers, reportId, runId });
 
         const queueEndTime = performance.now();
         const queueDuration = ((queueEndTime - queueStartTime) / 1000).toFixed(2);
         logInfoToFile(`Job ID ${job.id} completed in ${queueDuration} seconds`);
 
-        // Update the last processed row after batch processing
-        let updatedLastProcessedRow = lastProcessedRow + batch.length;
-
-        // Save checkpoint in Redis and local JSON file
-        await redisClient.set(`lastProcessedRow:${fileKey}`, updatedLastProcessedRow);
-        await saveCheckpoint(fileKey, updatedLastProcessedRow, totalProductsInFile, batch);  // Save to local JSON checkpoint file
+        // Mark this job's rows as completed, except the failed ones: a resumed file processes those again
+        if (fileVersion) {
+            const jobRows = rowNumbers || batch.map((item, index) => firstRow + index);
+            await markRowsCompleted(fileKey, fileVersion, jobRows.filter((row) => !failedRows.includes(row)));
+        }
 
         // Log progress after processing the batch
-        await logFileProgress(fileKey);
+        await logFileProgress(trackingKey);
+        await checkFailedRowsThreshold(trackingKey, { runId, fileKey });
+
+        await uploadDryRunReportIfDone(job.data, trackingKey);
+
+        // Publish the run's completion once its last job is done
+        if (runId) await checkRunCompletion(runId);
 
-        logInfoToFile(`Successfully processed batch for job ID: ${job.id} | File: ${fileKey} | Last processed row: ${updatedLastProcessedRow} / ${totalProductsInFile}`);
+        logInfoToFile(`Successfully processed batch for job ID: ${job.id} | File: ${fileKey} | ${rowRange} / ${totalProductsInFile}`);
     } catch (error) {
 
         // Check for timeout error and log details
         if (error.message.includes('Promise timed out') || error.message.includes('timeout')) {
-            logErrorToFile(`Timeout error for job ID ${job.id} | File: ${fileKey} | Last processed row: ${updatedLastProcessedRow} / ${totalProductsInFile} | Error: ${error.message}`);
+            logErrorToFile(`Timeout error for job ID ${job.id} | File: ${fileKey} | ${rowRange} / ${totalProductsInFile} | Error: ${error.message}`);
             // Optionally, you can throw the error to allow Bull to retry the job
             throw error;
         } else {
-            logErrorToFile(`Job failed with ID ${job.id} in "batchQueue" process | File: ${fileKey} | Last processed row: ${updatedLastProcessedRow} / ${totalProductsInFile} | Error: ${error.message}`, error.stack);
+            logErrorToFile(`Job failed with ID ${job.id} in "batchQueue" process | File: ${fileKey} | ${rowRange} / ${totalProductsInFile} | Error: ${error.message}`, error.stack);
             throw error; // Re-throw to trigger retry
         }
     }
-});
+};
+
+// Define the worker (queue); every log entry of a job carries its run, job and file
+batchQueue.process(workerConcurrency, (job) => runWithLogContext(getJobLogFields(job), () => processJob(job)));
 
 // Event listeners for job statuses
 batchQueue.on('active', (job) => {
-    logUpdatesToFile(`Job is now active: ${job.id} | File: ${job.data.fileKey} | Last processed row: ${job.data.lastProcessedRow}`);
+    logUpdatesToFile(`Job is now active: ${job.id} | File: ${job.data.fileKey} | Last processed row: ${job.data.lastProcessedRow}`, getJobLogFields(job));
 });
 
 batchQueue.on('waiting', (jobId) => {
@@ -100,24 +123,99 @@ batchQueue.on('waiting', (jobId) => {
 });
 
 batchQueue.on('completed', (job, result) => {
-    logInfoToFile(`Job completed with ID ${job.id} | Result: ${result} | File: ${job.data.fileKey} | Last processed row: ${job.data.lastProcessedRow}`);
+    logInfoToFile(`Job completed with ID ${job.id} | Result: ${result} | File: ${job.data.fileKey} | Last processed row: ${job.data.lastProcessedRow}`, getJobLogFields(job));
 });
 
 // Event listener for failed jobs in batchQueue
 batchQueue.on("failed", (job, err) => {
     const retryCount = job.attemptsMade; // attemptsMade counts the current attempt number
     const maxRetries = job.opts.attempts || 3; // Get max retry attempts, defaulting to 3 if undefined
+    const jobFields = getJobLogFields(job);
 
-    logErrorToFile(`Job failed with ID ${job.id} on attempt ${retryCount}/${maxRetries} | File: ${job.data.fileKey} | Error: ${err.message}`, err.stack);
+    logErrorToFile(`Job failed with ID ${job.id} on attempt ${retryCount}/${maxRetries} | File: ${job.data.fileKey} | Error: ${err.message}`, err.stack, jobFields);
 
     // Check if job will retry or is permanently failed
     if (retryCount < maxRetries) {
-        logInfoToFile(`Retrying job ${job.id} for file "${job.data.fileKey}". Next attempt: ${retryCount + 1}`);
+        logInfoToFile(`Retrying job ${job.id} for file "${job.data.fileKey}". Next attempt: ${retryCount + 1}`, jobFields);
     } else {
-        logErrorToFile(`Job ${job.id} permanently failed after ${maxRetries} attempts.`);
+        logErrorToFile(`Job ${job.id} permanently failed after ${maxRetries} attempts.`, null, jobFields);
+
+        const { fileKey, runId, startRow = 0, batch = [], rowNumbers, dryRun, reportId } = job.data;
+
+        // Its rows would otherwise never be counted, leaving the file unfinished and the run "running" for good
+        (async () => {
+            const failedRows = await failUncountedRows(batch, startRow, fileKey, { dryRun, rowNumbers, runId, reportId, message: err.message });
+            logErrorToFile(`Counted ${failedRows} remaining row(s) of job ${job.id} as failed.`, null, jobFields);
+            const trackingKey = getTrackingKey(fileKey, runId);
+            await logFileProgress(trackingKey);
+            await uploadDryRunReportIfDone(job.data, trackingKey);
+            if (runId) await checkRunCompletion(runId);
+        })().catch(error => logErrorToFile(`Failed to count the rows of job ${job.id} as failed: ${error.message}`, error.stack, jobFields));
+
+        notify("job.failed", {
+            jobId: job.id,
+            runId,
+            fileKey,
+            rowRange: rowNumbers ? `rows ${rowNumbers.join(", ")}` : `rows ${startRow + 1}-${startRow + batch.length}`,
+            attempts: retryCount,
+            error: err.message,
+        });
     }
 });
 
 batchQueue.on('error', (error) => {
     logErrorToFile(`Redis connection error: ${error.message}`, error.stack);
-});
\ No newline at end of file
+});
+
+// Graceful shutdown: stop taking jobs and let the in-flight ones finish (Bull's close waits for them),
+// within SHUTDOWN_TIMEOUT_MS (default: the job timeout)
+let shuttingDown = false;
+const shutdown = async (reason) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logUpdatesToFile(`Worker shutting down (${reason}); waiting for in-flight jobs to finish...`);
+
+    const shutdownTimeout = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 300000;
+    setTimeout(() => {
+        logErrorToFile(`Worker shutdown timed out after ${shutdownTimeout / 1000}s with jobs still running.`);
+        process.exit(1);
+    }, shutdownTimeout).unref();
+
+    try {
+        await batchQueue.close();
+        await limiter.disconnect();
+        logUpdatesToFile("Worker stopped.");
+        process.exit(0);
+    } catch (error) {
+        logErrorToFile(`Error during worker shutdown: ${error.message}`, error.stack);
+        process.exit(1);
+    }
+};
+
+process.on('SIGTERM', () => shutdown("SIGTERM"));
+process.on('SIGINT', () => shutdown("SIGINT"));
+
+// Exit once the last run has finished and nothing is left in the queue, rather than polling the file counters.
+// WORKER_EXIT_ON_IDLE=false keeps the worker running for the next run (e.g. with the scheduler).
+if (process.env.WORKER_EXIT_ON_IDLE !== "false") {
+    (async () => {
+        const subscriber = redisClient.duplicate();
+        await subscriber.connect();
+        await subscriber.subscribe(RUN_EVENTS_CHANNEL, async (message) => {
+            const { type, runId } = JSON.parse(message);
+            if (!["run.completed", "run.failed", "run.cancelled"].includes(type)) return;
+
+            try {
+                const activeRuns = await listActiveRuns();
+                const { waiting = 0, delayed = 0, paused = 0 } = await batchQueue.getJobCounts();
+                if (activeRuns.length === 0 && waiting + delayed + paused === 0) {
+                    await subscriber.quit();
+                    logger.info({ runId }, `All runs finished (run ${runId} was the last). Shutting down gracefully...`);
+                    await shutdown(`run ${runId} was the last run in progress`);
+                }
+            } catch (error) {
+                logErrorToFile(`Error checking for remaining work after ${type} of run ${runId}: ${error.message}`, error.stack);
+            }
+        });
+    })().catch(error => logErrorToFile(`Failed to subscribe to run events: ${error.message}`, error.stack));
+}